@@ -0,0 +1,146 @@
+// lib/audio.js
+const { execFFmpeg } = require("./ffmpeg");
+
+/**
+ * /finalize の音声前処理（結合した録音 → STT 入力の 16kHz mono WAV）
+ * steps（指定の順に関係なく highpass → denoise → trim → loudnorm の順でつなぐ）
+ *   highpass  低域のノイズ（空調・机の振動）を落とす          highpass=f={highpassHz}
+ *   denoise   定常ノイズの除去                               afftdn=nf={denoiseDb}
+ *   loudnorm  音量をそろえる（小さい声・遠いマイク）           loudnorm=I=-16:TP=-1.5:LRA=11
+ *   trim      silencedetect で見つけた長い無音を削る（前後 padSec は残す）
+ * 無音の判定はノイズ除去の後で行い（待合室の雑音を無音として数える）、
+ * 話している時間が minSpeechSec 未満なら silent: true を返して WAV は作らない（STT を呼ばずに済ませる）
+ */
+const STEPS = ["highpass", "denoise", "loudnorm", "trim"];
+
+const DEFAULTS = {
+  steps: STEPS,
+  highpassHz: 80,
+  denoiseDb: -25,
+  silenceDb: -40,
+  silenceMinSec: 2,
+  padSec: 0.3,
+  minSpeechSec: 1,
+};
+
+// 環境変数 → 設定（AUDIO_PREPROCESS=highpass,denoise,loudnorm,trim。"none" で変換のみ）
+function audioConfigFromEnv(env) {
+  const num = (name, fallback) => (env[name] === undefined || env[name] === "" ? fallback : Number(env[name]));
+  const raw = env.AUDIO_PREPROCESS;
+  const steps = raw === undefined ? DEFAULTS.steps : raw === "none" ? [] : raw.split(",").map((s) => s.trim()).filter(Boolean);
+  for (const s of steps) {
+    if (!STEPS.includes(s)) throw new Error(`AUDIO_PREPROCESS: unknown step ${s} (${STEPS.join(", ")})`);
+  }
+  return {
+    steps,
+    highpassHz: num("AUDIO_HIGHPASS_HZ", DEFAULTS.highpassHz),
+    denoiseDb: num("AUDIO_DENOISE_DB", DEFAULTS.denoiseDb),
+    silenceDb: num("AUDIO_SILENCE_DB", DEFAULTS.silenceDb),
+    silenceMinSec: num("AUDIO_SILENCE_MIN_SEC", DEFAULTS.silenceMinSec),
+    padSec: DEFAULTS.padSec,
+    minSpeechSec: num("AUDIO_MIN_SPEECH_SEC", DEFAULTS.minSpeechSec),
+  };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * ffmpeg の stderr（silencedetect）→ { duration, silences: [{ start, end }] }
+ * 末尾まで無音が続くと silence_end が出ないので duration で閉じる
+ */
+function parseSilences(stderr) {
+  const d = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+  let duration = d ? Number(d[1]) * 3600 + Number(d[2]) * 60 + Number(d[3]) : null;
+  // 入力の Duration が無い（MediaRecorder の webm など）ときは処理の進み具合（time=）の最後を使う
+  if (duration === null) {
+    const times = [...stderr.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    const t = times[times.length - 1];
+    if (t) duration = Number(t[1]) * 3600 + Number(t[2]) * 60 + Number(t[3]);
+  }
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split(/\r?\n/)) {
+    const s = /silence_start:\s*(-?[\d.]+)/.exec(line);
+    if (s) start = Math.max(0, Number(s[1]));
+    const e = /silence_end:\s*([\d.]+)/.exec(line);
+    if (e && start !== null) {
+      silences.push({ start, end: Number(e[1]) });
+      start = null;
+    }
+  }
+  if (start !== null && duration !== null) silences.push({ start, end: duration });
+  return { duration, silences };
+}
+
+// 無音区間 → 削る区間（前後 padSec を残す。残りが無いものは削らない）
+function trimRanges(silences, padSec) {
+  return silences
+    .map(({ start, end }) => ({ start: start + padSec, end: end - padSec }))
+    .filter((r) => r.end - r.start > 0);
+}
+
+/**
+ * 解析結果 → 統計（ジョブのメタに残す）
+ * { durationSec, speechSec, silenceSec, silences（区間数）, trimmedSec, silent }
+ */
+function silenceStats({ duration, silences }, { padSec, minSpeechSec, trim }) {
+  const silenceSec = silences.reduce((a, s) => a + (s.end - s.start), 0);
+  const speechSec = duration === null ? null : Math.max(0, duration - silenceSec);
+  const trimmedSec = trim ? trimRanges(silences, padSec).reduce((a, r) => a + (r.end - r.start), 0) : 0;
+  return {
+    durationSec: duration === null ? null : round(duration),
+    speechSec: speechSec === null ? null : round(speechSec),
+    silenceSec: round(silenceSec),
+    silences: silences.length,
+    trimmedSec: round(trimmedSec),
+    silent: speechSec !== null && minSpeechSec > 0 && speechSec < minSpeechSec,
+  };
+}
+
+function createAudioPreprocessor(config = DEFAULTS) {
+  const c = { ...DEFAULTS, ...config };
+  const has = (step) => c.steps.includes(step);
+
+  // 無音判定の前に掛けるフィルタ（loudnorm はノイズも持ち上げるので含めない）
+  const cleanFilters = () => [
+    ...(has("highpass") ? [`highpass=f=${c.highpassHz}`] : []),
+    ...(has("denoise") ? [`afftdn=nf=${c.denoiseDb}`] : []),
+  ];
+
+  async function analyze(input) {
+    const filters = [...cleanFilters(), `silencedetect=noise=${c.silenceDb}dB:d=${c.silenceMinSec}`];
+    const stderr = await execFFmpeg(["-hide_banner", "-i", input, "-af", filters.join(","), "-f", "null", "-"]);
+    return parseSilences(stderr);
+  }
+
+  return {
+    config: c,
+
+    /**
+     * input → output（16kHz mono s16le WAV）
+     * @returns 統計（silent: true なら output は作らない）
+     */
+    async process(input, output) {
+      const analysis = c.minSpeechSec > 0 || has("trim") ? await analyze(input) : { duration: null, silences: [] };
+      const stats = { steps: c.steps, ...silenceStats(analysis, { padSec: c.padSec, minSpeechSec: c.minSpeechSec, trim: has("trim") }) };
+      if (stats.silent) return stats;
+
+      const filters = cleanFilters();
+      const cut = has("trim") ? trimRanges(analysis.silences, c.padSec) : [];
+      if (cut.length) {
+        const expr = cut.map((r) => `between(t,${r.start.toFixed(3)},${r.end.toFixed(3)})`).join("+");
+        filters.push(`aselect='not(${expr})'`, "asetpts=N/SR/TB");
+      }
+      if (has("loudnorm")) filters.push("loudnorm=I=-16:TP=-1.5:LRA=11");
+
+      await execFFmpeg([
+        "-i", input,
+        ...(filters.length ? ["-af", filters.join(",")] : []),
+        "-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", output,
+      ]);
+      return stats;
+    },
+  };
+}
+
+module.exports = { createAudioPreprocessor, audioConfigFromEnv, parseSilences, trimRanges, silenceStats, STEPS };
@@ -0,0 +1,82 @@
+// lib/audit.js
+const crypto = require("crypto");
+
+/**
+ * 監査ログ（追記のみ）: 誰が・いつ・どのセッションを見た／作った／消したか
+ * 1 件 1 オブジェクトで audit/{YYYY-MM-DD（UTC）}/{日時}_{乱数}.json に新規作成だけで書く（上書き・削除はしない）
+ * {
+ *   at, action,
+ *   actor: { type: "user" | "admin" | "reviewer" | "line" | "system", id },
+ *   sessionId, userId（対象の利用者）, ip, detail
+ * }
+ * action:
+ *   session.upload / session.finalize / session.stream   録音の受け付け
+ *   transcript.read / summary.read / detail.issue         閲覧（詳細ページの署名URL発行を含む）
+ *   history.read / record.read / timeline.issue           受診履歴・経過記録の閲覧
+ *   summary.generate / memo.deliver / memo.resend         要約の生成と配信
+ *   job.retry                                             失敗したジョブのやり直し（管理者）
+ *   reminder.update / reminder.confirm / reminder.cancel / reminder.send   リマインダーの変更と送信
+ *   review.open / review.read / review.edit / review.approve / review.reject   配信前の医療者の確認
+ *   session.delete / user.delete / retention.sweep        削除（本人・管理者・保存期間切れ）
+ *   tenant.create / tenant.update                         医療機関の登録と更新（既定のコンテキストの監査ログに残す）
+ * 本文（文字起こし・要約）は書かない。セッション削除後も残す
+ */
+const stamp = (iso) => iso.replace(/[-:.]/g, "");
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Express の req → actor（管理者トークンなら admin、確認する医療者なら reviewer、それ以外は認証済みの利用者）
+const actorOf = (req) => {
+  if (req.admin) return { type: "admin", id: null };
+  if (req.reviewer) return { type: "reviewer", id: req.reviewer };
+  return { type: "user", id: req.userId || null };
+};
+
+function createAudit(storage) {
+  return {
+    /**
+     * 1 件追記。失敗しても呼び出し元の処理は止めない（エラーはログに出す）
+     * req を渡すと actor（未指定のとき）と ip を埋める
+     */
+    async log({ action, actor, sessionId = null, userId = null, detail = null, req = null }) {
+      const at = new Date().toISOString();
+      const entry = {
+        at,
+        action,
+        actor: actor || (req ? actorOf(req) : { type: "system", id: null }),
+        sessionId,
+        userId,
+        ip: req ? req.ip || null : null,
+        detail,
+      };
+      const key = `audit/${at.slice(0, 10)}/${stamp(at)}_${crypto.randomBytes(6).toString("hex")}.json`;
+      try {
+        await storage.createIfAbsent(key, JSON.stringify(entry), { contentType: "application/json" });
+      } catch (e) {
+        console.error("[audit] write failed:", action, sessionId, e?.message || e);
+      }
+    },
+
+    // 1 日分（古い順）。sessionId / userId / action で絞れる
+    async list(date, { sessionId, userId, action } = {}) {
+      if (!DATE_RE.test(date)) throw Object.assign(new Error("date must be YYYY-MM-DD"), { code: 400 });
+      const keys = (await storage.list(`audit/${date}/`)).sort();
+      const out = [];
+      for (const k of keys) {
+        let e;
+        try {
+          e = await storage.readJson(k);
+        } catch (err) {
+          if (err.code === 404) continue;
+          throw err;
+        }
+        if (sessionId && e.sessionId !== sessionId) continue;
+        if (userId && e.userId !== userId) continue;
+        if (action && e.action !== action) continue;
+        out.push(e);
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = { createAudit, actorOf };
@@ -0,0 +1,180 @@
+// lib/auth.js
+const crypto = require("crypto");
+
+// 開発用モードの userId はそのままストレージのキー（owners/{userId}/...）に入るので形を限る
+const USER_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+const VERIFY_URL = "https://api.line.me/oauth2/v2.1/verify";
+const PROFILE_URL = "https://api.line.me/v2/profile";
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * LIFF のトークン検証 → LINE の userId をサーバ側で確定する
+ * mode: "liff"（既定）| "none"（開発用。X-User-Id ヘッダ / body / query の userId をそのまま信用する）
+ * - ID トークン（JWT）: POST /oauth2/v2.1/verify（client_id = LIFF アプリの LINE ログインチャネルID）→ sub
+ * - アクセストークン: GET /oauth2/v2.1/verify で発行先チャネルと期限を確認 → GET /v2/profile → userId
+ * 検証結果はトークンのハッシュをキーに期限（最大 cacheMs）までメモリにキャッシュする（/jobs のポーリング対策）
+ * reviewers: 配信前に要約を確認する医療者 { 名前: トークン }（確認ページと確認APIだけに使える）
+ */
+function createAuth({ mode = "liff", channelId, adminToken, reviewers = {}, cacheMs = 5 * 60 * 1000, timeoutMs = 10000 }) {
+  if (mode !== "liff" && mode !== "none") throw new Error(`unknown AUTH_MODE: ${mode}`);
+  if (mode === "liff" && !channelId) throw new Error("LIFF_CHANNEL_ID is required when AUTH_MODE=liff");
+
+  const cache = new Map(); // sha256(token) → { userId, until }
+
+  async function verifyIdToken(idToken) {
+    const r = await fetch(VERIFY_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ id_token: idToken, client_id: channelId }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok) throw unauthorized(`invalid id token: ${body.error_description || r.status}`);
+    if (!body.sub) throw unauthorized("invalid id token: no sub");
+    return { userId: body.sub, expiresAt: Number(body.exp) * 1000 };
+  }
+
+  async function verifyAccessToken(accessToken) {
+    const r = await fetch(`${VERIFY_URL}?${new URLSearchParams({ access_token: accessToken })}`, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok) throw unauthorized(`invalid access token: ${body.error_description || r.status}`);
+    // 他チャネル向けに発行されたトークンの使い回しを拒否
+    if (String(body.client_id) !== String(channelId)) throw unauthorized("access token issued for another channel");
+    if (!(body.expires_in > 0)) throw unauthorized("access token expired");
+
+    const p = await fetch(PROFILE_URL, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!p.ok) throw unauthorized(`profile lookup failed: ${p.status}`);
+    const profile = await p.json();
+    return { userId: profile.userId, expiresAt: Date.now() + body.expires_in * 1000 };
+  }
+
+  /**
+   * トークン → userId（不正なら status=401 のエラー）
+   * JWT 形式（"." 区切り 3 つ）なら ID トークン、それ以外はアクセストークンとして扱う
+   */
+  async function verifyToken(token) {
+    if (!token) throw unauthorized("token required");
+    const k = sha256(token);
+    const hit = cache.get(k);
+    if (hit && hit.until > Date.now()) return hit.userId;
+
+    const { userId, expiresAt } = token.split(".").length === 3
+      ? await verifyIdToken(token)
+      : await verifyAccessToken(token);
+    cache.set(k, { userId, until: Math.min(expiresAt, Date.now() + cacheMs) });
+    // 期限切れの掃除（件数が増えたときだけ）
+    if (cache.size > 1000) {
+      for (const [key, v] of cache) if (v.until <= Date.now()) cache.delete(key);
+    }
+    return userId;
+  }
+
+  const bearer = (req) => {
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    return m ? m[1].trim() : null;
+  };
+
+  const isAdmin = (req) => {
+    const token = bearer(req);
+    return !!(adminToken && token && safeEqual(token, adminToken));
+  };
+
+  // 確認する医療者のトークン → 名前（当たらなければ null）
+  const reviewerOf = (req) => {
+    const token = bearer(req);
+    if (!token) return null;
+    const hit = Object.entries(reviewers).find(([, t]) => safeEqual(token, t));
+    return hit ? hit[0] : null;
+  };
+
+  /**
+   * リクエストの利用者を確定（req.userId）。WebSocket のようにヘッダを付けられない場合は token を渡す
+   */
+  async function authenticate(req, token = bearer(req)) {
+    if (mode === "none") {
+      const userId = req.headers["x-user-id"] || req.body?.userId || req.query?.userId || null;
+      return userId && USER_ID_RE.test(userId) ? userId : null;
+    }
+    return verifyToken(token);
+  }
+
+  // 利用者のトークン必須（req.userId をセット）
+  function middleware() {
+    return async (req, res, next) => {
+      try {
+        req.userId = await authenticate(req);
+        if (!req.userId) return res.status(401).json({ ok: false, error: "userId required" });
+        next();
+      } catch (e) {
+        if (e.status === 401) return res.status(401).json({ ok: false, error: e.message });
+        console.error("[auth]", e);
+        res.status(502).json({ ok: false, error: "token verification unavailable" });
+      }
+    };
+  }
+
+  return {
+    mode,
+    authenticate,
+    middleware,
+
+    // 管理用（辞書の編集など）: Authorization: Bearer {ADMIN_TOKEN}（req.admin = true。監査ログの actor）
+    requireAdmin() {
+      return (req, res, next) => {
+        if (mode === "none" && !adminToken) return next();
+        if (isAdmin(req)) {
+          req.admin = true;
+          return next();
+        }
+        res.status(403).json({ ok: false, error: "admin only" });
+      };
+    },
+
+    // 確認する医療者（req.reviewer = 名前）か管理者（req.admin = true）。配信前の確認に使う
+    requireReviewer() {
+      return (req, res, next) => {
+        if (isAdmin(req)) {
+          req.admin = true;
+          return next();
+        }
+        req.reviewer = reviewerOf(req);
+        if (req.reviewer) return next();
+        if (mode === "none" && !adminToken && !Object.keys(reviewers).length) return next();
+        res.status(403).json({ ok: false, error: "reviewer only" });
+      };
+    },
+
+    // 管理者（req.admin = true）か利用者本人（req.userId）のどちらか（データ削除など）
+    userOrAdmin() {
+      const user = middleware();
+      return (req, res, next) => {
+        if (isAdmin(req)) {
+          req.admin = true;
+          return next();
+        }
+        user(req, res, next);
+      };
+    },
+  };
+}
+
+module.exports = { createAuth, USER_ID_RE };
@@ -0,0 +1,126 @@
+// lib/chunks.js
+
+/**
+ * 録音チャンクの台帳（再開できるアップロードと /finalize 前の確認）
+ *   sessions/{id}/chunk-{seq5}.{webm|mp4}       アップロードされたチャンク
+ *   sessions/{id}/declared/{seq5}.json          クライアントが /sign-upload で申告した { seq, format, size, md5 }
+ * 申告（size / md5）と実物（storage.stat）を突き合わせ、欠け・壊れ・形式の混在を見つける
+ * seq は 1 始まり
+ */
+const CHUNK_RE = /\/chunk-(\d+)\.(webm|mp4)$/;
+const MD5_HEX_RE = /^[0-9a-f]{32}$/i;
+const MD5_B64_RE = /^[A-Za-z0-9+/]{22}==$/;
+const MAX_SEQ = 99999;
+
+const pad = (seq) => String(seq).padStart(5, "0");
+
+// md5 は Content-MD5 と同じ base64 にそろえる（hex でも受ける）。不正なら null
+function normalizeMd5(md5) {
+  if (typeof md5 !== "string") return null;
+  if (MD5_HEX_RE.test(md5)) return Buffer.from(md5, "hex").toString("base64");
+  return MD5_B64_RE.test(md5) ? md5 : null;
+}
+
+function validSeq(seq) {
+  const n = Number(seq);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_SEQ ? n : null;
+}
+
+function createChunks(storage) {
+  const prefix = (sessionId) => `sessions/${sessionId}/`;
+  const chunkKey = (sessionId, seq, format) => `${prefix(sessionId)}chunk-${pad(seq)}.${format}`;
+  const declaredKey = (sessionId, seq) => `${prefix(sessionId)}declared/${pad(seq)}.json`;
+
+  // アップロード済みのチャンク（seq 順）→ [{ seq, format, key }]
+  async function uploaded(sessionId) {
+    const out = [];
+    for (const key of await storage.list(prefix(sessionId))) {
+      const m = CHUNK_RE.exec(key);
+      if (m) out.push({ seq: Number(m[1]), format: m[2], key });
+    }
+    return out.sort((a, b) => a.seq - b.seq || a.format.localeCompare(b.format));
+  }
+
+  async function declared(sessionId) {
+    const out = [];
+    for (const key of await storage.list(`${prefix(sessionId)}declared/`)) {
+      try {
+        out.push(await storage.readJson(key));
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+    }
+    return out.sort((a, b) => a.seq - b.seq);
+  }
+
+  return {
+    chunkKey,
+
+    // /sign-upload の申告を残す（同じ seq の再アップロードは上書き）
+    async declare(sessionId, { seq, format, size = null, md5 = null }) {
+      await storage.writeJson(declaredKey(sessionId, seq), { seq, format, size, md5, at: new Date().toISOString() }, {
+        cacheControl: "no-store",
+      });
+    },
+
+    /**
+     * 申告と実物の突き合わせ
+     * count: 全チャンク数（録音を終えたクライアントが知っている数。無ければ申告・実物の seq の範囲で見る）
+     * @returns {{
+     *   format, formats, count, received,
+     *   chunks: [{ seq, format, size, md5, ok }],
+     *   missing: [seq], corrupt: [{ seq, reason: "size"|"md5", expected, actual }], extra: [seq],
+     *   complete
+     * }}
+     */
+    async manifest(sessionId, { count = null } = {}) {
+      const [files, decl] = await Promise.all([uploaded(sessionId), declared(sessionId)]);
+      const declBySeq = new Map(decl.map((d) => [d.seq, d]));
+
+      const chunks = [];
+      const corrupt = [];
+      for (const f of files) {
+        let st;
+        try {
+          st = await storage.stat(f.key);
+        } catch (e) {
+          if (e.code === 404) continue; // 一覧の後に消えたもの
+          throw e;
+        }
+        const d = declBySeq.get(f.seq);
+        let ok = true;
+        if (d?.size !== null && d?.size !== undefined && d.size !== st.size) {
+          corrupt.push({ seq: f.seq, reason: "size", expected: d.size, actual: st.size });
+          ok = false;
+        } else if (d?.md5 && st.md5 && d.md5 !== st.md5) {
+          corrupt.push({ seq: f.seq, reason: "md5", expected: d.md5, actual: st.md5 });
+          ok = false;
+        }
+        chunks.push({ seq: f.seq, format: f.format, size: st.size, md5: st.md5, ok });
+      }
+
+      const last = count || Math.max(0, ...chunks.map((c) => c.seq), ...decl.map((d) => d.seq));
+      const have = new Set(chunks.map((c) => c.seq));
+      const missing = [];
+      for (let s = 1; s <= last; s++) if (!have.has(s)) missing.push(s);
+      const extra = count ? [...have].filter((s) => s > last).sort((a, b) => a - b) : [];
+
+      // 形式は結合に使うチャンク（count を超えた分は除く）で見る
+      const formats = [...new Set(chunks.filter((c) => !count || c.seq <= count).map((c) => c.format))].sort();
+      return {
+        sessionId,
+        format: formats.length === 1 ? formats[0] : null,
+        formats,
+        count: count || null,
+        received: chunks.length,
+        chunks,
+        missing,
+        corrupt,
+        extra,
+        complete: chunks.length > 0 && !missing.length && !corrupt.length && formats.length === 1,
+      };
+    },
+  };
+}
+
+module.exports = { createChunks, normalizeMd5, validSeq, MAX_SEQ };
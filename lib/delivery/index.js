@@ -0,0 +1,80 @@
+// lib/delivery/index.js
+
+/**
+ * 診察メモの配信（LINE / メール / PDF / 医療機関への Webhook）
+ * 各チャネルの実装が持つもの
+ *   name
+ *   send(memo, results) → 結果（deliveries/{jobId}.{name}.json に残す）。送り先が無ければ { skipped: "理由" }
+ *     memo: { job, prefs, short, silent, text, j, full, detailUrl, html }（j / full / html は元に戻した表示用。短い内容なら null）
+ *     results: このジョブで先に送ったチャネルの結果（email が PDF を添付し、webhook が PDF のリンクを載せる）
+ *     失敗は throw（e.retryable === false なら再送しない）
+ * 送る順は pdf → email → line → webhook。利用者が選ぶのは line / email / pdf（lib/delivery/prefs）で、
+ * webhook は設定されていれば毎回送る
+ * 送れたチャネルは記録を見て再実行のときに飛ばす（1 つでも一時的な失敗があればジョブごと再試行）
+ */
+const ORDER = ["pdf", "email", "line", "webhook"];
+
+function createDelivery({ storage, channels, prefs }) {
+  const recordKey = (jobId, name) => `deliveries/${jobId}.${name}.json`;
+
+  async function previous(jobId, name) {
+    try {
+      return await storage.readJson(recordKey(jobId, name));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function record(job, name, fields, attempts) {
+    const rec = { jobId: job.jobId, sessionId: job.sessionId, channel: name, ...fields, attempts, at: new Date().toISOString() };
+    await storage.writeJson(recordKey(job.jobId, name), rec, { cacheControl: "no-store" });
+    return rec;
+  }
+
+  return {
+    available: Object.keys(channels),
+
+    /**
+     * memo を利用者の設定どおりに配る → { [channel]: 記録 }
+     * 全チャネルが再送しても通らない失敗なら retryable: false で throw
+     */
+    async deliver(job, memo) {
+      const p = await prefs.get(job.userId);
+      const wanted = new Set([...p.channels, ...(channels.webhook ? ["webhook"] : [])]);
+      const results = {};
+      const transient = [];
+      for (const name of ORDER.filter((n) => wanted.has(n))) {
+        const prev = await previous(job.jobId, name);
+        if (prev && prev.status !== "failed") {
+          results[name] = prev;
+          continue;
+        }
+        const attempts = (prev?.attempts || 0) + 1;
+        const channel = channels[name];
+        if (!channel) {
+          results[name] = await record(job, name, { status: "skipped", reason: "channel not configured" }, attempts);
+          continue;
+        }
+        try {
+          const { skipped, ...out } = await channel.send({ ...memo, job, prefs: p }, results);
+          results[name] = await record(job, name, skipped ? { status: "skipped", reason: skipped } : { ...out, status: "sent" }, attempts);
+        } catch (e) {
+          const retryable = e?.retryable !== false;
+          console.error(`[delivery] ${job.jobId} ${name} failed (attempt ${attempts}):`, e?.message);
+          results[name] = await record(job, name, { status: "failed", error: String(e?.message || e), retryable }, attempts);
+          if (retryable) transient.push(name);
+        }
+      }
+
+      if (transient.length) throw new Error(`delivery failed: ${transient.join(", ")}`);
+      const statuses = Object.values(results).map((r) => r.status);
+      if (statuses.includes("failed") && !statuses.includes("sent")) {
+        throw Object.assign(new Error("delivery failed on every channel"), { retryable: false });
+      }
+      return results;
+    },
+  };
+}
+
+module.exports = { createDelivery, ORDER };
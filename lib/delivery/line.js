@@ -0,0 +1,32 @@
+// lib/delivery/line.js
+const { buildMemoMessage } = require("../line/flex");
+
+/**
+ * LINE（1 通）。メモは Flex Message（format: "text" か、LINE の制約を満たさなければテキスト）、短い内容はテキスト
+ * リトライキーは従来どおり deliveries/{jobId}.retryKey に永続化して二重送信を防ぐ
+ * brand: 医療機関の名前・ロゴ・色（lib/tenants の brandOf）。メモの見出しに出す
+ */
+function createLineChannel({ linePush, ttlDays, format = "flex", brand = null }) {
+  return {
+    name: "line",
+
+    async send({ job, short, text, j, full, detailUrl }) {
+      if (!job.userId) return { skipped: "no LINE userId" };
+      const built = short
+        ? { message: { type: "text", text }, format: "text" }
+        : buildMemoMessage(j, full, { detailUrl, ttlDays, sessionId: job.sessionId, format, brand });
+      const retryKey = await linePush.retryKeyFor(`deliveries/${job.jobId}`);
+      try {
+        await linePush.safePushLine(job.userId, [built.message], retryKey);
+      } catch (e) {
+        // 4xx（429 以外）は再送しても通らない
+        const status = e?.status ?? e?.statusCode;
+        if (status >= 400 && status < 500 && status !== 429) e.retryable = false;
+        throw e;
+      }
+      return { to: job.userId, format: built.format, ...(built.errors?.length ? { flexErrors: built.errors } : {}) };
+    },
+  };
+}
+
+module.exports = { createLineChannel };
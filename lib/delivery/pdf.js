@@ -0,0 +1,64 @@
+// lib/delivery/pdf.js
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * 印刷用 PDF（詳細ページの HTML をヘッドレス Chromium で PDF にする）→ summaries/{sessionId}.pdf
+ * LINE を使わない患者さんには受付で印刷して渡し、メールには添付し、Webhook にはリンクを載せる
+ * chromiumPath: Docker イメージでは /usr/bin/chromium-browser
+ */
+function htmlToPdf(chromiumPath, html, { timeoutMs }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "yorisoi-pdf-"));
+  const input = path.join(dir, "memo.html");
+  const output = path.join(dir, "memo.pdf");
+  fs.writeFileSync(input, html);
+  return new Promise((resolve, reject) => {
+    execFile(chromiumPath, [
+      "--headless",
+      "--no-sandbox",
+      "--disable-gpu",
+      "--no-pdf-header-footer",
+      `--print-to-pdf=${output}`,
+      `file://${input}`,
+    ], { windowsHide: true, timeout: timeoutMs }, (err, _stdout, stderr) => {
+      try {
+        if (err) {
+          const e = new Error(`chromium: ${stderr || err.message}`);
+          // 実行ファイルが無いのは設定の誤り
+          if (err.code === "ENOENT") e.retryable = false;
+          return reject(e);
+        }
+        resolve(fs.readFileSync(output));
+      } catch (e) {
+        reject(e);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
+
+function createPdfChannel({ storage, chromiumPath, ttlDays, timeoutMs = 60 * 1000 }) {
+  const pdfKey = (sessionId) => `summaries/${sessionId}.pdf`;
+
+  return {
+    name: "pdf",
+    pdfKey,
+
+    async send({ job, html }) {
+      if (!html) return { skipped: "no detail page" };
+      const key = pdfKey(job.sessionId);
+      if (!(await storage.exists(key))) {
+        const pdf = await htmlToPdf(chromiumPath, html, { timeoutMs });
+        await storage.write(key, pdf, { contentType: "application/pdf", cacheControl: "no-store" });
+      }
+      const expires = Date.now() + ttlDays * 24 * 60 * 60 * 1000;
+      const url = await storage.signedUrl(key, { action: "read", expires });
+      return { key, url, expiresAt: new Date(expires).toISOString() };
+    },
+  };
+}
+
+module.exports = { createPdfChannel, htmlToPdf };
@@ -0,0 +1,72 @@
+// lib/delivery/prefs.js
+
+// 利用者が選べるチャネル（webhook は医療機関側の設定）
+const USER_CHANNELS = ["line", "email", "pdf"];
+const EMAIL_RE = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const MAX_CC = 3;
+
+// 設定が無い利用者は LINE だけ。LINE の利用者がいないジョブ（userId なし）は PDF を作る
+const DEFAULT_PREFS = { channels: ["line"], email: null, cc: [] };
+const NO_USER_PREFS = { channels: ["pdf"], email: null, cc: [] };
+
+/**
+ * 配信先の設定 { channels, email, cc }
+ *   email: 本人（LINE を使わない患者さん）、cc: 家族など（最大 3 件。email を選んだときに一緒に送る）
+ * available: このサーバで使えるチャネル（SMTP などが未設定のものは選べない）
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validatePrefs(body, available = USER_CHANNELS) {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  if (!Array.isArray(body.channels) || !body.channels.length) {
+    errors.push("channels: expected non-empty array");
+  } else {
+    for (const c of body.channels) {
+      if (!USER_CHANNELS.includes(c)) errors.push(`channels: one of ${USER_CHANNELS.join("/")}`);
+      else if (!available.includes(c)) errors.push(`channels: ${c} is not available on this server`);
+    }
+  }
+  if (body.email !== undefined && body.email !== null && !(typeof body.email === "string" && EMAIL_RE.test(body.email))) {
+    errors.push("email: invalid address");
+  }
+  if (body.cc !== undefined) {
+    if (!Array.isArray(body.cc) || body.cc.length > MAX_CC) errors.push(`cc: expected array (max ${MAX_CC})`);
+    else if (body.cc.some((a) => typeof a !== "string" || !EMAIL_RE.test(a))) errors.push("cc: invalid address");
+  }
+  if (Array.isArray(body.channels) && body.channels.includes("email") && !body.email && !(body.cc || []).length) {
+    errors.push("email: required when channels include email");
+  }
+  return errors;
+}
+
+function createDeliveryPrefs(storage) {
+  const key = (userId) => `delivery-prefs/${userId}.json`;
+
+  return {
+    key,
+
+    async get(userId) {
+      if (!userId) return NO_USER_PREFS;
+      try {
+        return { ...DEFAULT_PREFS, ...(await storage.readJson(key(userId))) };
+      } catch (e) {
+        if (e.code === 404) return DEFAULT_PREFS;
+        throw e;
+      }
+    },
+
+    // validatePrefs を通したものを渡す
+    async put(userId, body) {
+      const prefs = {
+        channels: [...new Set(body.channels)],
+        email: body.email || null,
+        cc: [...new Set(body.cc || [])],
+        updatedAt: new Date().toISOString(),
+      };
+      await storage.writeJson(key(userId), prefs, { cacheControl: "no-store" });
+      return prefs;
+    },
+  };
+}
+
+module.exports = { createDeliveryPrefs, validatePrefs, USER_CHANNELS, DEFAULT_PREFS };
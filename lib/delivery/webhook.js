@@ -0,0 +1,56 @@
+// lib/delivery/webhook.js
+const crypto = require("crypto");
+
+/**
+ * 医療機関の電子カルテ / PHR への Webhook（POST JSON）
+ * 署名: X-Yorisoi-Signature: v1={hex(HMAC-SHA256(secret, "{timestamp}.{body}"))}、X-Yorisoi-Timestamp: UNIX 秒
+ * 受け手は時刻のずれ（例: 5 分以内）と署名を確かめ、X-Yorisoi-Delivery（jobId）で重複を捨てる
+ */
+function sign(secret, timestamp, body) {
+  return `v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function createWebhookChannel({ url, secret, timeoutMs = 10 * 1000 }) {
+  return {
+    name: "webhook",
+
+    async send({ job, short, silent, j, full, detailUrl }, results) {
+      const body = JSON.stringify({
+        event: "memo.delivered",
+        jobId: job.jobId,
+        sessionId: job.sessionId,
+        userId: job.userId || null,
+        clinic: job.clinic || null,
+        short: Boolean(short),
+        silent: Boolean(silent),
+        summary: j,
+        detail: full,
+        detailUrl,
+        pdfUrl: results.pdf?.status === "sent" ? results.pdf.url : null,
+        at: new Date().toISOString(),
+      });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const r = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Yorisoi-Event": "memo.delivered",
+          "X-Yorisoi-Delivery": job.jobId,
+          "X-Yorisoi-Timestamp": timestamp,
+          "X-Yorisoi-Signature": sign(secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!r.ok) {
+        const e = new Error(`webhook HTTP ${r.status}: ${(await r.text()).slice(0, 200)}`);
+        // 4xx（429 以外）は再送しても通らない
+        if (r.status >= 400 && r.status < 500 && r.status !== 429) e.retryable = false;
+        throw e;
+      }
+      return { url, httpStatus: r.status };
+    },
+  };
+}
+
+module.exports = { createWebhookChannel, sign };
@@ -0,0 +1,168 @@
+// lib/dictionary.js
+
+/**
+ * 医療用語辞書（dictionaries/{id}.json）
+ * {
+ *   id: "gastro", name: "消化器内科", specialty: "gastroenterology",
+ *   entries: [{ term: "プロトンポンプ阻害薬", aliases: ["プロポンプ阻害薬"], category: "drug", boost: 15 }],
+ *   updatedAt
+ * }
+ * - term は STT のフレーズヒント（Google の speechContexts / Whisper の prompt）になる
+ * - aliases（よくある誤変換・略称）は STT 後の置換（alias → term）に使う
+ */
+const CATEGORIES = ["drug", "disease", "test", "clinic", "other"];
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DEFAULT_BOOST = 10;
+
+const key = (id) => `dictionaries/${id}.json`;
+
+function validateEntry(e, at) {
+  const errors = [];
+  if (!e || typeof e !== "object") return [`${at}: expected object`];
+  if (typeof e.term !== "string" || !e.term.trim()) errors.push(`${at}.term: required`);
+  else if (e.term.length > 100) errors.push(`${at}.term: too long (max 100)`);
+  if (e.aliases !== undefined && (!Array.isArray(e.aliases) || e.aliases.some((a) => typeof a !== "string" || !a.trim()))) {
+    errors.push(`${at}.aliases: expected array of non-empty strings`);
+  }
+  if (e.category !== undefined && !CATEGORIES.includes(e.category)) {
+    errors.push(`${at}.category: one of ${CATEGORIES.join("/")}`);
+  }
+  if (e.boost !== undefined && !(typeof e.boost === "number" && e.boost >= 0 && e.boost <= 20)) {
+    errors.push(`${at}.boost: number 0-20`);
+  }
+  return errors;
+}
+
+function normalizeEntry(e) {
+  return {
+    term: e.term.trim(),
+    aliases: [...new Set((e.aliases || []).map((a) => a.trim()).filter((a) => a !== e.term.trim()))],
+    category: e.category || "other",
+    boost: e.boost ?? DEFAULT_BOOST,
+  };
+}
+
+function validateDictionary(body) {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  if (body.name !== undefined && typeof body.name !== "string") errors.push("name: expected string");
+  if (body.specialty !== undefined && typeof body.specialty !== "string") errors.push("specialty: expected string");
+  if (!Array.isArray(body.entries)) errors.push("entries: expected array");
+  else body.entries.forEach((e, i) => errors.push(...validateEntry(e, `entries[${i}]`)));
+  return errors;
+}
+
+function createDictionaries(storage) {
+  async function get(id) {
+    if (!ID_RE.test(id)) return null;
+    try {
+      return await storage.readJson(key(id));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function save(dict) {
+    dict.updatedAt = new Date().toISOString();
+    await storage.writeJson(key(dict.id), dict, { cacheControl: "no-store" });
+    return dict;
+  }
+
+  return {
+    get,
+
+    async list() {
+      const keys = await storage.list("dictionaries/");
+      const out = [];
+      for (const k of keys) {
+        try {
+          const d = await storage.readJson(k);
+          out.push({ id: d.id, name: d.name, specialty: d.specialty, entries: d.entries.length, updatedAt: d.updatedAt });
+        } catch (e) {
+          console.error("[dictionary] read failed:", k, e?.message);
+        }
+      }
+      return out;
+    },
+
+    // 作成 or 全置換
+    async put(id, body) {
+      const dict = {
+        id,
+        name: body.name || id,
+        specialty: body.specialty || "",
+        entries: [],
+      };
+      // 同じ term は後勝ち
+      const byTerm = new Map(body.entries.map(normalizeEntry).map((e) => [e.term, e]));
+      dict.entries = [...byTerm.values()];
+      return save(dict);
+    },
+
+    async remove(id) {
+      await storage.remove(key(id));
+    },
+
+    async upsertEntry(id, entry) {
+      const dict = await get(id);
+      if (!dict) return null;
+      const e = normalizeEntry(entry);
+      dict.entries = dict.entries.filter((x) => x.term !== e.term).concat(e);
+      return save(dict);
+    },
+
+    async removeEntry(id, term) {
+      const dict = await get(id);
+      if (!dict) return null;
+      dict.entries = dict.entries.filter((x) => x.term !== term);
+      return save(dict);
+    },
+  };
+}
+
+/**
+ * STT 用のフレーズヒント（正式名称のみ。alias は誤変換なので寄せない）
+ */
+function phraseHints(dict) {
+  if (!dict) return [];
+  return dict.entries.map((e) => ({ value: e.term, boost: e.boost }));
+}
+
+/**
+ * STT 後の置換（alias → term）。長い alias から順に置換するので部分一致の取り合いは起きにくい
+ * result は STT の結果（{ segments: [{ text, ... }] }）。words（時刻用）はそのまま
+ * @returns {{ result, replacements: [{ from, to, count }] }}
+ */
+function applyDictionary(result, dict) {
+  if (!dict || !dict.entries.length) return { result, replacements: [] };
+  const pairs = dict.entries
+    .flatMap((e) => e.aliases.map((a) => ({ from: a, to: e.term })))
+    .sort((a, b) => b.from.length - a.from.length);
+
+  const counts = new Map();
+  const replace = (text) => {
+    for (const { from, to } of pairs) {
+      // 置換後の term に alias が含まれる場合（例: 「ピロリ」→「ピロリ菌」）の二重置換を避ける
+      let n = 0;
+      text = text.split(to).map((p) => {
+        const pieces = p.split(from);
+        n += pieces.length - 1;
+        return pieces.join(to);
+      }).join(to);
+      if (n) counts.set(`${from}\u0000${to}`, (counts.get(`${from}\u0000${to}`) || 0) + n);
+    }
+    return text;
+  };
+  const segments = (result.segments || []).map((seg) => ({ ...seg, text: replace(seg.text) }));
+  // 区間が無い結果は全文を置換（件数の二重計上を避けるため区間があるときは text を触らない）
+  const text = segments.length ? result.text : result.text && replace(result.text);
+
+  const replacements = [...counts.entries()].map(([k, count]) => {
+    const [from, to] = k.split("\u0000");
+    return { from, to, count };
+  });
+  return { result: { ...result, text, segments }, replacements };
+}
+
+module.exports = { createDictionaries, validateDictionary, validateEntry, phraseHints, applyDictionary, ID_RE };
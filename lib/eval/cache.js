@@ -0,0 +1,64 @@
+// lib/eval/cache.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * LLM の応答キャッシュ（評価用）。同じ設定・同じプロンプトには保存済みの応答を返す
+ * {dir}/{key}.json: { key, provider, model, json, promptSha256, response, source: "recorded" | "stub", recordedAt }
+ *   key は設定（provider / model / temperature / topP / maxOutputTokens）+ JSON モード + プロンプトのハッシュ
+ *   プロンプトやテンプレートを変えればキーも変わるので、古い応答が混ざることはない
+ * record: true なら無いときだけ本物の LLM（createLlm）を呼んで保存する。false ならネットワークを使わず、無ければエラー
+ */
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function cacheKey(cfg, prompt, json) {
+  const { provider, model, temperature, topP, maxOutputTokens } = cfg;
+  return sha256(JSON.stringify({ provider, model, temperature, topP, maxOutputTokens, json, prompt }));
+}
+
+class CacheMissError extends Error {}
+
+/**
+ * cfg: llmConfigFromEnv と同じ形 / createLlm: 記録するときだけ呼ぶ（API キー等が要る）
+ * @returns { name, model, generate(prompt, { json }), stats: { hits, misses, recorded } }
+ */
+function createCachedLlm({ cfg, dir, record = false, createLlm }) {
+  let llm = null;
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  return {
+    name: cfg.provider,
+    model: cfg.model,
+    stats,
+
+    async generate(prompt, { json = true } = {}) {
+      const key = cacheKey(cfg, prompt, json);
+      const file = path.join(dir, `${key}.json`);
+      if (fs.existsSync(file)) {
+        stats.hits++;
+        return JSON.parse(fs.readFileSync(file, "utf-8")).response;
+      }
+      stats.misses++;
+      if (!record) throw new CacheMissError(`LLM cache miss ${key.slice(0, 12)} (${cfg.provider}/${cfg.model}); run with --record`);
+
+      llm = llm || createLlm(cfg);
+      const response = await llm.generate(prompt, { json });
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        key,
+        provider: cfg.provider,
+        model: cfg.model,
+        json,
+        promptSha256: sha256(prompt),
+        response,
+        source: "recorded",
+        recordedAt: new Date().toISOString(),
+      }, null, 2));
+      stats.recorded++;
+      return response;
+    },
+  };
+}
+
+module.exports = { createCachedLlm, cacheKey, CacheMissError };
@@ -0,0 +1,246 @@
+// lib/eval/index.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../storage");
+const { createPipeline } = require("../pipeline");
+const { createTemplates, validateRules } = require("../templates");
+const { createDetailPages } = require("../summary/detail");
+const { createAudit } = require("../audit");
+const { buildTranscript, saveTranscript } = require("../transcript");
+const { createLlm } = require("../llm");
+const { validateLanguage, DEFAULT_OUTPUT } = require("../i18n");
+const { createCachedLlm } = require("./cache");
+const { scoreCase, aggregate } = require("./score");
+
+/**
+ * 要約のオフライン評価（scripts/eval.js から使う）
+ * 正解つきの文字起こし（golden）を本番と同じ summarize ステージ（lib/pipeline）に通し、lib/eval/score で採点する
+ * LLM は lib/eval/cache 経由（記録済みの応答を返す）なのでネットワーク無しで何度でも同じ結果になる
+ * ストレージは一時ディレクトリのローカルドライバ（終わったら消す）。経過記録・伏せ字は使わない
+ *
+ * golden（eval/golden/{id}.json）:
+ * {
+ *   id, outputLanguage,                              // outputLanguage は省略で日本語
+ *   segments: [{ speaker, text }],                   // speaker は STT と同じ（"1" / "2"。役割は本番と同じく推定）
+ *   expected: { decisions, todos, red_flags, ask_next_time, top3, medications: [{ name, aliases }] }
+ * }
+ * 設定（eval/configs/{name}.json）:
+ * {
+ *   name,
+ *   llm: { provider, model, temperature, topP },            // short / detail で変えるなら llmShort / llmDetail
+ *   templates: { short: "short@1", detail: "detail@1" },   // テンプレートの規則の use と同じ書き方
+ *   templatesDir,                                           // 同梱以外のテンプレート（設定ファイルからの相対パス）
+ *   repairMax
+ * }
+ */
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const LLM_DEFAULTS = { temperature: 0.2, topP: 0.9 };
+
+/**
+ * golden の形を確かめる
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateGolden(g) {
+  if (!g || typeof g !== "object") return ["golden: expected object"];
+  const errors = [];
+  if (typeof g.id !== "string" || !ID_RE.test(g.id)) errors.push("id: expected [a-z0-9_-]{1,64}");
+  errors.push(...validateLanguage({ outputLanguage: g.outputLanguage }));
+  if (!Array.isArray(g.segments) || !g.segments.length) errors.push("segments: expected non-empty array");
+  else {
+    g.segments.forEach((s, i) => {
+      if (!s || typeof s.text !== "string") errors.push(`segments[${i}].text: expected string`);
+    });
+  }
+  if (!g.expected || typeof g.expected !== "object") errors.push("expected: expected object");
+  return errors;
+}
+
+function validateConfig(c) {
+  if (!c || typeof c !== "object") return ["config: expected object"];
+  const errors = [];
+  if (typeof c.name !== "string" || !c.name) errors.push("name: required");
+  for (const k of ["llm", "llmShort", "llmDetail"]) {
+    if (c[k] !== undefined && (!c[k] || typeof c[k].provider !== "string")) errors.push(`${k}.provider: required`);
+  }
+  if (!c.llm && !(c.llmShort && c.llmDetail)) errors.push("llm: required");
+  if (c.templates !== undefined) errors.push(...validateRules({ rules: [{ when: {}, use: c.templates }] }).map((e) => e.replace("rules[0].use", "templates")));
+  if (c.repairMax !== undefined && !(Number.isInteger(c.repairMax) && c.repairMax >= 0)) errors.push("repairMax: expected integer >= 0");
+  return errors;
+}
+
+// ディレクトリの *.json を読む（ファイル名順）
+function readJsonDir(dir) {
+  return fs.readdirSync(dir)
+    .filter((n) => n.endsWith(".json"))
+    .sort()
+    .map((n) => ({ file: path.join(dir, n), data: JSON.parse(fs.readFileSync(path.join(dir, n), "utf-8")) }));
+}
+
+function loadGolden(dir) {
+  return readJsonDir(dir).map(({ file, data }) => {
+    const errors = validateGolden(data);
+    if (errors.length) throw new Error(`${file}: ${errors.join("; ")}`);
+    return data;
+  });
+}
+
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const errors = validateConfig(config);
+  if (errors.length) throw new Error(`${file}: ${errors.join("; ")}`);
+  if (config.templatesDir) config.templatesDir = path.resolve(path.dirname(file), config.templatesDir);
+  return config;
+}
+
+// 設定の llm → llmConfigFromEnv と同じ形（maxOutputTokens はサーバーと同じ既定）
+const llmCfg = (c, maxOutputTokens) => ({ ...LLM_DEFAULTS, maxOutputTokens, ...c });
+
+/**
+ * 設定 1 つで golden をすべて要約・採点する
+ * makeLlm: 記録するときに使う LLM（既定は lib/llm の createLlm）
+ * @returns { config, summary（aggregate）, cases: [{ id, score, error, j, full }], llm: { hits, misses, recorded } }
+ */
+async function runConfig(config, golden, { cacheDir, record = false, makeLlm = createLlm }) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "yorisoi-eval-"));
+  const storage = createStorage({ driver: "local", rootDir, baseUrl: "http://eval.invalid", secret: "eval" });
+  const templates = createTemplates({ storage, ...(config.templatesDir ? { dir: config.templatesDir } : {}) });
+  const shortLlm = createCachedLlm({ cfg: llmCfg(config.llmShort || config.llm, 1800), dir: cacheDir, record, createLlm: makeLlm });
+  const detailLlm = createCachedLlm({ cfg: llmCfg(config.llmDetail || config.llm, 2800), dir: cacheDir, record, createLlm: makeLlm });
+  const pipeline = createPipeline({
+    storage,
+    templates,
+    detailPages: createDetailPages({ storage, ttlDays: 1, templates }),
+    audit: createAudit(storage),
+    records: null,
+    redaction: null,
+    shortLlm,
+    detailLlm,
+    repairMax: config.repairMax ?? 1,
+  });
+
+  const cases = [];
+  try {
+    if (config.templates) {
+      const { errors } = await templates.putRules({ rules: [{ when: {}, use: config.templates }] });
+      if (errors.length) throw new Error(`${config.name}: ${errors.join("; ")}`);
+    }
+    for (const g of golden) {
+      const sessionId = `eval-${g.id}`;
+      try {
+        const structured = await buildTranscript({ segments: g.segments.map((s) => ({ speaker: s.speaker ?? null, text: s.text })) });
+        await saveTranscript(storage, sessionId, structured);
+        const out = await pipeline.stages.summarize({
+          jobId: sessionId, sessionId, userId: null, language: { output: g.outputLanguage || DEFAULT_OUTPUT }, data: {},
+        });
+        if (out.data?.short) throw new Error("transcript too short to summarize");
+        const [j, full] = await Promise.all([
+          storage.readJson(`summaries/${sessionId}.json`),
+          storage.readJson(`summaries/${sessionId}.full.json`),
+        ]);
+        // 設定の版ではなく既定の版で作られた結果は、設定の結果として数えない
+        const fallback = full.templates?.fallback;
+        if (fallback) throw new Error(`template fallback: ${Object.entries(fallback).map(([k, v]) => `${k}=${v}`).join(", ")}`);
+        cases.push({ id: g.id, score: scoreCase(g, { j, full, structured }), error: null, j, full });
+      } catch (e) {
+        cases.push({ id: g.id, score: null, error: e?.message || String(e), j: null, full: null });
+      }
+    }
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+  for (const l of [shortLlm, detailLlm]) for (const k of Object.keys(stats)) stats[k] += l.stats[k];
+  return { config: { name: config.name, llm: config.llm || null, templates: config.templates || null }, summary: aggregate(cases), cases, llm: stats };
+}
+
+// 数が多いほど悪い指標（それ以外の coverage は高いほど良い）
+const LOWER_IS_BETTER = ["errors", "lengthViolations", "quoteLeaks", "hallucinatedMedications", "missingMedications", "schemaFailures"];
+
+/**
+ * 2 つの結果（runConfig の戻り値）の差分
+ * metrics: 指標ごとの { base, candidate, delta, worse }
+ * cases: 件ごとに悪くなった点・良くなった点（coverage で落ちた項目、増えた引用・薬など）
+ */
+function diffRuns(base, candidate) {
+  const metrics = {};
+  for (const [k, b] of Object.entries(base.summary)) {
+    if (k === "cases") continue;
+    const c = candidate.summary[k];
+    const delta = c - b;
+    metrics[k] = { base: b, candidate: c, delta, worse: LOWER_IS_BETTER.includes(k) ? delta > 0 : delta < 0 };
+  }
+
+  const byId = new Map(candidate.cases.map((c) => [c.id, c]));
+  const cases = [];
+  for (const b of base.cases) {
+    const c = byId.get(b.id);
+    if (!c) continue;
+    const regressions = [];
+    const improvements = [];
+    const note = (worse, text) => (worse ? regressions : improvements).push(text);
+    if (!b.score || !c.score) {
+      if (!b.score !== !c.score) note(!c.score, c.score ? `error fixed: ${b.error}` : `error: ${c.error}`);
+      if (regressions.length || improvements.length) cases.push({ id: b.id, regressions, improvements });
+      continue;
+    }
+    const missB = new Set(Object.values(b.score.coverage.fields).flatMap((f) => f.missing.map(JSON.stringify)));
+    const missC = new Set(Object.values(c.score.coverage.fields).flatMap((f) => f.missing.map(JSON.stringify)));
+    for (const m of missC) if (!missB.has(m)) note(true, `coverage lost: ${item(JSON.parse(m))}`);
+    for (const m of missB) if (!missC.has(m)) note(false, `coverage gained: ${item(JSON.parse(m))}`);
+    const count = (label, before, after) => {
+      if (after !== before) note(after > before, `${label}: ${before} → ${after}`);
+    };
+    count("length violations", b.score.length.violations.length, c.score.length.violations.length);
+    count("quote leaks", b.score.quotes.count, c.score.quotes.count);
+    const halB = new Set(b.score.medications.hallucinated);
+    for (const n of c.score.medications.hallucinated) if (!halB.has(n)) note(true, `hallucinated medication: ${n}`);
+    count("schema failures",
+      Number(!b.score.schema.short) + Number(!b.score.schema.detail),
+      Number(!c.score.schema.short) + Number(!c.score.schema.detail));
+    if (regressions.length || improvements.length) cases.push({ id: b.id, regressions, improvements });
+  }
+  return { base: base.config.name, candidate: candidate.config.name, metrics, cases };
+}
+
+const item = (m) => (Array.isArray(m) ? m.join(" + ") : m);
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+const fmt = (k, v) => (k === "coverage" ? pct(v) : String(v));
+const signed = (k, v) => (v > 0 ? "+" : v < 0 ? "" : "±") + (k === "coverage" ? pct(v) : String(v));
+
+// 結果 → 端末向けの文字列
+function formatRun(run) {
+  const s = run.summary;
+  const lines = [`== ${run.config.name} (${s.cases} cases, llm cache hits=${run.llm.hits} recorded=${run.llm.recorded})`];
+  for (const [k, v] of Object.entries(s)) if (k !== "cases") lines.push(`  ${k.padEnd(24)} ${fmt(k, v)}`);
+  for (const c of run.cases) {
+    if (c.error) {
+      lines.push(`  ! ${c.id}: ${c.error}`);
+      continue;
+    }
+    const { coverage, length, quotes, medications } = c.score;
+    lines.push(`  - ${c.id}: coverage ${coverage.hit}/${coverage.total}, length ${length.violations.length}, quotes ${quotes.count}, hallucinated ${medications.hallucinated.length}`);
+    for (const [name, f] of Object.entries(coverage.fields)) {
+      for (const m of f.missing) lines.push(`      missing ${name}: ${item(m)}`);
+    }
+    for (const v of length.violations) lines.push(`      too long ${v.field}: ${v.value} > ${v.cap}${v.kind === "count" ? " items" : " chars"}`);
+    for (const l of quotes.leaks) lines.push(`      quote ${l.at}: …${l.match}…`);
+    for (const n of medications.hallucinated) lines.push(`      hallucinated medication: ${n}`);
+  }
+  return lines.join("\n");
+}
+
+function formatDiff(diff) {
+  const lines = [`== diff ${diff.base} → ${diff.candidate}`];
+  for (const [k, m] of Object.entries(diff.metrics)) {
+    lines.push(`  ${k.padEnd(24)} ${fmt(k, m.base)} → ${fmt(k, m.candidate)} (${signed(k, m.delta)})${m.worse ? "  ← worse" : ""}`);
+  }
+  for (const c of diff.cases) {
+    for (const r of c.regressions) lines.push(`  - ${c.id}: ${r}`);
+    for (const r of c.improvements) lines.push(`  + ${c.id}: ${r}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { runConfig, diffRuns, formatRun, formatDiff, loadGolden, loadConfig, validateGolden, validateConfig };
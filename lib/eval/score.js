@@ -0,0 +1,162 @@
+// lib/eval/score.js
+
+/**
+ * 要約の採点（評価用。LLM は使わず、文字列の比較だけで決める）
+ *   coverage      正解（expected）の項目が要約に入っているか。項目は文字列か「すべて含むべき語」の配列
+ *   length        短い要約（LINE に載る方）の 1 行 40 字・件数の上限（プロンプトの指示どおりか）
+ *   quotes        会話の引用が漏れていないか（文字起こしと 15 字以上そのまま同じ / 「」で発言を引いている）
+ *   medications   詳細要約の薬のうち、文字起こしにも正解にも無い名前（作り話の疑い）
+ *   schema        スキーマ検証が通ったか（lib/summary/generate の validation）
+ * 比較の前に NFKC・空白と句読点の除去・漢数字（一〜九）→ 数字・小文字化をする（全角半角・表記の揺れで落とさない）
+ */
+const CHAR_CAP = 40;
+const COUNT_CAPS = { summary_top3: 3, decisions: 3, todos_until_next: 5, red_flags: 3, ask_next_time: 3 };
+const QUOTE_MIN = 15;
+
+// 正解の項目 → 要約のどの欄を探すか（短い要約・詳細要約の両方を見る）
+const COVERAGE_FIELDS = {
+  decisions: ["decisions"],
+  todos: ["todos_until_next"],
+  red_flags: ["red_flags"],
+  ask_next_time: ["ask_next_time"],
+  top3: ["summary_top3"],
+};
+
+const KANJI_DIGITS = "〇一二三四五六七八九";
+const norm = (s) => String(s ?? "")
+  .normalize("NFKC")
+  .replace(/[\s\p{P}]+/gu, "")
+  .replace(/[〇一二三四五六七八九]/g, (d) => String(KANJI_DIGITS.indexOf(d)))
+  .toLowerCase();
+
+// 要約の文字列をすべて（欄の名前つきで）
+function stringsOf(memo, at = "") {
+  if (typeof memo === "string") return [{ at, text: memo }];
+  if (Array.isArray(memo)) return memo.flatMap((v, i) => stringsOf(v, `${at}[${i}]`));
+  if (memo && typeof memo === "object") {
+    return Object.entries(memo)
+      .filter(([k]) => !["validation", "language", "templates"].includes(k))
+      .flatMap(([k, v]) => stringsOf(v, at ? `${at}.${k}` : k));
+  }
+  return [];
+}
+
+// 正解の 1 項目が items のどれかに当たるか（配列は全部の語を 1 つの項目が含むこと）
+function matches(expected, items) {
+  const words = (Array.isArray(expected) ? expected : [expected]).map(norm).filter(Boolean);
+  return items.some((it) => words.every((w) => norm(it).includes(w)));
+}
+
+function coverage(expected, j, full) {
+  const fields = {};
+  let hit = 0;
+  let total = 0;
+  for (const [name, keys] of Object.entries(COVERAGE_FIELDS)) {
+    const want = expected[name];
+    if (!Array.isArray(want) || !want.length) continue;
+    const items = keys.flatMap((k) => [...(j?.[k] || []), ...(full?.[k] || [])]).filter((v) => typeof v === "string");
+    const missing = want.filter((w) => !matches(w, items));
+    fields[name] = { hit: want.length - missing.length, total: want.length, missing };
+    hit += want.length - missing.length;
+    total += want.length;
+  }
+  return { rate: total ? hit / total : 1, hit, total, fields };
+}
+
+function length(j) {
+  const violations = [];
+  let items = 0;
+  for (const [field, cap] of Object.entries(COUNT_CAPS)) {
+    const list = (j?.[field] || []).filter((v) => typeof v === "string");
+    if (list.length > cap) violations.push({ field, kind: "count", value: list.length, cap });
+    list.forEach((v, i) => {
+      items++;
+      const n = [...v].length;
+      if (n > CHAR_CAP) violations.push({ field: `${field}[${i}]`, kind: "chars", value: n, cap: CHAR_CAP });
+    });
+  }
+  return { items, violations, rate: items ? 1 - violations.filter((v) => v.kind === "chars").length / items : 1 };
+}
+
+// a と b に共通する最長の部分文字列（要約の 1 項目 × 文字起こし 1 区間なので素朴な DP で足りる）
+function longestCommon(a, b) {
+  let best = 0;
+  let end = 0;
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = new Array(b.length + 1).fill(0);
+    for (let k = 1; k <= b.length; k++) {
+      if (a[i - 1] === b[k - 1]) {
+        cur[k] = prev[k - 1] + 1;
+        if (cur[k] > best) [best, end] = [cur[k], i];
+      }
+    }
+    prev = cur;
+  }
+  return a.slice(end - best, end);
+}
+
+function quotes(structured, j, full) {
+  const lines = structured.segments.map((s) => norm(s.text)).filter(Boolean);
+  const leaks = [];
+  const strings = [...stringsOf(j).map((s) => ({ ...s, at: `short.${s.at}` })), ...stringsOf(full).map((s) => ({ ...s, at: `full.${s.at}` }))];
+  for (const { at, text } of strings) {
+    const t = norm(text);
+    const quoted = [...text.matchAll(/「([^」]+)」/g)].map((m) => norm(m[1])).filter((q) => lines.some((l) => l.includes(q)));
+    const run = lines.map((l) => longestCommon(t, l)).sort((a, b) => b.length - a.length)[0] || "";
+    if (quoted.length || run.length >= QUOTE_MIN) leaks.push({ at, text, match: quoted[0] || run });
+  }
+  return { count: leaks.length, leaks };
+}
+
+// 薬の名前が文字起こし・正解（name / aliases）に出てくるか。どちらにも無ければ作り話の疑い
+function medications(structured, expected, full) {
+  const transcript = norm(structured.segments.map((s) => s.text).join(""));
+  const known = (expected.medications || []).flatMap((m) => [m.name, ...(m.aliases || [])]).map(norm).filter(Boolean);
+  const names = (full?.medications || []).map((m) => m?.name).filter((n) => typeof n === "string" && n.trim());
+  const hallucinated = names.filter((n) => {
+    const k = norm(n);
+    return !transcript.includes(k) && !known.some((x) => x.includes(k) || k.includes(x));
+  });
+  const expectedNames = (expected.medications || []).map((m) => m.name);
+  const missing = (expected.medications || [])
+    .filter((m) => !names.some((n) => [m.name, ...(m.aliases || [])].some((x) => norm(n).includes(norm(x)) || norm(x).includes(norm(n)))))
+    .map((m) => m.name);
+  return { count: names.length, expected: expectedNames.length, hallucinated, missing };
+}
+
+/**
+ * 1 件の採点
+ * golden: { expected: { decisions, todos, red_flags, ask_next_time, top3, medications: [{ name, aliases }] } }
+ * j / full: 保存された短い要約・詳細要約 / structured: 構造化トランスクリプト
+ */
+function scoreCase(golden, { j, full, structured }) {
+  const expected = golden.expected || {};
+  return {
+    coverage: coverage(expected, j, full),
+    length: length(j),
+    quotes: quotes(structured, j, full),
+    medications: medications(structured, expected, full),
+    schema: { short: !!j?.validation?.ok, detail: !!full?.validation?.ok },
+  };
+}
+
+// 設定 1 つ分の集計（エラーになった件は数えない）
+function aggregate(results) {
+  const scored = results.filter((r) => r.score);
+  const sum = (f) => scored.reduce((a, r) => a + f(r.score), 0);
+  const hit = sum((s) => s.coverage.hit);
+  const total = sum((s) => s.coverage.total);
+  return {
+    cases: results.length,
+    errors: results.length - scored.length,
+    coverage: total ? hit / total : 1,
+    lengthViolations: sum((s) => s.length.violations.length),
+    quoteLeaks: sum((s) => s.quotes.count),
+    hallucinatedMedications: sum((s) => s.medications.hallucinated.length),
+    missingMedications: sum((s) => s.medications.missing.length),
+    schemaFailures: sum((s) => Number(!s.schema.short) + Number(!s.schema.detail)),
+  };
+}
+
+module.exports = { scoreCase, aggregate, CHAR_CAP, COUNT_CAPS, QUOTE_MIN };
@@ -0,0 +1,25 @@
+// lib/ffmpeg.js
+const { execFile, spawn } = require("child_process");
+
+// 戻り値は stderr（silencedetect などの解析結果はここに出る）
+function execFFmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile("ffmpeg", ["-y", ...args], { windowsHide: true, maxBuffer: 16 * 1024 * 1024 }, (err, _stdout, stderr) => {
+      if (err) return reject(new Error(stderr || String(err)));
+      resolve(String(stderr || ""));
+    });
+  });
+}
+
+/**
+ * webm/mp4 の断片を stdin に流し込み、16kHz mono s16le PCM を stdout で受け取る（ストリーミング用）
+ */
+function spawnPcmDecoder() {
+  return spawn("ffmpeg", [
+    "-hide_banner", "-loglevel", "error",
+    "-i", "pipe:0",
+    "-f", "s16le", "-ar", "16000", "-ac", "1", "pipe:1",
+  ], { windowsHide: true });
+}
+
+module.exports = { execFFmpeg, spawnPcmDecoder };
@@ -0,0 +1,66 @@
+// lib/history.js
+
+/**
+ * 利用者ごとの受診履歴（history/{userId}/{日時}_{sessionId}.json）
+ * 配信が済んだジョブごとに 1 件
+ * {
+ *   sessionId, jobId, date（受診日時 = セッション開始）, clinic, title, summary, top3: [...],
+ *   short（短すぎてメモなし）, deliveredAt,
+ *   links: { summary: "/sessions/{id}/summary", detail: "/sessions/{id}/detail-url" }
+ * }
+ * キーの先頭が日時なので、prefix の一覧を逆順に並べれば新しい順になる
+ */
+const stamp = (iso) => iso.replace(/[-:.]/g, ""); // 2025-09-18T05:50:32.812Z → 20250918T055032812Z
+
+function createHistory(storage) {
+  const prefix = (userId) => `history/${userId}/`;
+
+  return {
+    async append(userId, entry) {
+      const key = `${prefix(userId)}${stamp(entry.date)}_${entry.sessionId}.json`;
+      await storage.writeJson(key, entry, { cacheControl: "no-store" });
+      return key;
+    },
+
+    /**
+     * 新しい順に limit 件。from / to（ISO 日時または YYYY-MM-DD）で受診日を絞り、
+     * 続きは返した nextCursor を cursor に渡す
+     * @returns {{ items, nextCursor }}
+     */
+    async list(userId, { limit = 20, cursor, from, to } = {}) {
+      const p = prefix(userId);
+      const fromStamp = from ? stamp(new Date(from).toISOString()) : null;
+      // to が日付だけならその日の終わりまで含める
+      const toStamp = to ? stamp(new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).toISOString()) : null;
+
+      const names = (await storage.list(p))
+        .map((k) => k.slice(p.length))
+        .filter((n) => n.endsWith(".json"))
+        .sort((a, b) => b.localeCompare(a))
+        .filter((n) => {
+          const s = n.split("_")[0];
+          return (!fromStamp || s >= fromStamp) && (!toStamp || s <= toStamp) && (!cursor || n < cursor);
+        });
+
+      const page = names.slice(0, limit);
+      const items = [];
+      for (const n of page) {
+        try {
+          items.push(await storage.readJson(p + n));
+        } catch (e) {
+          if (e.code !== 404) throw e; // 一覧後に消えたもの
+        }
+      }
+      return { items, nextCursor: names.length > limit ? page[page.length - 1] : null };
+    },
+
+    async removeSession(userId, sessionId) {
+      const p = prefix(userId);
+      for (const k of await storage.list(p)) {
+        if (k.endsWith(`_${sessionId}.json`)) await storage.remove(k);
+      }
+    },
+  };
+}
+
+module.exports = { createHistory };
@@ -0,0 +1,282 @@
+// lib/i18n.js
+
+/**
+ * セッションごとの言語の設定と、メモ・詳細ページの見出し
+ *   code: 認識言語（BCP-47。例 ja-JP / en-US / vi-VN）
+ *   alternatives: ほかに話されそうな言語（通訳を交えた診察など。最大 3 つ）
+ *   output: メモを書く言語（OUTPUTS のキー。"ja-easy" はやさしい日本語）
+ * output は要約JSON（j / full）の language にも残し、メモ・詳細ページはそこから見出しを選ぶ
+ */
+const LANGUAGE_CODE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+const MAX_ALTERNATIVES = 3; // Google STT の alternativeLanguageCodes の上限
+const DEFAULT_OUTPUT = "ja";
+
+// name: LLM への指示に使う言語名 / htmlLang: <html lang>
+const OUTPUTS = {
+  ja: {
+    name: "日本語",
+    htmlLang: "ja",
+    labels: {
+      memo: "診察メモ",
+      detail: "診察メモ（詳細）",
+      top: "きょうの要点",
+      summary: "概要",
+      decisions: "決まったこと",
+      todos: "あなたがやること",
+      redFlags: "こんな時は連絡/受診",
+      askNext: "次回ききたいこと",
+      terms: "やさしい言い換え",
+      timeline: "予定表",
+      calendar: "カレンダーに追加（.ics）",
+      transcript: "文字起こし（全文）",
+      conversation: "会話",
+      disclaimer: "※このメモは診断ではありません。変化や不安がある時は医療者へ相談してください。",
+      seeDetail: "詳細ページをご覧ください",
+      viewDetail: "詳細を見る",
+      linkValid: (days) => `${days}日有効`,
+      remind: "TODOをリマインド",
+      reissue: "詳細を再発行",
+      shortNote: "（短い内容のためメモは作成しませんでした）",
+      silentNote: "（録音に会話がほとんど入っていなかったため、メモは作成しませんでした。マイクの位置を確かめて、もう一度お試しください）",
+    },
+  },
+  "ja-easy": {
+    name: "やさしい日本語",
+    htmlLang: "ja",
+    labels: {
+      memo: "しんさつの メモ",
+      detail: "しんさつの メモ（くわしく）",
+      top: "きょうの だいじな こと",
+      summary: "まとめ",
+      decisions: "きまった こと",
+      todos: "あなたが する こと",
+      redFlags: "こんな ときは 病院に 電話",
+      askNext: "つぎに 医者に きく こと",
+      terms: "ことばの いみ",
+      timeline: "これからの よてい",
+      calendar: "カレンダーに 入れる（.ics）",
+      transcript: "話した ことば（ぜんぶ）",
+      conversation: "話",
+      disclaimer: "※この メモは 診断（しんだん）では ありません。しんぱいな ときは 病院に 聞いて ください。",
+      seeDetail: "くわしい ページを 見て ください",
+      viewDetail: "くわしく 見る",
+      linkValid: (days) => `${days}日 見る ことが できます`,
+      remind: "する ことを おしらせ",
+      reissue: "リンクを もう一度",
+      shortNote: "（話が みじかかったので メモは つくりませんでした）",
+      silentNote: "（ろくおんに 話が ほとんど 入って いませんでした。マイクの 場所を たしかめて、もう一度 ためして ください）",
+    },
+  },
+  en: {
+    name: "English",
+    htmlLang: "en",
+    labels: {
+      memo: "Visit notes",
+      detail: "Visit notes (details)",
+      top: "Key points today",
+      summary: "Summary",
+      decisions: "What was decided",
+      todos: "What you should do",
+      redFlags: "Contact the clinic if",
+      askNext: "Questions for next time",
+      terms: "Medical terms explained",
+      timeline: "Schedule",
+      calendar: "Add to calendar (.ics)",
+      transcript: "Transcript (full)",
+      conversation: "conversation",
+      disclaimer: "* These notes are not a diagnosis. If anything changes or you are worried, please ask your care team.",
+      seeDetail: "Please open the details page",
+      viewDetail: "View details",
+      linkValid: (days) => `valid for ${days} days`,
+      remind: "Remind me of to-dos",
+      reissue: "New details link",
+      shortNote: "(The recording was too short to make notes.)",
+      silentNote: "(The recording had almost no conversation, so no notes were made. Please check the microphone and try again.)",
+    },
+  },
+  zh: {
+    name: "简体中文",
+    htmlLang: "zh-Hans",
+    labels: {
+      memo: "就诊记录",
+      detail: "就诊记录（详细）",
+      top: "今天的要点",
+      summary: "概要",
+      decisions: "已决定的事项",
+      todos: "您需要做的事",
+      redFlags: "出现以下情况请联系或就诊",
+      askNext: "下次想问的问题",
+      terms: "医学用语说明",
+      timeline: "日程",
+      calendar: "添加到日历（.ics）",
+      transcript: "录音文字（全文）",
+      conversation: "对话",
+      disclaimer: "※本记录不是诊断。如有变化或担心，请咨询医护人员。",
+      seeDetail: "请查看详细页面",
+      viewDetail: "查看详细",
+      linkValid: (days) => `${days}天内有效`,
+      remind: "提醒待办事项",
+      reissue: "重新发送链接",
+      shortNote: "（内容太短，未生成记录）",
+      silentNote: "（录音中几乎没有对话，未生成记录。请确认麦克风位置后再试一次）",
+    },
+  },
+  ko: {
+    name: "한국어",
+    htmlLang: "ko",
+    labels: {
+      memo: "진료 메모",
+      detail: "진료 메모(상세)",
+      top: "오늘의 요점",
+      summary: "개요",
+      decisions: "결정된 사항",
+      todos: "해야 할 일",
+      redFlags: "이럴 때는 연락/진료",
+      askNext: "다음에 물어볼 것",
+      terms: "의학 용어 풀이",
+      timeline: "일정",
+      calendar: "캘린더에 추가(.ics)",
+      transcript: "녹음 내용(전문)",
+      conversation: "대화",
+      disclaimer: "※이 메모는 진단이 아닙니다. 변화나 걱정이 있으면 의료진과 상담하세요.",
+      seeDetail: "상세 페이지를 확인하세요",
+      viewDetail: "상세 보기",
+      linkValid: (days) => `${days}일간 유효`,
+      remind: "할 일 알림",
+      reissue: "링크 다시 받기",
+      shortNote: "(내용이 짧아 메모를 만들지 않았습니다)",
+      silentNote: "(녹음에 대화가 거의 없어 메모를 만들지 않았습니다. 마이크 위치를 확인하고 다시 시도해 주세요)",
+    },
+  },
+  vi: {
+    name: "Tiếng Việt",
+    htmlLang: "vi",
+    labels: {
+      memo: "Ghi chú khám bệnh",
+      detail: "Ghi chú khám bệnh (chi tiết)",
+      top: "Điểm chính hôm nay",
+      summary: "Tóm tắt",
+      decisions: "Những điều đã quyết định",
+      todos: "Việc bạn cần làm",
+      redFlags: "Hãy liên hệ hoặc đi khám khi",
+      askNext: "Câu hỏi cho lần sau",
+      terms: "Giải thích thuật ngữ",
+      timeline: "Lịch hẹn",
+      calendar: "Thêm vào lịch (.ics)",
+      transcript: "Nội dung ghi âm (toàn bộ)",
+      conversation: "hội thoại",
+      disclaimer: "* Ghi chú này không phải là chẩn đoán. Nếu có thay đổi hoặc lo lắng, hãy hỏi nhân viên y tế.",
+      seeDetail: "Vui lòng xem trang chi tiết",
+      viewDetail: "Xem chi tiết",
+      linkValid: (days) => `hiệu lực ${days} ngày`,
+      remind: "Nhắc việc cần làm",
+      reissue: "Gửi lại liên kết",
+      shortNote: "(Nội dung quá ngắn nên không tạo ghi chú.)",
+      silentNote: "(Bản ghi âm gần như không có hội thoại nên không tạo ghi chú. Hãy kiểm tra vị trí micro và thử lại.)",
+    },
+  },
+  pt: {
+    name: "Português (Brasil)",
+    htmlLang: "pt-BR",
+    labels: {
+      memo: "Anotações da consulta",
+      detail: "Anotações da consulta (detalhes)",
+      top: "Pontos principais de hoje",
+      summary: "Resumo",
+      decisions: "O que foi decidido",
+      todos: "O que você deve fazer",
+      redFlags: "Procure a clínica se",
+      askNext: "Perguntas para a próxima vez",
+      terms: "Termos médicos explicados",
+      timeline: "Agenda",
+      calendar: "Adicionar ao calendário (.ics)",
+      transcript: "Transcrição (completa)",
+      conversation: "conversa",
+      disclaimer: "* Estas anotações não são um diagnóstico. Se algo mudar ou você estiver preocupado, consulte a equipe de saúde.",
+      seeDetail: "Abra a página de detalhes",
+      viewDetail: "Ver detalhes",
+      linkValid: (days) => `válido por ${days} dias`,
+      remind: "Lembrar tarefas",
+      reissue: "Novo link",
+      shortNote: "(A gravação foi curta demais para gerar anotações.)",
+      silentNote: "(A gravação quase não tinha conversa, por isso não geramos anotações. Verifique o microfone e tente novamente.)",
+    },
+  },
+  es: {
+    name: "Español",
+    htmlLang: "es",
+    labels: {
+      memo: "Notas de la consulta",
+      detail: "Notas de la consulta (detalles)",
+      top: "Puntos clave de hoy",
+      summary: "Resumen",
+      decisions: "Lo que se decidió",
+      todos: "Lo que usted debe hacer",
+      redFlags: "Contacte a la clínica si",
+      askNext: "Preguntas para la próxima vez",
+      terms: "Términos médicos explicados",
+      timeline: "Agenda",
+      calendar: "Añadir al calendario (.ics)",
+      transcript: "Transcripción (completa)",
+      conversation: "conversación",
+      disclaimer: "* Estas notas no son un diagnóstico. Si algo cambia o le preocupa, consulte al personal médico.",
+      seeDetail: "Abra la página de detalles",
+      viewDetail: "Ver detalles",
+      linkValid: (days) => `válido por ${days} días`,
+      remind: "Recordar tareas",
+      reissue: "Nuevo enlace",
+      shortNote: "(La grabación fue demasiado corta para crear notas.)",
+      silentNote: "(La grabación casi no tenía conversación, así que no se crearon notas. Revise el micrófono e inténtelo de nuevo.)",
+    },
+  },
+};
+
+// 書ける言語か（"constructor" などオブジェクトの継承したキーは通さない）
+const isOutput = (output) => typeof output === "string" && Object.prototype.hasOwnProperty.call(OUTPUTS, output);
+
+// 未知・未指定は日本語
+const outputOf = (output) => OUTPUTS[isOutput(output) ? output : DEFAULT_OUTPUT];
+const labelsFor = (output) => outputOf(output).labels;
+const htmlLangOf = (output) => outputOf(output).htmlLang;
+
+// カンマ区切りの文字列（WebSocket の query）も配列として受ける
+const listOf = (v) => (typeof v === "string" ? v.split(",").map((s) => s.trim()).filter(Boolean) : v);
+
+/**
+ * { languageCode, alternativeLanguageCodes, outputLanguage }（/finalize の body・/stream の query）を確かめる
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateLanguage(input) {
+  const errors = [];
+  const { languageCode, outputLanguage } = input || {};
+  const alternatives = listOf(input?.alternativeLanguageCodes);
+  if (languageCode !== undefined && !(typeof languageCode === "string" && LANGUAGE_CODE_RE.test(languageCode))) {
+    errors.push("languageCode: expected BCP-47 code (e.g. ja-JP)");
+  }
+  if (alternatives !== undefined) {
+    if (!Array.isArray(alternatives) || alternatives.length > MAX_ALTERNATIVES) {
+      errors.push(`alternativeLanguageCodes: expected array (max ${MAX_ALTERNATIVES})`);
+    } else if (alternatives.some((c) => typeof c !== "string" || !LANGUAGE_CODE_RE.test(c))) {
+      errors.push("alternativeLanguageCodes: expected BCP-47 codes");
+    }
+  }
+  if (outputLanguage !== undefined && !isOutput(outputLanguage)) {
+    errors.push(`outputLanguage: one of ${Object.keys(OUTPUTS).join("/")}`);
+  }
+  return errors;
+}
+
+/**
+ * 確かめた入力 + 既定値 → { code, alternatives, output }
+ */
+function languageSettings(input, { code, output = DEFAULT_OUTPUT }) {
+  const primary = input?.languageCode || code;
+  const alternatives = listOf(input?.alternativeLanguageCodes) || [];
+  return {
+    code: primary,
+    alternatives: [...new Set(alternatives)].filter((c) => c !== primary),
+    output: input?.outputLanguage || output,
+  };
+}
+
+module.exports = { validateLanguage, languageSettings, labelsFor, htmlLangOf, isOutput, OUTPUTS, DEFAULT_OUTPUT };
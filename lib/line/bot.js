@@ -0,0 +1,273 @@
+// lib/line/bot.js
+const { memoSections, shortText } = require("./memo");
+const { buildMemoMessage } = require("./flex");
+const { SESSION_ID_RE } = require("../sessions");
+
+// 経過記録が無効なら「経過」の行は出さない
+const helpText = ({ timeline }) => [
+  "■使い方",
+  "録音は LIFF の画面から行ってください。診察メモはこのトークに届きます。",
+  "",
+  "次の言葉を送ると操作できます。",
+  "・履歴：これまでの診察メモの一覧",
+  "・最新：最新の診察メモをもう一度送る（詳細ページのリンクも新しくなります）",
+  "・メモの下のボタンで、やること（TODO）をもう一度送ったり、詳細ページのリンクを作り直したりできます",
+  ...(timeline ? ["・経過：これまでの受診をまとめたページ（薬・検査・やること）"] : []),
+  "・削除：あなたの録音・文字起こし・メモをすべて削除",
+  "・ヘルプ：この説明",
+].join("\n");
+
+const HISTORY_LIMIT = 5;
+
+// 監査ログの actor（トークからの操作）
+const lineActor = (ctx) => ({ type: "line", id: ctx.userId });
+
+// 日付表示（Asia/Tokyo）
+const dateLabel = (iso) => new Date(iso).toLocaleDateString("ja-JP", { timeZone: "Asia/Tokyo", month: "numeric", day: "numeric" });
+
+const postbackItem = (label, data, displayText) => ({
+  type: "action",
+  action: { type: "postback", label: label.slice(0, 20), data, ...(displayText ? { displayText } : {}) },
+});
+
+/**
+ * LINE Bot（Webhook の受け口）
+ * テキストは command(names, handler) に登録した言葉で、ポストバック（クイックリプライのボタン）は
+ * data の action（"action=memo&sessionId=..." の形）で postback(action, handler) に振り分ける
+ * handler(ctx): ctx = { event, userId, text, params（ポストバックの data）, reply(messages) }
+ * reviews（lib/review）があれば、確認中・差し戻しのメモは履歴にも再送にも出さない
+ */
+function createLineBot({ lineClient, storage, sessions, records, detailPages, audit, redaction, reminders = null, reviews = null, detailUrlTtlDays, memoFormat = "flex", brand = null }) {
+  const commands = new Map();
+  const postbacks = new Map();
+
+  const bot = {
+    command(names, handler) {
+      for (const n of [].concat(names)) commands.set(n, handler);
+      return bot;
+    },
+
+    postback(action, handler) {
+      postbacks.set(action, handler);
+      return bot;
+    },
+
+    async handleEvents(events) {
+      for (const ev of events) {
+        try {
+          await handleEvent(ev);
+        } catch (e) {
+          console.error("[line/bot] event failed:", ev.type, e?.message);
+        }
+      }
+    },
+  };
+
+  async function handleEvent(ev) {
+    const userId = ev.source?.userId;
+    const reply = (messages) => lineClient.replyMessage({ replyToken: ev.replyToken, messages: [].concat(messages) });
+
+    if (ev.type === "follow") {
+      return reply({ type: "text", text: "友だち追加ありがとうございます。LIFFから録音して送ってください。\n使い方は「ヘルプ」と送ってください。" });
+    }
+    if (!userId || !ev.replyToken) return;
+
+    if (ev.type === "message" && ev.message?.type === "text") {
+      const text = ev.message.text.trim();
+      const handler = commands.get(text);
+      if (handler) return handler({ event: ev, userId, text, params: null, reply });
+      return reply({
+        type: "text",
+        text: "ごめんなさい、このトークではご質問にお答えできません。\n体調の変化や心配なことは、かかりつけの医療機関に直接ご連絡ください。",
+        quickReply: { items: [postbackItem("使い方", "action=help", "ヘルプ")] },
+      });
+    }
+
+    if (ev.type === "postback") {
+      const params = new URLSearchParams(ev.postback?.data || "");
+      const handler = postbacks.get(params.get("action"));
+      if (handler) return handler({ event: ev, userId, text: null, params, reply });
+      console.warn("[line/bot] unknown postback:", ev.postback?.data);
+    }
+  }
+
+  // ---- 既定のコマンド ----
+
+  // 配信前の確認（reviews）があれば承認済みのものだけ見せる
+  const released = (sessionId) => (reviews ? reviews.released(sessionId) : true);
+
+  // 要約まで済んだセッション（新しい順。確認中・差し戻しは除く）
+  async function memoSessions(userId) {
+    const owned = await sessions.listOwned(userId);
+    const out = [];
+    for (const s of owned) {
+      if (await storage.exists(`summaries/${s.sessionId}.html`) && await released(s.sessionId)) out.push(s);
+    }
+    return out;
+  }
+
+  const notFound = (ctx) => ctx.reply({ type: "text", text: "その診察メモは見つかりませんでした。" });
+
+  // 本人の要約（元に戻したもの）→ { j, full }。見つからなければ「見つかりません」と返して null
+  async function loadMemo(ctx, sessionId) {
+    if (!SESSION_ID_RE.test(sessionId) || !(await sessions.isOwner(sessionId, ctx.userId)) || !(await released(sessionId))) {
+      await notFound(ctx);
+      return null;
+    }
+    let j, full;
+    try {
+      [j, full] = await Promise.all([
+        storage.readJson(`summaries/${sessionId}.json`),
+        storage.readJson(`summaries/${sessionId}.full.json`),
+      ]);
+    } catch (e) {
+      if (e.code !== 404) throw e;
+      await notFound(ctx);
+      return null;
+    }
+    if (redaction) ({ j, full } = await redaction.reveal(sessionId, { j, full }));
+    return { j, full };
+  }
+
+  async function sendMemo(ctx, sessionId) {
+    const memo = await loadMemo(ctx, sessionId);
+    if (!memo) return;
+    // 詳細ページのリンク（と埋め込みの録音）は期限付きなので送るたびに作り直す
+    // 読んだあとに要約が消えていれば（保存期間の削除など）見つからない扱い
+    const link = await detailPages.refresh(sessionId);
+    if (!link) return notFound(ctx);
+    const detailUrl = link.url;
+    await audit.log({ action: "memo.resend", actor: lineActor(ctx), sessionId, userId: ctx.userId });
+    const { message } = buildMemoMessage(memo.j, memo.full, { detailUrl, ttlDays: detailUrlTtlDays, sessionId, format: memoFormat, brand });
+    return ctx.reply(message);
+  }
+
+  // メモの「TODOをリマインド」: 要約から読み取ったリマインダーを見せて、登録するか選んでもらう
+  // 日時が読み取れなかったときは、やることだけをもう一度送る
+  async function remindTodos(ctx, sessionId) {
+    const memo = await loadMemo(ctx, sessionId);
+    if (!memo) return;
+    const view = reminders ? await reminders.view(sessionId) : null;
+    const items = (view?.items || []).filter((i) => i.enabled);
+    if (!view || !items.length) {
+      const { todosUntilNext } = memoSections(memo.j, memo.full);
+      if (!todosUntilNext.length) return ctx.reply({ type: "text", text: "このメモには、やること（TODO）はありません。" });
+      return ctx.reply({ type: "text", text: `✅ 次の受診までにやること\n${todosUntilNext.map((x) => `・ ${x}`).join("\n")}` });
+    }
+    const lines = items.map((i) => `・${i.label}\n　${shortText(i.text, 40)}`).join("\n");
+    const data = (op) => `action=reminders&sessionId=${sessionId}&op=${op}`;
+    if (view.status === "confirmed") {
+      return ctx.reply({
+        type: "text",
+        text: `■登録済みのリマインド\n${lines}`,
+        quickReply: { items: [postbackItem("リマインドを止める", data("cancel"), "リマインドを止める")] },
+      });
+    }
+    return ctx.reply({
+      type: "text",
+      text: `■リマインドの候補\n${lines}\n\nこの内容で LINE にお知らせします。日時の変更は LIFF の画面からできます。`,
+      quickReply: {
+        items: [
+          postbackItem("この内容で登録", data("confirm"), "この内容で登録"),
+          postbackItem("登録しない", data("cancel"), "登録しない"),
+        ],
+      },
+    });
+  }
+
+  async function reminderAction(ctx) {
+    const sessionId = ctx.params.get("sessionId") || "";
+    const op = ctx.params.get("op");
+    if (!SESSION_ID_RE.test(sessionId) || !(await sessions.isOwner(sessionId, ctx.userId)) || !["confirm", "cancel"].includes(op)) {
+      return ctx.reply({ type: "text", text: "そのリマインドは見つかりませんでした。" });
+    }
+    const doc = await reminders.update(sessionId, { status: op === "confirm" ? "confirmed" : "cancelled" });
+    if (!doc) return ctx.reply({ type: "text", text: "そのリマインドは見つかりませんでした。" });
+    await audit.log({ action: `reminder.${op}`, actor: lineActor(ctx), sessionId, userId: ctx.userId });
+    const count = doc.items.filter((i) => i.nextAt).length;
+    return ctx.reply({
+      type: "text",
+      text: op === "confirm" ? `リマインドを登録しました（${count}件）。時間になったらこのトークでお知らせします。` : "リマインドを止めました。",
+    });
+  }
+
+  const help = (ctx) => ctx.reply({ type: "text", text: helpText({ timeline: !!records }) });
+
+  async function history(ctx) {
+    const list = (await memoSessions(ctx.userId)).slice(0, HISTORY_LIMIT);
+    if (!list.length) return ctx.reply({ type: "text", text: "まだ診察メモはありません。" });
+
+    const lines = [];
+    for (const [i, s] of list.entries()) {
+      // 保存しているのは伏せ字の要約なので、見せる前に元に戻す
+      let top = "";
+      try {
+        top = (await storage.readJson(`summaries/${s.sessionId}.json`)).summary_top3?.[0] || "";
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+      if (top && redaction) top = await redaction.reveal(s.sessionId, top);
+      lines.push(`${i + 1}. ${dateLabel(s.createdAt)} ${shortText(top, 30)}`);
+    }
+    return ctx.reply({
+      type: "text",
+      text: `■これまでの診察メモ（新しい順）\n${lines.join("\n")}\n\n下のボタンでメモをもう一度送ります。`,
+      quickReply: {
+        items: list.map((s, i) => postbackItem(`${i + 1}. ${dateLabel(s.createdAt)}のメモ`, `action=memo&sessionId=${s.sessionId}`)),
+      },
+    });
+  }
+
+  async function latest(ctx) {
+    const [last] = await memoSessions(ctx.userId);
+    if (!last) return ctx.reply({ type: "text", text: "まだ診察メモはありません。" });
+    return sendMemo(ctx, last.sessionId);
+  }
+
+  // 削除は確認ボタンを押したときだけ実行
+  const confirmDelete = (ctx) => ctx.reply({
+    type: "text",
+    text: "あなたの録音・文字起こし・診察メモをすべて削除します。元に戻せません。よろしいですか？",
+    quickReply: {
+      items: [
+        postbackItem("削除する", "action=delete&confirm=1", "削除する"),
+        postbackItem("やめる", "action=delete&confirm=0", "やめる"),
+      ],
+    },
+  });
+
+  async function doDelete(ctx) {
+    if (ctx.params.get("confirm") !== "1") return ctx.reply({ type: "text", text: "削除をやめました。" });
+    const deleted = await sessions.purgeUser(ctx.userId);
+    for (const sessionId of deleted) {
+      await audit.log({ action: "session.delete", actor: lineActor(ctx), sessionId, userId: ctx.userId });
+    }
+    await audit.log({ action: "user.delete", actor: lineActor(ctx), userId: ctx.userId, detail: { sessions: deleted.length } });
+    console.log(`[line/bot] deleted ${deleted.length} sessions for ${ctx.userId}`);
+    return ctx.reply({ type: "text", text: `削除しました（${deleted.length}件）。` });
+  }
+
+  // 経過記録が有効なときだけ
+  async function timeline(ctx) {
+    const url = await records.publish(ctx.userId, { expires: Date.now() + detailUrlTtlDays*24*60*60*1000 });
+    if (!url) return ctx.reply({ type: "text", text: "まだ経過の記録はありません。" });
+    await audit.log({ action: "timeline.issue", actor: lineActor(ctx), userId: ctx.userId });
+    return ctx.reply({ type: "text", text: `■これまでの経過（${detailUrlTtlDays}日有効）\n${url}` });
+  }
+  if (records) bot.command("経過", timeline);
+  if (reminders) bot.postback("reminders", reminderAction);
+
+  bot
+    .command(["ヘルプ", "help"], help)
+    .command("履歴", history)
+    .command("最新", latest)
+    .command("削除", confirmDelete)
+    .postback("help", help)
+    .postback("memo", (ctx) => sendMemo(ctx, ctx.params.get("sessionId") || ""))
+    .postback("remind", (ctx) => remindTodos(ctx, ctx.params.get("sessionId") || ""))
+    .postback("delete", doDelete);
+
+  return bot;
+}
+
+module.exports = { createLineBot };
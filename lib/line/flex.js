@@ -0,0 +1,233 @@
+// lib/line/flex.js
+const { buildMemoText, memoSections } = require("./memo");
+const { labelsFor } = require("../i18n");
+
+/**
+ * 診察メモの Flex Message（要点・決まったこと・やること・受診の目安・次回ききたいこと）
+ * 項目が少なければ 1 枚のバブル、多ければ見出しごとのカルーセルにし、どのバブルにも詳細ページのボタンを付ける
+ * 見出し・ボタンは要約の言語（j.language。lib/i18n）に合わせる
+ * brand（lib/tenants の brandOf）があれば、ヘッダに医療機関のロゴと名前を出し、見出しとボタンをその色にする
+ * validateFlexMessage で LINE の制約を確かめ、通らなければ buildMemoMessage がテキスト（buildMemoText）に切り替える
+ * ここは純粋な関数なので LINE に送らずに試せる
+ */
+
+// LINE Messaging API の上限（https://developers.line.biz/ja/reference/messaging-api/#flex-message）
+const LIMITS = {
+  altText: 1500,
+  carouselBubbles: 12,
+  bubbleBytes: 30 * 1024,
+  carouselBytes: 50 * 1024,
+  buttonLabel: 40,
+  uri: 1000,
+  imageUrl: 2000,
+  quickReplyItems: 13,
+  quickReplyLabel: 20,
+  postbackData: 300,
+};
+const URI_RE = /^(https?|line|tel):/;
+const BUBBLE_MAX_ITEMS = 10; // これより多ければカルーセル
+
+const COLORS = { title: "#2E7D5B", danger: "#C0392B", sub: "#888888" };
+
+const text = (t, extra = {}) => ({ type: "text", text: t, wrap: true, size: "sm", ...extra });
+
+function sectionBox(title, items, color) {
+  return {
+    type: "box",
+    layout: "vertical",
+    spacing: "xs",
+    contents: [
+      text(title, { weight: "bold", size: "md", color }),
+      ...items.map((x) => text(`・${x}`)),
+    ],
+  };
+}
+
+// ヘッダ（医療機関のロゴ・名前 + メモの見出し）
+function header(title, brand) {
+  const contents = [];
+  if (brand?.logoUrl) contents.push({ type: "image", url: brand.logoUrl, size: "xs", align: "start", aspectMode: "fit" });
+  if (brand?.name) contents.push(text(brand.name, { size: "xs", color: COLORS.sub }));
+  contents.push(text(title, { weight: "bold", size: "lg" }));
+  return { type: "box", layout: "vertical", spacing: "xs", contents };
+}
+
+function bubble(sections, { detailUrl, ttlDays, title, L, brand, color }) {
+  return {
+    type: "bubble",
+    header: header(title, brand),
+    body: { type: "box", layout: "vertical", spacing: "lg", contents: sections },
+    footer: {
+      type: "box",
+      layout: "vertical",
+      spacing: "xs",
+      contents: [
+        { type: "button", style: "primary", color, action: { type: "uri", label: L.viewDetail, uri: detailUrl } },
+        text(`🔗 ${L.linkValid(ttlDays)}`, { size: "xs", color: COLORS.sub, align: "center" }),
+      ],
+    },
+  };
+}
+
+// 受け取った後の操作（TODO のリマインド・詳細ページのリンクの再発行）
+function memoQuickReply(sessionId, output) {
+  const L = labelsFor(output);
+  const item = (label, data) => ({ type: "action", action: { type: "postback", label, data, displayText: label } });
+  return {
+    items: [
+      item(L.remind, `action=remind&sessionId=${sessionId}`),
+      item(L.reissue, `action=memo&sessionId=${sessionId}`),
+    ],
+  };
+}
+
+/**
+ * j: 短い要約JSON / full: 詳細要約JSON → Flex Message
+ * opts: { detailUrl, ttlDays, sessionId（クイックリプライ用。無ければ付けない）, title, brand }
+ */
+function buildMemoFlex(j, full, { detailUrl, ttlDays, sessionId = null, title = null, brand = null }) {
+  const L = labelsFor(j.language);
+  title = title || L.memo;
+  const color = brand?.color || COLORS.title;
+  const s = memoSections(j, full);
+  const top = s.summaryTop3.length ? s.summaryTop3 : s.summaryLines;
+  const sections = [
+    [L.top, top],
+    [L.decisions, s.decisions],
+    [L.todos, s.todosUntilNext],
+    [L.redFlags, s.redFlags, COLORS.danger],
+    [L.askNext, s.askNextTime],
+  ].filter(([, items]) => items.length);
+  if (!sections.length) sections.push([L.top, [L.seeDetail]]);
+
+  const count = sections.reduce((a, [, items]) => a + items.length, 0);
+  const opts = { detailUrl, ttlDays, title, L, brand, color };
+  const contents = count <= BUBBLE_MAX_ITEMS
+    ? bubble(sections.map(([t, items, c]) => sectionBox(t, items, c || color)), opts)
+    : {
+      type: "carousel",
+      contents: sections.map(([t, items, c], i) => bubble([sectionBox(t, items, c || color)], {
+        ...opts,
+        title: `${title}（${i + 1}/${sections.length}）`,
+      })),
+    };
+
+  return {
+    type: "flex",
+    altText: [`■${title}`, ...top.map((x) => `・${x}`)].join("\n"),
+    contents,
+    ...(sessionId ? { quickReply: memoQuickReply(sessionId, j.language) } : {}),
+  };
+}
+
+/**
+ * Flex Message を LINE の制約で確かめる（送る前の検査。全部は見ないが、よく踏むものは押さえる）
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateFlexMessage(msg) {
+  const errors = [];
+  const bytes = (v) => Buffer.byteLength(JSON.stringify(v), "utf-8");
+
+  if (!msg || msg.type !== "flex") return ["type: expected flex"];
+  if (typeof msg.altText !== "string" || !msg.altText) errors.push("altText: required");
+  else if (msg.altText.length > LIMITS.altText) errors.push(`altText: too long (max ${LIMITS.altText})`);
+
+  function checkAction(a, at, labelMax) {
+    if (!a || typeof a !== "object") return errors.push(`${at}: expected object`);
+    if (a.label !== undefined && (typeof a.label !== "string" || a.label.length > labelMax)) {
+      errors.push(`${at}.label: max ${labelMax} chars`);
+    }
+    if (a.type === "uri") {
+      if (typeof a.uri !== "string" || !URI_RE.test(a.uri)) errors.push(`${at}.uri: expected http(s)/line/tel URI`);
+      else if (a.uri.length > LIMITS.uri) errors.push(`${at}.uri: too long (max ${LIMITS.uri})`);
+    } else if (a.type === "postback") {
+      if (typeof a.data !== "string" || !a.data || a.data.length > LIMITS.postbackData) {
+        errors.push(`${at}.data: 1-${LIMITS.postbackData} chars`);
+      }
+    } else if (a.type !== "message") {
+      errors.push(`${at}.type: unsupported ${a.type}`);
+    }
+  }
+
+  function checkComponent(c, at) {
+    if (!c || typeof c !== "object") return errors.push(`${at}: expected object`);
+    switch (c.type) {
+      case "box":
+        if (!["vertical", "horizontal", "baseline"].includes(c.layout)) errors.push(`${at}.layout: invalid`);
+        if (!Array.isArray(c.contents)) errors.push(`${at}.contents: expected array`);
+        else c.contents.forEach((x, i) => checkComponent(x, `${at}.contents[${i}]`));
+        break;
+      case "text":
+        if (typeof c.text !== "string" || !c.text) errors.push(`${at}.text: required`);
+        break;
+      case "button":
+        checkAction(c.action, `${at}.action`, LIMITS.buttonLabel);
+        break;
+      case "image":
+        if (typeof c.url !== "string" || !/^https:\/\//.test(c.url)) errors.push(`${at}.url: expected https URL`);
+        else if (c.url.length > LIMITS.imageUrl) errors.push(`${at}.url: too long (max ${LIMITS.imageUrl})`);
+        break;
+      case "separator":
+      case "filler":
+        break;
+      default:
+        errors.push(`${at}.type: unsupported ${c.type}`);
+    }
+  }
+
+  function checkBubble(b, at) {
+    if (!b || b.type !== "bubble") return errors.push(`${at}.type: expected bubble`);
+    for (const block of ["header", "hero", "body", "footer"]) {
+      if (b[block] !== undefined) checkComponent(b[block], `${at}.${block}`);
+    }
+    if (bytes(b) > LIMITS.bubbleBytes) errors.push(`${at}: too large (max ${LIMITS.bubbleBytes} bytes)`);
+  }
+
+  const c = msg.contents;
+  if (c?.type === "carousel") {
+    if (!Array.isArray(c.contents) || !c.contents.length || c.contents.length > LIMITS.carouselBubbles) {
+      errors.push(`contents.contents: 1-${LIMITS.carouselBubbles} bubbles`);
+    } else {
+      c.contents.forEach((b, i) => checkBubble(b, `contents.contents[${i}]`));
+    }
+    if (bytes(c) > LIMITS.carouselBytes) errors.push(`contents: too large (max ${LIMITS.carouselBytes} bytes)`);
+  } else {
+    checkBubble(c, "contents");
+  }
+
+  if (msg.quickReply !== undefined) {
+    const items = msg.quickReply?.items;
+    if (!Array.isArray(items) || !items.length || items.length > LIMITS.quickReplyItems) {
+      errors.push(`quickReply.items: 1-${LIMITS.quickReplyItems} items`);
+    } else {
+      items.forEach((it, i) => checkAction(it?.action, `quickReply.items[${i}].action`, LIMITS.quickReplyLabel));
+    }
+  }
+  return errors;
+}
+
+/**
+ * 配信するメモの 1 通。format が "flex" なら Flex を作って確かめ、だめならテキスト（クイックリプライは付けたまま）
+ * @returns {{ message, format: "flex" | "text", errors }}
+ */
+function buildMemoMessage(j, full, { detailUrl, ttlDays, sessionId = null, format = "flex", brand = null }) {
+  let errors = [];
+  if (format === "flex") {
+    try {
+      const flex = buildMemoFlex(j, full, { detailUrl, ttlDays, sessionId, brand });
+      errors = validateFlexMessage(flex);
+      if (!errors.length) return { message: flex, format: "flex", errors };
+    } catch (e) {
+      errors = [String(e?.message || e)];
+    }
+    console.warn("[line/flex] fall back to text:", errors.join("; "));
+  }
+  const message = {
+    type: "text",
+    text: buildMemoText(j, full, { detailUrl, ttlDays, brand }),
+    ...(sessionId ? { quickReply: memoQuickReply(sessionId, j.language) } : {}),
+  };
+  return { message, format: "text", errors };
+}
+
+module.exports = { buildMemoFlex, buildMemoMessage, validateFlexMessage, memoQuickReply, LIMITS };
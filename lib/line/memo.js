@@ -0,0 +1,75 @@
+// lib/line/memo.js
+const { labelsFor } = require("../i18n");
+
+function shortText(s, n = 40) {
+  const str = (s || "").trim();
+  return str.length > n ? str.slice(0, n - 1) + "…" : str;
+}
+const arrify = (v) => (Array.isArray(v) ? v : []);
+const TEXT_MAX = 4999; // LINE のテキストメッセージは 5000 字まで
+
+/**
+ * メモに載せる項目（件数と長さをそろえる）。テキスト版と Flex 版（lib/line/flex.js）で共通
+ * j: 短い要約JSON / full: 詳細要約JSON（要点が無いときは概要の先頭 3 行）
+ */
+function memoSections(j, full) {
+  const cap = (a, n) => arrify(a).slice(0, n);
+  return {
+    summaryTop3:    cap(j.summary_top3, 3).map(x => shortText(x, 40)),
+    summaryLines:   ((full && full.summary) || "").split(/\n+/).filter(Boolean).slice(0, 3),
+    decisions:      cap(j.decisions, 3).map(x => shortText(x, 40)),
+    todosUntilNext: cap(j.todos_until_next, 5).map(x => shortText(x, 40)),
+    redFlags:       cap(j.red_flags, 3).map(x => shortText(x, 40)),
+    askNextTime:    cap(j.ask_next_time, 3).map(x => shortText(x, 40)),
+    termsPlain:     cap(j.terms_plain, 3).map(t => ({ term: shortText(t.term, 24), easy: shortText(t.easy, 40) })),
+  };
+}
+
+/**
+ * LINE整形（短く見やすく・1通）
+ * j: 短い要約JSON / full: 詳細要約JSON（見出しは j.language の言語。lib/i18n）
+ * brand: 医療機関（lib/tenants の brandOf）。あれば見出しの上に名前を出す
+ */
+function buildMemoText(j, full, { detailUrl, ttlDays, brand = null }) {
+  const { summaryTop3, summaryLines, decisions, todosUntilNext, redFlags, askNextTime, termsPlain } = memoSections(j, full);
+  const L = labelsFor(j.language);
+
+  const bullet = (a) => a.length ? a.map(x => `・ ${x}`).join("\n") : "";
+  const bulletsKV = (a, fmt) => a.length ? a.map(fmt).join("\n") : "";
+
+  const header = brand?.name ? `【${brand.name}】\n■${L.memo}` : `■${L.memo}`;
+  const top =
+    (summaryTop3.length
+      ? `🧾 ${L.top}\n${bullet(summaryTop3)}`
+      : `🧾 ${L.top}\n${bullet(summaryLines)}`);
+
+  const secDecisions = decisions.length ? `\n\n【${L.decisions}】\n${bullet(decisions)}` : "";
+  const secTodos     = todosUntilNext.length ? `\n\n✅ ${L.todos}\n${bullet(todosUntilNext)}` : "";
+  const secFlags     = redFlags.length ? `\n\n🚩 ${L.redFlags}\n${bullet(redFlags)}` : "";
+  const secTerms     = termsPlain.length
+    ? `\n\n🔎 ${L.terms}\n` + bulletsKV(termsPlain, t => `・ ${t.term}：${t.easy}`)
+    : "";
+  const secAsk       = askNextTime.length ? `\n\n❓ ${L.askNext}\n${bullet(askNextTime)}` : "";
+
+  let cleaned = [
+    header,
+    top,
+    secDecisions,
+    secTodos,
+    secFlags,
+    secTerms,
+    secAsk
+  ].filter(Boolean).join("\n");
+
+  // 長すぎるときは本文を削る（詳細ページのリンクは必ず残す）
+  const link = `\n\n🔗 ${L.viewDetail}（${L.linkValid(ttlDays)}）\n${detailUrl}`;
+  return cleaned.slice(0, TEXT_MAX - link.length) + link;
+}
+
+// 短い内容・ほぼ無音（/finalize の前処理）のときの 1 通。output: セッションの書く言語
+function shortMemoText({ silent = false, output } = {}) {
+  const L = labelsFor(output);
+  return `■${L.memo}\n${silent ? L.silentNote : L.shortNote}`;
+}
+
+module.exports = { buildMemoText, memoSections, shortText, shortMemoText };
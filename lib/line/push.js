@@ -0,0 +1,39 @@
+// lib/line/push.js
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * LINE 冪等プッシュ（X-Line-Retry-Key を UUID で永続化 & 409は成功扱い）
+ */
+function createLinePush({ lineClient, storage }) {
+  // リトライキーを key 単位で発行・保存（UUID）
+  async function retryKeyFor(key) {
+    const name = `${key}.retryKey`;
+    try {
+      return (await storage.read(name)).toString("utf-8").trim();
+    } catch {
+      const retryKey = uuidv4(); // RFC4122形式
+      if (await storage.createIfAbsent(name, retryKey, { contentType: "text/plain" })) return retryKey;
+      // 他インスタンスが先に作った
+      return (await storage.read(name)).toString("utf-8").trim();
+    }
+  }
+
+  async function safePushLine(to, messages, retryKey) {
+    try {
+      // SDK v9+ では pushMessage(body, xLineRetryKey:string) が使える
+      return await lineClient.pushMessage({ to, messages }, retryKey);
+    } catch (e) {
+      // duplicate は成功相当として握りつぶす（fetch 版 SDK は status、旧 axios 版は statusCode）
+      if ((e?.status ?? e?.statusCode) === 409) {
+        console.warn("LINE push deduplicated by retry key:", retryKey);
+        return;
+      }
+      // 署名キー形式NGなどはそのままスロー
+      throw e;
+    }
+  }
+
+  return { retryKeyFor, safePushLine };
+}
+
+module.exports = { createLinePush };
@@ -0,0 +1,27 @@
+// lib/llm/gemini.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+function createGeminiLlm({ apiKey, model, temperature, topP, maxOutputTokens }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+
+    async generate(prompt, { json = true } = {}) {
+      const m = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          temperature,
+          topP,
+          maxOutputTokens,
+          ...(json ? { responseMimeType: "application/json" } : {}),
+        },
+      });
+      const resp = await m.generateContent(prompt);
+      return resp.response.text();
+    },
+  };
+}
+
+module.exports = { createGeminiLlm };
@@ -0,0 +1,55 @@
+// lib/llm/index.js
+const { createGeminiLlm } = require("./gemini");
+const { createOpenAiLlm } = require("./openai");
+const { createOllamaLlm } = require("./ollama");
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash-lite",
+  openai: "gpt-4o-mini",
+  ollama: "llama3.1",
+};
+
+/**
+ * LLM プロバイダ
+ * 各実装は generate(prompt, { json }) → 応答テキスト を持つ（json: true で JSON モード）
+ */
+function createLlm(cfg) {
+  switch (cfg.provider) {
+    case "gemini":
+      return createGeminiLlm(cfg);
+    case "openai":
+      return createOpenAiLlm(cfg);
+    case "ollama":
+      return createOllamaLlm(cfg);
+    default:
+      throw new Error(`unknown LLM provider: ${cfg.provider}`);
+  }
+}
+
+/**
+ * 環境変数 → 用途（profile: "short" | "detail"）ごとの設定
+ * LLM_{PROFILE}_MODEL / _TEMPERATURE / _TOP_P / _MAX_TOKENS > LLM_MODEL / ... > 既定値
+ */
+function llmConfigFromEnv(env, profile, defaults = {}) {
+  const P = profile.toUpperCase();
+  const pick = (name) => env[`LLM_${P}_${name}`] ?? env[`LLM_${name}`];
+  const num = (name, fallback) => {
+    const v = pick(name);
+    return v === undefined || v === "" ? fallback : Number(v);
+  };
+  const provider = env.LLM_PROVIDER || "gemini";
+  return {
+    provider,
+    model: pick("MODEL") || DEFAULT_MODELS[provider],
+    temperature: num("TEMPERATURE", defaults.temperature ?? 0.2),
+    topP: num("TOP_P", defaults.topP ?? 0.9),
+    maxOutputTokens: num("MAX_TOKENS", defaults.maxOutputTokens ?? 2048),
+    timeoutMs: num("TIMEOUT_MS", 120 * 1000),
+    apiKey: provider === "gemini" ? env.GEMINI_API_KEY : env.OPENAI_API_KEY,
+    baseUrl: provider === "ollama"
+      ? env.OLLAMA_URL || "http://localhost:11434"
+      : env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  };
+}
+
+module.exports = { createLlm, llmConfigFromEnv };
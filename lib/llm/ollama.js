@@ -0,0 +1,31 @@
+// lib/llm/ollama.js
+
+/**
+ * ローカル Ollama サーバ（/api/chat、非ストリーミング）
+ */
+function createOllamaLlm({ baseUrl, model, temperature, topP, maxOutputTokens, timeoutMs }) {
+  return {
+    name: "ollama",
+    model,
+
+    async generate(prompt, { json = true } = {}) {
+      const r = await fetch(`${baseUrl.replace(/\/$/, "")}/api/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          stream: false,
+          ...(json ? { format: "json" } : {}),
+          options: { temperature, top_p: topP, num_predict: maxOutputTokens },
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!r.ok) throw new Error(`ollama HTTP ${r.status}: ${await r.text()}`);
+      const body = await r.json();
+      return body.message?.content || "";
+    },
+  };
+}
+
+module.exports = { createOllamaLlm };
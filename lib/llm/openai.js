@@ -0,0 +1,35 @@
+// lib/llm/openai.js
+
+/**
+ * OpenAI 互換の Chat Completions（OpenAI / Azure 互換ゲートウェイ / vLLM / LM Studio など）
+ */
+function createOpenAiLlm({ baseUrl, apiKey, model, temperature, topP, maxOutputTokens, timeoutMs }) {
+  return {
+    name: "openai",
+    model,
+
+    async generate(prompt, { json = true } = {}) {
+      const r = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature,
+          top_p: topP,
+          max_tokens: maxOutputTokens,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!r.ok) throw new Error(`openai HTTP ${r.status}: ${await r.text()}`);
+      const body = await r.json();
+      return body.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+module.exports = { createOpenAiLlm };
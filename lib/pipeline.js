@@ -0,0 +1,231 @@
+// lib/pipeline.js
+const { SHORT_MEMO, FULL_MEMO, coerce } = require("./summary/schema");
+const { generateValidated } = require("./summary/generate");
+const { shortPrompt, detailPrompt } = require("./summary/prompts");
+const { buildMemoText, shortMemoText } = require("./line/memo");
+const { buildTranscript, saveTranscript, loadTranscript, toText, plainText } = require("./transcript");
+const { applyDictionary } = require("./dictionary");
+const { DEFAULT_OUTPUT } = require("./i18n");
+const { refOf } = require("./templates");
+
+const notRetryable = (e) => Object.assign(e, { retryable: false });
+const SYSTEM = { type: "system", id: "pipeline" };
+// 配信結果 → { [channel]: "sent" | "skipped" | "failed" }
+const statuses = (results) => Object.fromEntries(Object.entries(results).map(([name, r]) => [name, r.status]));
+
+/**
+ * 診察メモのパイプライン（ワーカーのステージ）
+ *   stt → summarize → review → deliver
+ * ジョブ記録: { jobId, sttJobId, sessionId, userId, dictionaryId, clinic, language, tenant, stage, data }
+ * language（lib/i18n の { code, alternatives, output }）の output でメモを書き、要約JSON の language に残す（無ければ日本語）
+ * プロンプトと詳細ページのテンプレートは templates（lib/templates）の規則で選び、使った版を要約JSON の templates に残す
+ * 配信が済んだら利用者の受診履歴（lib/history）に 1 件足し、経過記録（lib/record、records があるときのみ）に取り込む
+ * 要約の生成と配信は監査ログ（lib/audit）に残す
+ * review: 医療機関が「確認してから送る」を選んでいれば（lib/review、reviews があるときのみ）、医療者が承認するまで待つ。
+ * 差し戻しで作り直すなら要約からやり直し、作り直さないなら送らずに終わる。確認するセッションは要約を書く前に
+ * 確認の記録を置き（hold）、詳細ページは承認のときに描く（承認前の要約・詳細ページを利用者に渡さない）
+ * 配信は delivery（lib/delivery）が利用者の設定どおりのチャネル（LINE / メール / PDF / Webhook）に配る
+ * brand（lib/tenants の brandOf。医療機関ごとのコンテキストのとき）: テキストのメモの見出しに医療機関の名前を出す
+ * 配信の後、要約から読み取れた TODO・予定をリマインダーの候補（lib/reminders、本人が確かめるまで送らない）にする
+ * redaction（lib/redact、REDACT_KEY があるときのみ）: 文字起こしは伏せ字にしてから役割付け・保存・LLM に渡し、
+ * 配信するメモと詳細ページを作るときだけ元に戻す（受診履歴・経過記録は伏せ字のまま）
+ */
+function createPipeline(deps) {
+  const { storage, stt, dictionaries, sessions, history, records, detailPages, audit, redaction, shortLlm, detailLlm, delivery, reminders, templates, reviews } = deps;
+  const { detailUrlTtlDays, repairMax, sttPollMs, roleMode, reviewPollMs = 10 * 60 * 1000, brand = null } = deps;
+
+  // STT の完了待ち → 用語辞書で置換 → 伏せ字 → 話者の役割付けをして transcript 保存
+  async function sttStage(job) {
+    const { provider, id } = stt.parseJobId(job.sttJobId);
+    const progress = await provider.poll(id);
+    if (!progress.done) return { wait: sttPollMs };
+    if (progress.error) throw notRetryable(new Error(`STT failed: ${progress.error}`));
+
+    const raw = await provider.result(id);
+    const dict = job.dictionaryId ? await dictionaries.get(job.dictionaryId) : null;
+    if (job.dictionaryId && !dict) console.warn(`[pipeline] ${job.jobId} dictionary not found: ${job.dictionaryId}`);
+    let { result, replacements } = applyDictionary(raw, dict);
+    let counts = null;
+    if (redaction) ({ result, counts } = await redaction.apply(job.sessionId, result));
+    const structured = await buildTranscript(result, { roleMode, llm: shortLlm });
+    if (dict) structured.dictionary = { id: dict.id, replacements };
+    if (counts) structured.redaction = { counts };
+    await saveTranscript(storage, job.sessionId, structured);
+    return { next: "summarize" };
+  }
+
+  // LLM（短い要約 / 詳細要約）→ JSON と詳細HTMLを保存
+  async function summarizeStage(job) {
+    const { sessionId } = job;
+    const structured = await loadTranscript(storage, sessionId);
+    const transcript = toText(structured); // 「医師：…」形式
+
+    // 短すぎる→軽い通知のみ（話者ラベルは数えない）
+    if (plainText(structured).replace(/\s/g, "").length < 15) {
+      return { next: "deliver", data: { short: true } };
+    }
+
+    // 生成済みなら次へ（再実行時など）。確認するセッションは承認まで詳細HTMLを作らないので、確認の記録で見る
+    const review = reviews ? await reviews.get(sessionId) : null;
+    if (review ? review.status !== "regenerating" : await storage.exists(detailPages.htmlKey(sessionId))) return { next: "review" };
+    const held = !!review || (reviews ? await reviews.required(job.clinic || null) : false);
+    if (held) await reviews.hold(job);
+
+    // 経過記録があれば前回までの内容をプロンプトに添える
+    const prior = records && job.userId ? await records.context(job.userId) : "";
+    const redacted = !!structured.redaction;
+    const output = job.language?.output || DEFAULT_OUTPUT;
+    const chosen = await templates.resolve({ sessionId, dictionaryId: job.dictionaryId || null, outputLanguage: output });
+    // 規則の版が無くて既定に戻したときは fallback（スロット → 規則の ref）も残す
+    const used = {
+      short: refOf(chosen.short), detail: refOf(chosen.detail), html: refOf(chosen.html),
+      ...(chosen.fallback ? { fallback: chosen.fallback } : {}),
+    };
+
+    // スキーマ検証つき生成（不正なら検証エラーを添えて repairMax 回まで再生成）
+    const t0 = Date.now();
+    const [shortGen, detailGen] = await Promise.all([
+      generateValidated(shortLlm, shortPrompt(transcript, { prior, redacted, output, template: chosen.short }), SHORT_MEMO, { maxRepairs: repairMax }),
+      generateValidated(detailLlm, detailPrompt(transcript, { prior, redacted, output, template: chosen.detail }), FULL_MEMO, { maxRepairs: repairMax }),
+    ]);
+    console.log(`[pipeline] llm parallel ms=${Date.now()-t0} (${shortLlm.name}/${shortLlm.model})`);
+
+    // ---- 短い要約 ----
+    let j = coerce(SHORT_MEMO, shortGen.data);
+    if (!shortGen.validation.ok) console.error("short memo invalid:", shortGen.validation.errors.join("; "));
+    if (!j) {
+      j = { summary_top3: [], decisions: [], todos_until_next: [], ask_next_time: [], red_flags: [], terms_plain: [] };
+    }
+    j.validation = shortGen.validation;
+    j.language = output;
+    j.templates = used;
+
+    // ---- 詳細要約 ----
+    let full = coerce(FULL_MEMO, detailGen.data);
+    if (!detailGen.validation.ok) console.error("detail memo invalid:", detailGen.validation.errors.join("; "));
+    if (!full) {
+      full = {
+        summary: "",
+        summary_top3: j.summary_top3,
+        decisions: j.decisions,
+        todos_until_next: j.todos_until_next,
+        ask_next_time: j.ask_next_time,
+        red_flags: j.red_flags,
+        terms_plain: j.terms_plain,
+        topic_blocks: [],
+        timeline: [],
+      };
+    }
+    full.validation = detailGen.validation;
+    full.language = output;
+    full.templates = used;
+
+    // ---- ストレージ保存（短いJSON / 詳しいJSON → HTML）。HTML の有無を生成済みの判定に使うので最後に書く ----
+    // 確認するセッションの HTML は承認のとき（lib/review の decide）に描く
+    await Promise.all([
+      storage.writeJson(`summaries/${sessionId}.json`, j, { cacheControl: "no-store" }),
+      storage.writeJson(`summaries/${sessionId}.full.json`, full, { cacheControl: "no-store" }),
+    ]);
+    if (!held) await detailPages.render(sessionId, full, structured);
+    await audit.log({
+      action: "summary.generate", actor: SYSTEM, sessionId, userId: job.userId,
+      detail: { jobId: job.jobId, llm: `${detailLlm.name}/${detailLlm.model}`, templates: used },
+    });
+    return { next: "review" };
+  }
+
+  // 配信前の確認。確認の記録があればそれに従う（途中で設定を変えても、始まった確認はそのまま）
+  // 待っている間は reviewPollMs ごとに見直す（承認・差し戻しの API はワーカーの wake ですぐ起こす）
+  async function reviewStage(job) {
+    const { jobId, sessionId } = job;
+    if (!reviews) return { next: "deliver" };
+    let r = await reviews.get(sessionId);
+    if (!r && !(await reviews.required(job.clinic || null))) return { next: "deliver" };
+
+    if (r?.status === "rejected" && r.decision?.regenerate) {
+      await reviews.restart(sessionId);
+      return { next: "summarize" };
+    }
+    if (!r || r.status === "regenerating") {
+      r = await reviews.open(job);
+      await audit.log({ action: "review.open", actor: SYSTEM, sessionId, userId: job.userId, detail: { jobId, round: r.round, version: r.version } });
+    }
+    if (r.status === "approved") return { next: "deliver", data: { reviewedVersion: r.decision.version } };
+    if (r.status === "rejected") return { done: true, data: { rejected: true } };
+    return { wait: reviewPollMs };
+  }
+
+  // 受診履歴の 1 件（日時はセッション開始。配信のやり直しでも同じキーに上書き）→ 経過記録へ取り込み（同じセッションは 1 回だけ）
+  async function recordHistory(job, j, full) {
+    if (!job.userId) return;
+    const meta = await sessions.get(job.sessionId);
+    const { sessionId } = job;
+    const date = meta?.createdAt || new Date().toISOString();
+    const clinic = job.clinic || null;
+    const title = full ? (full.topic_blocks?.[0]?.title || full.summary_top3?.[0] || "診察メモ") : "診察メモ（短い内容）";
+    await history.append(job.userId, {
+      sessionId,
+      jobId: job.jobId,
+      date,
+      clinic,
+      title,
+      summary: full ? (full.summary || "").split(/\n+/)[0] : "",
+      top3: j ? (j.summary_top3 || []).slice(0, 3) : [],
+      short: !full,
+      deliveredAt: new Date().toISOString(),
+      links: full
+        ? { summary: `/sessions/${sessionId}/summary`, detail: `/sessions/${sessionId}/detail-url` }
+        : { summary: null, detail: null },
+    });
+    if (records && full) await records.merge(job.userId, { sessionId, date, clinic, title, full });
+  }
+
+  // 配信（チャネルごとの結果は deliveries/{jobId}.{channel}.json） → 受診履歴 → done 記録
+  async function deliverStage(job) {
+    const { jobId, sessionId } = job;
+    const doneKey = `deliveries/${jobId}.done`;
+    if (await storage.exists(doneKey)) return { done: true };
+
+    if (job.data.short) {
+      // silent: /finalize の前処理でほぼ無音と判定（STT を呼んでいない）
+      const silent = Boolean(job.data.silent);
+      const memo = { short: true, silent, text: shortMemoText({ silent, output: job.language?.output }), j: null, full: null, detailUrl: null, html: null };
+      const channels = statuses(await delivery.deliver(job, memo));
+      await audit.log({ action: "memo.deliver", actor: SYSTEM, sessionId, userId: job.userId, detail: { jobId, short: true, silent, channels } });
+      await recordHistory(job, null, null);
+      await storage.writeJson(doneKey, { short: true, silent, channels, at: new Date().toISOString() });
+      return { done: true };
+    }
+
+    const [j, full, html] = await Promise.all([
+      storage.readJson(`summaries/${sessionId}.json`),
+      storage.readJson(`summaries/${sessionId}.full.json`),
+      storage.read(detailPages.htmlKey(sessionId)),
+    ]);
+    const { url: detailUrl } = await detailPages.signedUrl(sessionId);
+    const shown = redaction ? await redaction.reveal(sessionId, { j, full }) : { j, full };
+    const text = buildMemoText(shown.j, shown.full, { detailUrl, ttlDays: detailUrlTtlDays, brand });
+
+    const memo = { short: false, silent: false, text, j: shown.j, full: shown.full, detailUrl, html: html.toString("utf-8") };
+    const channels = statuses(await delivery.deliver(job, memo));
+    await audit.log({ action: "memo.deliver", actor: SYSTEM, sessionId, userId: job.userId, detail: { jobId, channels } });
+    await recordHistory(job, j, full);
+    if (reminders && job.userId) {
+      const meta = await sessions.get(sessionId);
+      await reminders.propose({ sessionId, userId: job.userId, j, full, base: meta?.createdAt || new Date().toISOString() });
+    }
+    await storage.writeJson(doneKey, { pushedAt: new Date().toISOString(), sessionId, detailUrl, channels });
+    return { done: true, data: { detailUrl } };
+  }
+
+  return {
+    stages: {
+      stt: sttStage,
+      summarize: summarizeStage,
+      review: reviewStage,
+      deliver: deliverStage,
+    },
+  };
+}
+
+module.exports = { createPipeline };
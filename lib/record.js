@@ -0,0 +1,171 @@
+// lib/record.js
+const { buildTimelineHtml } = require("./summary/timeline");
+
+/**
+ * 受診をまたいだ経過記録（records/{userId}.json）
+ * 配信済みの詳細要約（summaries/{sessionId}.full.json）を受診のたびに取り込む
+ * {
+ *   version: 1, userId, updatedAt, nextId,
+ *   medications: [{ name, status: "active"|"stopped", note, since, updatedAt, history: [{ date, status, note, sessionId }] }],
+ *   tests:       [{ name, status: "planned"|"done", note, since, updatedAt, history: [...] }],
+ *   todos:       [{ id: "T1", text, status: "open"|"done", since, sessionId, closedAt }],
+ *   questions:   [{ id: "Q1", text, status: "open"|"answered", since, sessionId, closedAt }],
+ *   visits:      [{ sessionId, date, clinic, title, top3, decisions, changes: [...] }],  // 古い順
+ * }
+ * 未完了の TODO・質問には ID を振ってプロンプトに渡し、LLM が resolved_prior で返した ID を閉じる
+ */
+const MED_STATUS = { start: "active", continue: "active", change: "active", stop: "stopped" };
+const TEST_STATUS = { planned: "planned", done: "done" };
+const CONTEXT_VISITS = 3;
+
+// 表記ゆれ（空白・全角半角）を寄せた比較用の名前
+const norm = (s) => String(s || "").normalize("NFKC").replace(/\s+/g, "").toLowerCase();
+
+function emptyRecord(userId) {
+  return { version: 1, userId, updatedAt: null, nextId: 1, medications: [], tests: [], todos: [], questions: [], visits: [] };
+}
+
+/**
+ * 1 回分の詳細要約を経過記録に取り込む（同じ sessionId は 2 回目以降なにもしない）
+ * @returns 取り込んだら true
+ */
+function mergeVisit(record, { sessionId, date, clinic, title, full }) {
+  if (record.visits.some((v) => v.sessionId === sessionId)) return false;
+  const changes = [];
+
+  // 薬・検査は名前で突き合わせて最新の状態に更新
+  const upsert = (list, item, statusMap, kind) => {
+    const status = statusMap[item.status];
+    if (!status || !item.name) return;
+    let cur = list.find((x) => norm(x.name) === norm(item.name));
+    if (!cur) {
+      cur = { name: item.name, status, note: item.note || "", since: date, updatedAt: date, history: [] };
+      list.push(cur);
+      changes.push(`${kind}追加: ${item.name}${item.note ? `（${item.note}）` : ""}`);
+    } else if (cur.status !== status || item.status === "change") {
+      changes.push(`${kind}${item.status === "stop" ? "中止" : item.status === "done" ? "実施" : "変更"}: ${cur.name}${item.note ? `（${item.note}）` : ""}`);
+    }
+    cur.status = status;
+    if (item.note) cur.note = item.note;
+    cur.updatedAt = date;
+    cur.history.push({ date, status: item.status, note: item.note || "", sessionId });
+  };
+  for (const m of full.medications || []) upsert(record.medications, m, MED_STATUS, "薬");
+  for (const t of full.tests || []) upsert(record.tests, t, TEST_STATUS, "検査");
+
+  // 前回までの未完了項目で、今回済んだもの
+  const resolved = new Set((full.resolved_prior || []).map((s) => String(s).trim()));
+  for (const list of [record.todos, record.questions]) {
+    for (const x of list) {
+      if (x.status !== "open" || !resolved.has(x.id)) continue;
+      x.status = list === record.todos ? "done" : "answered";
+      x.closedAt = date;
+      changes.push(`${list === record.todos ? "済んだこと" : "答えが出たこと"}: ${x.text}`);
+    }
+  }
+
+  // 今回の TODO・質問を追加（開いている同じ文面は重ねない）
+  const addOpen = (list, texts, prefix) => {
+    for (const text of texts || []) {
+      if (!text || list.some((x) => x.status === "open" && norm(x.text) === norm(text))) continue;
+      list.push({ id: `${prefix}${record.nextId++}`, text, status: "open", since: date, sessionId, closedAt: null });
+    }
+  };
+  addOpen(record.todos, full.todos_until_next, "T");
+  addOpen(record.questions, full.ask_next_time, "Q");
+
+  record.visits.push({
+    sessionId,
+    date,
+    clinic: clinic || null,
+    title: title || "",
+    top3: (full.summary_top3 || []).slice(0, 3),
+    decisions: full.decisions || [],
+    changes,
+  });
+  record.visits.sort((a, b) => a.date.localeCompare(b.date));
+  record.updatedAt = new Date().toISOString();
+  return true;
+}
+
+const dateOnly = (iso) => new Date(iso).toLocaleDateString("ja-JP", { timeZone: "Asia/Tokyo" });
+
+/**
+ * プロンプトに渡す「これまでの経過」（記録が空なら ""）
+ */
+function contextText(record) {
+  if (!record || !record.visits.length) return "";
+  const lines = [];
+  const activeMeds = record.medications.filter((m) => m.status === "active");
+  if (activeMeds.length) {
+    lines.push("■使用中の薬");
+    for (const m of activeMeds) lines.push(`- ${m.name}${m.note ? `（${m.note}）` : ""}`);
+  }
+  const planned = record.tests.filter((t) => t.status === "planned");
+  if (planned.length) {
+    lines.push("■予定・結果待ちの検査");
+    for (const t of planned) lines.push(`- ${t.name}${t.note ? `（${t.note}）` : ""}`);
+  }
+  const openTodos = record.todos.filter((t) => t.status === "open");
+  if (openTodos.length) {
+    lines.push("■前回までのTODO（未完了）");
+    for (const t of openTodos) lines.push(`- [${t.id}] ${t.text}（${dateOnly(t.since)}）`);
+  }
+  const openQs = record.questions.filter((q) => q.status === "open");
+  if (openQs.length) {
+    lines.push("■前回までの「次回ききたいこと」（未回答）");
+    for (const q of openQs) lines.push(`- [${q.id}] ${q.text}（${dateOnly(q.since)}）`);
+  }
+  lines.push("■最近の受診");
+  for (const v of record.visits.slice(-CONTEXT_VISITS).reverse()) {
+    lines.push(`- ${dateOnly(v.date)}${v.clinic ? ` ${v.clinic}` : ""}: ${(v.decisions.length ? v.decisions : v.top3).join(" / ")}`);
+  }
+  return lines.join("\n");
+}
+
+function createRecords(storage) {
+  const key = (userId) => `records/${userId}.json`;
+
+  async function get(userId) {
+    try {
+      return await storage.readJson(key(userId));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  return {
+    get,
+
+    async merge(userId, visit) {
+      const record = (await get(userId)) || emptyRecord(userId);
+      if (!mergeVisit(record, visit)) return record;
+      await storage.writeJson(key(userId), record, { cacheControl: "no-store" });
+      return record;
+    },
+
+    async context(userId) {
+      return contextText(await get(userId));
+    },
+
+    // 経過ページ（records/{userId}.html）を描き直して署名URLを返す（記録が無ければ null）
+    async publish(userId, { expires }) {
+      const record = await get(userId);
+      if (!record) return null;
+      const htmlKey = `records/${userId}.html`;
+      await storage.write(htmlKey, buildTimelineHtml(record), {
+        contentType: "text/html; charset=utf-8",
+        cacheControl: "no-store",
+      });
+      return storage.signedUrl(htmlKey, { action: "read", expires });
+    },
+
+    async remove(userId) {
+      await storage.remove(key(userId));
+      await storage.remove(`records/${userId}.html`);
+    },
+  };
+}
+
+module.exports = { createRecords, mergeVisit, contextText, emptyRecord };
@@ -0,0 +1,171 @@
+// lib/redact.js
+const crypto = require("crypto");
+
+/**
+ * 個人情報の伏せ字（STT の後、LLM とストレージに渡す前）
+ * 見つけた箇所を種類つきの記号（[電話1] など）に置き換え、記号 → 元の値の対応表は
+ * AES-256-GCM で暗号化して redactions/{sessionId}.json に置く。患者さんに見せるもの（詳細ページ・LINE のメモ・API）
+ * を作るときだけ reveal で元に戻す
+ *
+ * 検出（上から順に当てる。同じ値には同じ記号）
+ *   postal  郵便番号（〒 付き、または 123-4567 の形）
+ *   phone   電話番号（0 始まりで 10〜11 桁。区切りは - / 空白 / 全角）
+ *   id      8 桁以上の数字の並び（マイナンバー・保険証の記号番号・生年月日の数字など）
+ *   name    渡された名前の一覧に一致する文字列
+ * ここまでは純粋な関数（redactResult / restore / seal / unseal）なのでクラウドなしで試せる
+ */
+const LABELS = { postal: "郵便番号", phone: "電話", id: "番号", name: "氏名" };
+const TYPES = Object.keys(LABELS);
+
+const D = "[0-9０-９]";
+const SEP = "[-－‐−ー\\s]?";
+const DETECTORS = {
+  postal: new RegExp(`〒\\s?${D}{3}${SEP}${D}{4}(?!${D})|(?<!${D})${D}{3}[-－‐−]${D}{4}(?![-－‐−]?${D})`, "g"),
+  phone: new RegExp(`(?<!${D})[0０]${D}{1,4}${SEP}${D}{1,4}${SEP}${D}{3,4}(?!${D})`, "g"),
+  id: new RegExp(`(?<!${D})${D}(?:${SEP}${D}){7,}(?!${D})`, "g"),
+};
+
+// 比較用（全角→半角、区切りと 〒 を除く）
+const digitsOf = (s) => s.normalize("NFKC").replace(/[^0-9]/g, "");
+const validPhone = (s) => [10, 11].includes(digitsOf(s).length);
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * 文字列を伏せ字にする関数を作る（呼ぶたびに mapping へ追記）
+ * @returns {{ redact(text), mapping: [{ token, type, value }], counts: { type: n } }}
+ */
+function createRedactor({ names = [], types = TYPES } = {}) {
+  const mapping = [];
+  const counts = {};
+  const byValue = new Map();
+  // 1 文字の名前は誤検出が多いので使わない（全部 1 文字なら名前は探さない）
+  const nameList = [...new Set(names)].filter((n) => n.length >= 2).sort((a, b) => b.length - a.length);
+  const nameRe = nameList.length ? new RegExp(nameList.map(escapeRe).join("|"), "g") : null;
+
+  const tokenFor = (type, value) => {
+    const k = `${type}\u0000${type === "name" ? value : digitsOf(value)}`;
+    if (!byValue.has(k)) {
+      const n = mapping.filter((m) => m.type === type).length + 1;
+      const token = `[${LABELS[type]}${n}]`;
+      byValue.set(k, token);
+      mapping.push({ token, type, value });
+    }
+    counts[type] = (counts[type] || 0) + 1;
+    return byValue.get(k);
+  };
+
+  function redact(text) {
+    if (!text) return text;
+    for (const type of types) {
+      if (type === "name") {
+        if (nameRe) text = text.replace(nameRe, (m) => tokenFor("name", m));
+        continue;
+      }
+      text = text.replace(DETECTORS[type], (m) => {
+        if (type === "phone" && !validPhone(m)) return m;
+        // 末尾の空白は区切りとして拾っただけなので残す
+        const body = m.trimEnd();
+        return tokenFor(type, body) + m.slice(body.length);
+      });
+    }
+    return text;
+  }
+
+  return { redact, mapping, counts };
+}
+
+/**
+ * STT の結果（{ text, segments }）を伏せ字にする
+ * 伏せた区間の単語（words）は元の値を含むので捨てる（区間の時刻は残る）
+ * @returns {{ result, mapping, counts }}
+ */
+function redactResult(result, opts = {}) {
+  const r = createRedactor(opts);
+  const segments = (result.segments || []).map((seg) => {
+    const text = r.redact(seg.text);
+    return text === seg.text ? seg : { ...seg, text, words: [] };
+  });
+  // 区間が無い結果だけ全文を伏せる（件数の二重計上を避ける）。区間があれば STT と同じく改行でつなぎ直す
+  const text = segments.length ? (result.text && segments.map((s) => s.text).join("\n")) : r.redact(result.text);
+  return { result: { ...result, text, segments }, mapping: r.mapping, counts: r.counts };
+}
+
+// 値の中の文字列（入れ子の配列・オブジェクトも）の記号を元に戻す
+function restore(value, mapping) {
+  if (!mapping || !mapping.length) return value;
+  if (typeof value === "string") {
+    return mapping.reduce((s, m) => s.split(m.token).join(m.value), value);
+  }
+  if (Array.isArray(value)) return value.map((v) => restore(v, mapping));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restore(v, mapping)]));
+  }
+  return value;
+}
+
+// 鍵: 32 バイト（hex 64 文字 または base64）
+function parseKey(key) {
+  const buf = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, "hex") : Buffer.from(key, "base64");
+  if (buf.length !== 32) throw new Error("REDACT_KEY must be 32 bytes (hex or base64)");
+  return buf;
+}
+
+// 対応表の暗号化（AES-256-GCM）→ { version, alg, iv, tag, data }（いずれも base64）
+function seal(mapping, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(mapping), "utf-8"), cipher.final()]);
+  return { version: 1, alg: "aes-256-gcm", iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function unseal(sealed, key) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(sealed.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf-8"));
+}
+
+/**
+ * ストレージつきの伏せ字（REDACT_KEY があるときだけ作る）
+ *   redact(result) → { result, mapping, counts }     伏せ字にするだけ（保存しない）
+ *   save(sessionId, mapping)                          対応表を暗号化して保存
+ *   apply(sessionId, result) → { result, counts }   redact + save
+ *   reveal(sessionId, value) → value                 対応表があれば元に戻す（無ければそのまま）
+ */
+function createRedaction({ storage, key, names = [], types = TYPES }) {
+  const secret = parseKey(key);
+  const mapKey = (sessionId) => `redactions/${sessionId}.json`;
+
+  const redact = (result) => redactResult(result, { names, types });
+
+  async function save(sessionId, mapping) {
+    if (!mapping.length) return;
+    await storage.writeJson(mapKey(sessionId), seal(mapping, secret), { cacheControl: "no-store" });
+  }
+
+  return {
+    types,
+    redact,
+    save,
+
+    async apply(sessionId, result) {
+      const out = redact(result);
+      await save(sessionId, out.mapping);
+      return { result: out.result, counts: out.counts };
+    },
+
+    async reveal(sessionId, value) {
+      let sealed;
+      try {
+        sealed = await storage.readJson(mapKey(sessionId));
+      } catch (e) {
+        if (e.code === 404) return value;
+        throw e;
+      }
+      return restore(value, unseal(sealed, secret));
+    },
+  };
+}
+
+module.exports = { createRedaction, createRedactor, redactResult, restore, seal, unseal, parseKey, TYPES };
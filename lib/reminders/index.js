@@ -0,0 +1,301 @@
+// lib/reminders/index.js
+const { parseWhen, nextDaily, whenLabel, jstDay, jstDate, DAY_MS } = require("./when");
+
+/**
+ * 要約から作るリマインダー（TODO・予定・受診の目安）
+ *   reminders/{sessionId}.json      { sessionId, userId, status: "proposed"|"confirmed"|"cancelled", items, ... }
+ *   reminders-active/{sessionId}    送る予定が残っている確認済みのセッションの印（スケジューラはここだけを見る）
+ *   reminder-keys/{sessionId}/...   LINE のリトライキー（1 回の送信ごと。他インスタンスと重なっても LINE 側で 1 通になる）
+ * items: [{ id, source: "todo"|"timeline"|"red_flag", text, when, schedule, enabled, nextAt, sent, lastSentAt }]
+ *   schedule: { type: "once", at, allDay } | { type: "daily", times: ["08:30"], until }
+ *   予定表（timeline）は前日の REMIND_EVE_TIME に、毎日のものは until（次の予定の日か dailyDays 日後）まで送る
+ * 要約から作った直後は proposed。本人が確かめて（直して）confirmed にしたものだけを送る
+ * 文は伏せ字のまま保存し、送るときと本人に見せるときだけ redaction で元に戻す
+ */
+const REMIND_EVE_TIME = "18:00";
+const MAX_ITEMS = 10;
+const SYSTEM = { type: "system", id: "reminders" };
+
+const arrify = (v) => (Array.isArray(v) ? v : []);
+
+/**
+ * 要約 → リマインダーの候補（日時が読み取れたものだけ）
+ * j: 短い要約JSON / full: 詳細要約JSON / base: 診察の日時
+ */
+function extractReminders(j, full, { base = new Date(), dailyDays = 14 } = {}) {
+  const items = [];
+  const seen = new Set();
+  const add = (source, text, when, schedule) => {
+    if (!schedule || seen.has(text) || items.length >= MAX_ITEMS) return;
+    seen.add(text);
+    items.push({ id: `r${items.length + 1}`, source, text, when, schedule, enabled: true });
+  };
+
+  // 予定表（前日の夕方に知らせる）。毎日のものの終わりは最初の予定の日
+  const appointments = [];
+  for (const t of arrify(full?.timeline)) {
+    const what = t.note ? `${t.what || ""}（${t.note}）` : t.what || "";
+    const s = parseWhen(`${t.when || ""} ${t.what || ""}`, { base });
+    if (s?.type !== "once") continue;
+    appointments.push(s.at);
+    add("timeline", what || t.when, t.when || "", s);
+  }
+  const firstAppointment = appointments.sort()[0];
+  const until = firstAppointment || new Date(base.getTime() + dailyDays * DAY_MS).toISOString();
+
+  const todos = [...arrify(j?.todos_until_next), ...arrify(full?.todos_until_next)];
+  for (const text of todos) {
+    const s = parseWhen(text, { base });
+    add("todo", text, text, s?.type === "daily" ? { ...s, until } : s);
+  }
+  // 受診の目安は「2週間後も続くなら」のように時期があるものだけ、その時期に体調を確かめる
+  for (const text of [...arrify(j?.red_flags), ...arrify(full?.red_flags)]) {
+    const s = parseWhen(text, { base });
+    if (s?.type === "once") add("red_flag", text, text, s);
+  }
+  return items;
+}
+
+// 最初（after より後）に送る時刻 → ISO | null
+function firstAt(item, after) {
+  const s = item.schedule;
+  if (s.type === "daily") return nextDaily(s.times, after, s.until);
+  let at = new Date(s.at);
+  if (item.source === "timeline") {
+    const d = jstDay(at);
+    at = jstDate(d.y, d.m, d.d - 1, REMIND_EVE_TIME);
+  }
+  return at > new Date(after) ? at.toISOString() : null;
+}
+
+// LINE に送る文
+function reminderText(item) {
+  const s = item.schedule;
+  if (item.source === "timeline") return `📅 明日の予定（${whenLabel(s.at, s)}）\n${item.text}`;
+  if (item.source === "red_flag") return `🚩 体調の確認\n${item.text}\n当てはまるときは、かかりつけの医療機関に連絡してください。`;
+  if (s.type === "daily") return `⏰ リマインド（毎日 ${s.times.join("・")}）\n${item.text}`;
+  return `⏰ リマインド\n${item.text}`;
+}
+
+// 本人に見せる一覧の 1 行
+function scheduleLabel(item) {
+  const s = item.schedule;
+  if (s.type === "daily") return `毎日 ${s.times.join("・")}（${whenLabel(s.until, { allDay: true })}まで）`;
+  if (item.source === "timeline") return `${whenLabel(s.at, s)} の前日 ${REMIND_EVE_TIME}`;
+  return whenLabel(s.at, s);
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 本人による修正 { items: [{ id, enabled, text, at, times, until }], status: "confirmed"|"cancelled" }
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateReminderEdit(body, current) {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  if (body.status !== undefined && !["confirmed", "cancelled"].includes(body.status)) {
+    errors.push("status: confirmed or cancelled");
+  }
+  if (body.items === undefined) return errors;
+  if (!Array.isArray(body.items)) return [...errors, "items: expected array"];
+  const ids = new Set(current.items.map((i) => i.id));
+  body.items.forEach((e, i) => {
+    const at = `items[${i}]`;
+    if (!e || typeof e !== "object") return errors.push(`${at}: expected object`);
+    if (!ids.has(e.id)) errors.push(`${at}.id: unknown`);
+    if (e.enabled !== undefined && typeof e.enabled !== "boolean") errors.push(`${at}.enabled: expected boolean`);
+    if (e.text !== undefined && (typeof e.text !== "string" || !e.text.trim() || e.text.length > 200)) {
+      errors.push(`${at}.text: 1-200 chars`);
+    }
+    for (const k of ["at", "until"]) {
+      if (e[k] !== undefined && Number.isNaN(Date.parse(e[k]))) errors.push(`${at}.${k}: invalid date`);
+    }
+    if (e.times !== undefined && (!Array.isArray(e.times) || !e.times.length || e.times.some((t) => !TIME_RE.test(t)))) {
+      errors.push(`${at}.times: expected ["HH:MM", ...]`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * リマインダーの保存とスケジューラ
+ * now: 時計（試験では偽の時計を渡して tick() を呼ぶ）
+ */
+function createReminders({ storage, linePush, audit, redaction = null, dailyDays = 14, now = () => Date.now() }) {
+  const key = (sessionId) => `reminders/${sessionId}.json`;
+  const activeKey = (sessionId) => `reminders-active/${sessionId}`;
+  let timer = null;
+  let running = false;
+
+  async function get(sessionId) {
+    try {
+      return await storage.readJson(key(sessionId));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function save(doc) {
+    doc.updatedAt = new Date(now()).toISOString();
+    await storage.writeJson(key(doc.sessionId), doc, { cacheControl: "no-store" });
+    const pending = doc.status === "confirmed" && doc.items.some((i) => i.enabled && i.nextAt);
+    if (pending) await storage.write(activeKey(doc.sessionId), "", { contentType: "text/plain" });
+    else await storage.remove(activeKey(doc.sessionId));
+    return doc;
+  }
+
+  const reveal = (sessionId, value) => (redaction ? redaction.reveal(sessionId, value) : value);
+
+  // 次に送る時刻を決め直す（確認・修正のとき）
+  function schedule(doc) {
+    const t = new Date(now()).toISOString();
+    for (const item of doc.items) item.nextAt = doc.status === "confirmed" && item.enabled ? firstAt(item, t) : null;
+  }
+
+  async function sendItem(doc, item) {
+    const retryKey = await linePush.retryKeyFor(`reminder-keys/${doc.sessionId}/${item.id}-${item.nextAt.replace(/[-:.]/g, "")}`);
+    const text = await reveal(doc.sessionId, reminderText(item));
+    await linePush.safePushLine(doc.userId, [{ type: "text", text }], retryKey);
+    await audit.log({ action: "reminder.send", actor: SYSTEM, sessionId: doc.sessionId, userId: doc.userId, detail: { id: item.id, at: item.nextAt } });
+  }
+
+  // 1 セッション分の期限が来たものを送る → 送った数
+  async function sendDue(sessionId, t) {
+    const doc = await get(sessionId);
+    if (!doc || doc.status !== "confirmed") {
+      await storage.remove(activeKey(sessionId));
+      return 0;
+    }
+    const results = new Map(); // id → { nextAt（送った回）, sent, lastSentAt, lastError, next（次の回） }
+    let sent = 0;
+    for (const item of doc.items) {
+      if (!item.enabled || !item.nextAt || Date.parse(item.nextAt) > t) continue;
+      const r = { nextAt: item.nextAt };
+      results.set(item.id, r);
+      try {
+        await sendItem(doc, item);
+        Object.assign(r, { sent: 1, lastSentAt: new Date(t).toISOString(), lastError: null });
+        sent++;
+      } catch (e) {
+        // 4xx（429 以外）は送り直しても通らないので、この回は飛ばす
+        const status = e?.status ?? e?.statusCode;
+        r.lastError = String(e?.message || e);
+        console.error(`[reminders] ${sessionId} ${item.id} failed:`, r.lastError);
+        if (!(status >= 400 && status < 500 && status !== 429)) continue;
+      }
+      // 止まっていた間の分はまとめて送らず、次の回へ進める
+      r.next = item.schedule.type === "daily" ? nextDaily(item.schedule.times, new Date(t).toISOString(), item.schedule.until) : null;
+    }
+    if (!results.size) {
+      if (!doc.items.some((i) => i.enabled && i.nextAt)) await storage.remove(activeKey(sessionId));
+      return 0;
+    }
+
+    // 送っている間に本人が止めた・直した分を上書きしないよう、読み直して送った結果だけを書き込む
+    const latest = await get(sessionId);
+    if (!latest || latest.status !== "confirmed") return sent;
+    for (const item of latest.items) {
+      const r = results.get(item.id);
+      if (!r || !item.enabled) continue;
+      if (r.sent) {
+        item.sent = (item.sent || 0) + 1;
+        item.lastSentAt = r.lastSentAt;
+      }
+      item.lastError = r.lastError;
+      // 日時を直されていれば（nextAt が変わっていれば）直した方を使う
+      if (r.next !== undefined && item.nextAt === r.nextAt) item.nextAt = r.next;
+    }
+    await save(latest);
+    return sent;
+  }
+
+  const api = {
+    get,
+
+    // 本人に見せる形（文を元に戻し、予定の説明を付ける）
+    async view(sessionId) {
+      const doc = await get(sessionId);
+      if (!doc) return null;
+      const items = doc.items.map((i) => ({ ...i, label: scheduleLabel(i) }));
+      return reveal(sessionId, { ...doc, items });
+    },
+
+    /**
+     * 要約から候補を作って proposed で保存（既にあれば何もしない）→ 保存したもの | null（候補なし）
+     */
+    async propose({ sessionId, userId, j, full, base }) {
+      if (await storage.exists(key(sessionId))) return get(sessionId);
+      const items = extractReminders(j, full, { base: new Date(base), dailyDays });
+      if (!items.length) return null;
+      const at = new Date(now()).toISOString();
+      const doc = { sessionId, userId, status: "proposed", base: new Date(base).toISOString(), items, createdAt: at, updatedAt: at };
+      if (!(await storage.createIfAbsent(key(sessionId), JSON.stringify(doc, null, 2), { contentType: "application/json" }))) {
+        return get(sessionId);
+      }
+      return doc;
+    },
+
+    // validateReminderEdit を通したものを渡す → 保存したもの | null（無い）
+    async update(sessionId, body) {
+      const doc = await get(sessionId);
+      if (!doc) return null;
+      for (const e of body.items || []) {
+        const item = doc.items.find((i) => i.id === e.id);
+        if (e.enabled !== undefined) item.enabled = e.enabled;
+        if (e.text !== undefined) item.text = e.text.trim();
+        if (item.schedule.type === "once" && e.at !== undefined) {
+          item.schedule = { ...item.schedule, at: new Date(e.at).toISOString(), allDay: false };
+        }
+        if (item.schedule.type === "daily") {
+          if (e.times !== undefined) item.schedule = { ...item.schedule, times: [...new Set(e.times)].sort() };
+          if (e.until !== undefined) item.schedule = { ...item.schedule, until: new Date(e.until).toISOString() };
+        }
+      }
+      if (body.status) {
+        doc.status = body.status;
+        doc[body.status === "confirmed" ? "confirmedAt" : "cancelledAt"] = new Date(now()).toISOString();
+      }
+      schedule(doc);
+      return save(doc);
+    },
+
+    // 期限が来たものを全部送る → 送った数
+    async tick() {
+      if (running) return 0;
+      running = true;
+      try {
+        const t = now();
+        let sent = 0;
+        for (const k of await storage.list("reminders-active/")) {
+          const sessionId = k.slice("reminders-active/".length);
+          try {
+            sent += await sendDue(sessionId, t);
+          } catch (e) {
+            console.error(`[reminders] ${sessionId} tick failed:`, e?.message);
+          }
+        }
+        return sent;
+      } finally {
+        running = false;
+      }
+    },
+
+    start(intervalMs) {
+      if (timer) return;
+      timer = setInterval(() => {
+        api.tick().catch((e) => console.error("[reminders] tick failed:", e?.message));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+  return api;
+}
+
+module.exports = { createReminders, extractReminders, validateReminderEdit, reminderText, scheduleLabel };
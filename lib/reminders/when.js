@@ -0,0 +1,149 @@
+// lib/reminders/when.js
+
+/**
+ * 要約の文（TODO・予定表・受診の目安）から日時を読み取る。日本時間（+09:00）で数える
+ *   相対   「2週間後」「3日後」「1か月後」「明日」「あさって」「来週」「来月」
+ *   日付   「10月25日」「2025年10月25日」「10/25」（年が無く base より前なら翌年）。「次回10月25日」も同じ
+ *   時刻   「14時」「午後2時半」「10時30分」（無ければ DEFAULT_TIME）
+ *   毎日   「毎食後」「1日3回」→ 朝昼夕、「朝食後」「寝る前」「毎朝」「毎日」など → その時刻に毎日
+ * → { type: "once", at: ISO, allDay } | { type: "daily", times: ["08:30", ...] } | null
+ * ここは純粋な関数なので base を渡して試せる
+ */
+const JST_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIME = "09:00";
+
+// 食事・就寝の目安の時刻
+const SLOTS = {
+  朝食後: "08:30", 昼食後: "12:30", 夕食後: "19:00",
+  朝食前: "07:30", 昼食前: "11:30", 夕食前: "18:00",
+  朝: "08:00", 昼: "12:00", 夕: "18:00", 晩: "20:00", 寝る前: "21:30",
+};
+const MEALS_AFTER = [SLOTS.朝食後, SLOTS.昼食後, SLOTS.夕食後];
+const MEALS_BEFORE = [SLOTS.朝食前, SLOTS.昼食前, SLOTS.夕食前];
+
+const KANJI_DIGITS = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// 「十四」「二十」など 99 までの漢数字 → 数字
+function kanjiToNumber(s) {
+  if (!s.includes("十")) return KANJI_DIGITS[s] ?? null;
+  const [tens, ones] = s.split("十");
+  return (tens ? KANJI_DIGITS[tens] : 1) * 10 + (ones ? KANJI_DIGITS[ones] : 0);
+}
+
+// 全角 → 半角、漢数字 → 数字（照合用。表示には元の文を使う）
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .replace(/[一二三四五六七八九]?十[一二三四五六七八九]?|[一二三四五六七八九](?=[日週か力ヶヵケカ年回時])/g, (m) => String(kanjiToNumber(m) ?? m));
+}
+
+// 日本時間の暦日
+function jstDay(date) {
+  const d = new Date(date.getTime() + JST_MS);
+  return { y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, d: d.getUTCDate() };
+}
+
+// 日本時間の y/m/d hh:mm → Date（月・日のあふれは Date.UTC に任せる）
+function jstDate(y, m, d, hhmm = DEFAULT_TIME) {
+  const [hh, mm] = hhmm.split(":").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, hh, mm) - JST_MS);
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function parseTime(s) {
+  const m = /(午前|午後)?(\d{1,2})時(半|(\d{1,2})分)?/.exec(s);
+  if (!m) return null;
+  let hh = Number(m[2]);
+  if (m[1] === "午後" && hh < 12) hh += 12;
+  if (hh > 23) return null;
+  const mm = m[3] === "半" ? 30 : Number(m[4] || 0);
+  return mm < 60 ? `${pad2(hh)}:${pad2(mm)}` : null;
+}
+
+function parseDaily(s) {
+  if (/毎食後|1日3回/.test(s)) return MEALS_AFTER;
+  if (/毎食前/.test(s)) return MEALS_BEFORE;
+  if (/1日2回/.test(s)) return [SLOTS.朝食後, SLOTS.夕食後];
+  const times = [];
+  for (const slot of ["朝食後", "昼食後", "夕食後", "朝食前", "昼食前", "夕食前"]) {
+    if (s.includes(slot)) times.push(SLOTS[slot]);
+  }
+  if (/寝る前|就寝前/.test(s)) times.push(SLOTS.寝る前);
+  const every = /毎(朝|昼|夕|晩)/.exec(s);
+  if (every && !times.length) times.push(SLOTS[every[1]]);
+  if (!times.length && /毎日/.test(s)) times.push(parseTime(s) || DEFAULT_TIME);
+  return times.length ? [...new Set(times)].sort() : null;
+}
+
+// 日付（時刻は別）→ { y, m, d } | null
+function parseDate(s, base) {
+  const today = jstDay(base);
+  const abs = /(?:(\d{4})年)?(\d{1,2})月(\d{1,2})日/.exec(s) || /(?<![\d/])(\d{4}\/)?(\d{1,2})\/(\d{1,2})(?![\d/錠包])/.exec(s);
+  if (abs) {
+    const m = Number(abs[2]);
+    const d = Number(abs[3]);
+    if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+    let y = abs[1] ? Number(abs[1].replace("/", "")) : today.y;
+    if (!abs[1] && Date.UTC(y, m - 1, d) < Date.UTC(today.y, today.m - 1, today.d)) y += 1;
+    return { y, m, d };
+  }
+
+  const rel = /(\d{1,3})\s*(日|週間|週|か月|カ月|ヶ月|ヵ月|ケ月|ヶ月間|年)後/.exec(s);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unit = rel[2];
+    if (unit === "日") return { ...today, d: today.d + n };
+    if (unit.startsWith("週")) return { ...today, d: today.d + n * 7 };
+    if (unit === "年") return { ...today, y: today.y + n };
+    return { ...today, m: today.m + n };
+  }
+  if (/明後日|あさって/.test(s)) return { ...today, d: today.d + 2 };
+  if (/明日|あした/.test(s)) return { ...today, d: today.d + 1 };
+  if (/来週/.test(s)) return { ...today, d: today.d + 7 };
+  if (/来月/.test(s)) return { ...today, m: today.m + 1 };
+  return null;
+}
+
+/**
+ * text → 予定（読み取れなければ null）
+ * base: 数え始め（診察の日時）
+ */
+function parseWhen(text, { base = new Date() } = {}) {
+  const s = normalize(text);
+  const date = parseDate(s, base);
+  if (date) {
+    const time = parseTime(s);
+    const at = jstDate(date.y, date.m, date.d, time || DEFAULT_TIME);
+    return { type: "once", at: at.toISOString(), allDay: !time };
+  }
+  const times = parseDaily(s);
+  if (times) return { type: "daily", times };
+  return null;
+}
+
+/**
+ * 毎日の予定の次の時刻（after より後、until まで）→ ISO | null
+ */
+function nextDaily(times, after, until = null) {
+  const a = new Date(after);
+  const day = jstDay(a);
+  for (let i = 0; i <= 1; i++) {
+    for (const t of [...times].sort()) {
+      const at = jstDate(day.y, day.m, day.d + i, t);
+      if (at > a) return until && at > new Date(until) ? null : at.toISOString();
+    }
+  }
+  return null;
+}
+
+// ISO → 「10月25日(土) 14:00」（日本時間）
+function whenLabel(iso, { allDay = false } = {}) {
+  const d = new Date(new Date(iso).getTime() + JST_MS);
+  const dow = "日月火水木金土"[d.getUTCDay()];
+  const date = `${d.getUTCMonth() + 1}月${d.getUTCDate()}日(${dow})`;
+  return allDay ? date : `${date} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}`;
+}
+
+module.exports = { parseWhen, nextDaily, whenLabel, jstDay, jstDate, normalize, DAY_MS, DEFAULT_TIME };
@@ -0,0 +1,153 @@
+// lib/retention.js
+const fs = require("fs");
+const path = require("path");
+const { ARTIFACTS } = require("./sessions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 保存期間（日、0 = 期限なし）。セッション作成日時からの経過で種類ごとに消す
+ *   chunks       録音チャンクと結合ファイル（sessions/{id}/）、/finalize の作業ファイル
+ *   wav          STT 入力の WAV（audio/{id}.wav）
+ *   audio        詳細ページ再生用の圧縮音声（audio/{id}.m4a）
+ *   transcripts  文字起こし
+ *   summaries    要約 JSON（確認で直した版を含む）と詳細 HTML（PDF・.ics）、要約から作ったリマインダー
+ *   jobs         ジョブのメタ・状態・配信記録（DATA_DIR/jobs の互換ファイルを含む）
+ *   audit        監査ログ（audit/{日付}/）
+ * 全種類に期限があり全部消えたセッションは、持ち主の記録と受診履歴も消す
+ */
+const DEFAULT_POLICY = { chunks: 7, wav: 30, audio: 0, transcripts: 0, summaries: 0, jobs: 90, audit: 0 };
+
+// 環境変数 RETENTION_DAYS_{種類}（例: RETENTION_DAYS_WAV=14）→ 保存期間
+function retentionFromEnv(env) {
+  const policy = { ...DEFAULT_POLICY };
+  for (const type of Object.keys(DEFAULT_POLICY)) {
+    const v = env[`RETENTION_DAYS_${type.toUpperCase()}`];
+    if (v === undefined || v === "") continue;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`RETENTION_DAYS_${type.toUpperCase()} must be a non-negative integer: ${v}`);
+    policy[type] = n;
+  }
+  return policy;
+}
+
+/**
+ * 保存期間切れのデータを消すスイーパー
+ * sessions-meta/{id}.json に消した種類と日時（swept）を残し、次回からは飛ばす
+ * 処理中のジョブ（jobs-active）があるセッションは触らない
+ */
+function createRetention({ storage, sessions, audit, policy = DEFAULT_POLICY, localDir = null }) {
+  const expired = (iso, days, now) => days > 0 && !!iso && now - Date.parse(iso) > days * DAY_MS;
+  const types = Object.keys(ARTIFACTS);
+  const allExpire = types.every((t) => policy[t] > 0);
+  let timer = null;
+  let running = false;
+
+  // ワーカー導入前のセッション（by-session メタだけ）は更新日時を作成日時として sessions-meta に取り込む
+  async function adoptLegacy() {
+    const prefix = "jobs-meta/by-session/";
+    for (const k of await storage.list(prefix)) {
+      const sessionId = k.slice(prefix.length).replace(/\.json$/, "");
+      if (await storage.exists(`sessions-meta/${sessionId}.json`)) continue;
+      try {
+        const [legacy, st] = await Promise.all([storage.readJson(k), storage.stat(k)]);
+        if (legacy.userId) await sessions.claim(sessionId, legacy.userId, { createdAt: st.updated });
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+    }
+  }
+
+  async function sweepSession(sessionId, now) {
+    const meta = await sessions.get(sessionId);
+    if (!meta) return;
+    const swept = meta.swept || {};
+    const due = types.filter((t) => !swept[t] && expired(meta.createdAt, policy[t], now));
+    if (!due.length) return;
+
+    const jobId = await sessions.jobIdOf(sessionId);
+    if (jobId && await storage.exists(`jobs-active/${jobId}`)) return;
+
+    if (allExpire && types.every((t) => swept[t] || due.includes(t))) {
+      await sessions.purge(sessionId);
+      await audit.log({ action: "retention.sweep", sessionId, userId: meta.owner, detail: { types: due, purged: true } });
+      return;
+    }
+    await sessions.removeArtifacts(sessionId, due, jobId);
+    const at = new Date(now).toISOString();
+    for (const t of due) swept[t] = at;
+    await storage.writeJson(`sessions-meta/${sessionId}.json`, { ...meta, swept }, { cacheControl: "no-store" });
+    await audit.log({ action: "retention.sweep", sessionId, userId: meta.owner, detail: { types: due } });
+  }
+
+  // 監査ログは日付のフォルダごと
+  async function sweepAudit(now) {
+    if (!policy.audit) return;
+    const dates = new Set((await storage.list("audit/")).map((k) => k.split("/")[1]));
+    for (const date of dates) {
+      if (expired(`${date}T23:59:59.999Z`, policy.audit, now)) await storage.removePrefix(`audit/${date}/`);
+    }
+  }
+
+  // DATA_DIR に残った作業ディレクトリ（失敗した /finalize など）と互換のジョブファイル
+  function sweepLocal(now) {
+    if (!localDir) return;
+    for (const [dir, type] of [["sessions", "chunks"], ["jobs", "jobs"]]) {
+      if (!policy[type]) continue;
+      const base = path.join(localDir, dir);
+      let names = [];
+      try { names = fs.readdirSync(base); } catch { continue; }
+      for (const name of names) {
+        const p = path.join(base, name);
+        try {
+          if (expired(fs.statSync(p).mtime.toISOString(), policy[type], now)) fs.rmSync(p, { recursive: true, force: true });
+        } catch {}
+      }
+    }
+  }
+
+  /**
+   * 1 回分の掃除
+   * @returns 調べたセッション数
+   */
+  async function sweep() {
+    if (running) return 0;
+    running = true;
+    const now = Date.now();
+    let count = 0;
+    try {
+      await adoptLegacy();
+      const prefix = "sessions-meta/";
+      for (const k of await storage.list(prefix)) {
+        const sessionId = k.slice(prefix.length).replace(/\.json$/, "");
+        try {
+          await sweepSession(sessionId, now);
+          count++;
+        } catch (e) {
+          console.error(`[retention] ${sessionId} failed:`, e?.message);
+        }
+      }
+      await sweepAudit(now);
+      sweepLocal(now);
+    } finally {
+      running = false;
+    }
+    return count;
+  }
+
+  function start(intervalMs) {
+    const run = () => sweep().catch((e) => console.error("[retention] sweep failed:", e?.message));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { policy, sweep, start, stop };
+}
+
+module.exports = { createRetention, retentionFromEnv, DEFAULT_POLICY };
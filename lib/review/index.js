@@ -0,0 +1,334 @@
+// lib/review/index.js
+const { FULL_MEMO, validate, coerce } = require("../summary/schema");
+const { loadTranscript } = require("../transcript");
+
+/**
+ * 配信前の医療者の確認（医療機関ごとに「確認してから送る」を選べる）
+ * 確認が要るセッションは要約の後で止まり（パイプラインの review ステージ）、確認ページで直して承認すると配信に進む
+ *   settings/review.json        { all, clinics: ["…"], updatedAt }  確認する医療機関（/finalize の clinic。all なら全部）
+ *   reviews/{sessionId}.json    { sessionId, jobId, userId, clinic, status, round, version, createdAt, updatedAt, decision }
+ *     status: pending（確認待ち）| approved（承認 → 配信）| rejected（差し戻し。decision.regenerate なら作り直す）
+ *             | regenerating（要約の生成中・作り直し中。次の要約で round を進めて pending に戻る）
+ * 確認の記録があるセッションは、承認されるまで利用者に見せない（released。詳細ページも承認のときに初めて描く）
+ *   reviews-pending/{sessionId} 確認待ちの印（一覧用。中身は登録日時）
+ *   reviews-locks/{sessionId}/{n}  版 n を元にした修正・承認・差し戻しの印（最初に作れた 1 つだけが進める）
+ *   summaries/{sessionId}.versions/{n}.json  要約の版 { version, round, source: "generated" | "edit", summary, full, by, note, at }
+ *     各回の最初の版が生成したもの。直すたびに次の版を足し、配信に使う summaries/{sessionId}.json / .full.json も書き換える
+ * 詳細要約で直した項目は、短い要約（LINE のメモ）の同じ項目にも写す
+ * 要約は保存されている形（伏せ字のまま）で見せて直す。元に戻すのは配信と詳細ページのときだけ
+ */
+const SETTINGS_KEY = "settings/review.json";
+const MAX_CLINICS = 200;
+const MAX_NOTE = 1000;
+// 短い要約と詳細要約で共通の項目（詳細で直したら短い方にも写す）
+const SHARED = ["summary_top3", "decisions", "todos_until_next", "ask_next_time", "red_flags", "terms_plain"];
+// 要約JSON のうちスキーマの外で、直した版にも引き継ぐもの
+const CARRIED = ["validation", "language", "templates"];
+
+const recordKey = (sessionId) => `reviews/${sessionId}.json`;
+const pendingKey = (sessionId) => `reviews-pending/${sessionId}`;
+const lockKey = (sessionId, n) => `reviews-locks/${sessionId}/${n}`;
+const versionKey = (sessionId, n) => `summaries/${sessionId}.versions/${n}.json`;
+const conflict = (message) => Object.assign(new Error(message), { code: 409 });
+
+/**
+ * 設定の形を確かめる { all, clinics }
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateReviewSettings(body) {
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  const errors = [];
+  if (body.all !== undefined && typeof body.all !== "boolean") errors.push("all: expected boolean");
+  if (body.clinics !== undefined) {
+    if (!Array.isArray(body.clinics) || body.clinics.length > MAX_CLINICS) errors.push(`clinics: expected array (max ${MAX_CLINICS})`);
+    else if (body.clinics.some((c) => typeof c !== "string" || !c.trim() || c.length > 100)) errors.push("clinics: expected non-empty strings (max 100 chars)");
+  }
+  return errors;
+}
+
+/**
+ * 直した内容の形を確かめる { baseVersion, full, note }
+ * full は詳細要約のスキーマ（lib/summary/schema の FULL_MEMO）どおりであること
+ */
+function validateReviewEdit(body) {
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  const errors = [];
+  if (!Number.isInteger(body.baseVersion) || body.baseVersion < 1) errors.push("baseVersion: expected integer >= 1");
+  if (body.note !== undefined && (typeof body.note !== "string" || body.note.length > MAX_NOTE)) errors.push(`note: expected string (max ${MAX_NOTE})`);
+  errors.push(...validate(FULL_MEMO, body.full, "full"));
+  return errors;
+}
+
+/**
+ * 承認・差し戻しの形を確かめる { baseVersion, note, regenerate }（regenerate は差し戻しのときだけ）
+ */
+function validateReviewDecision(body, decision) {
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  const errors = [];
+  if (!Number.isInteger(body.baseVersion) || body.baseVersion < 1) errors.push("baseVersion: expected integer >= 1");
+  if (body.note !== undefined && (typeof body.note !== "string" || body.note.length > MAX_NOTE)) errors.push(`note: expected string (max ${MAX_NOTE})`);
+  if (body.regenerate !== undefined && (decision !== "reject" || typeof body.regenerate !== "boolean")) {
+    errors.push(decision === "reject" ? "regenerate: expected boolean" : "regenerate: only for reject");
+  }
+  return errors;
+}
+
+// 詳細要約の項目 → 短い要約の同じ項目（用語は term / easy だけ）
+const toShort = (field, value) => (field === "terms_plain" ? value.map(({ term, easy }) => ({ term, easy })) : value);
+
+function createReviews({ storage, detailPages }) {
+  async function readOrNull(key) {
+    try {
+      return await storage.readJson(key);
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function settings() {
+    return (await readOrNull(SETTINGS_KEY)) || { all: false, clinics: [], updatedAt: null };
+  }
+
+  async function save(r) {
+    r.updatedAt = new Date().toISOString();
+    await storage.writeJson(recordKey(r.sessionId), r, { cacheControl: "no-store" });
+    return r;
+  }
+
+  async function readSummaries(sessionId) {
+    const [summary, full] = await Promise.all([
+      storage.readJson(`summaries/${sessionId}.json`),
+      storage.readJson(`summaries/${sessionId}.full.json`),
+    ]);
+    return { summary, full };
+  }
+
+  // 版を足す（版は書き換えない。同じ番号が既にあれば false）
+  function addVersion(sessionId, doc) {
+    return storage.createIfAbsent(versionKey(sessionId, doc.version), JSON.stringify(doc, null, 2), {
+      contentType: "application/json",
+      cacheControl: "no-store",
+    });
+  }
+
+  // 確認待ちで、見ていた版（baseVersion）が最新のものだけ触れる
+  async function pendingAt(sessionId, baseVersion) {
+    const r = await readOrNull(recordKey(sessionId));
+    if (!r) return null;
+    if (r.status !== "pending") throw conflict(`review is ${r.status}`);
+    if (r.version !== baseVersion) throw conflict(`version ${baseVersion} is not the latest (${r.version})`);
+    return r;
+  }
+
+  /**
+   * 版 baseVersion を元にした操作（修正・承認・差し戻し）を 1 つだけ通す → fn() の結果
+   * 印を作れなければ、同じ版に先に別の操作があった（code 409）。fn が失敗したら印を外してやり直せるようにする
+   */
+  async function claim(sessionId, baseVersion, what, fn) {
+    const body = JSON.stringify({ what, at: new Date().toISOString() });
+    if (!(await storage.createIfAbsent(lockKey(sessionId, baseVersion), body, { contentType: "application/json" }))) {
+      throw conflict(`version ${baseVersion} was already changed or decided`);
+    }
+    try {
+      return await fn();
+    } catch (e) {
+      await storage.remove(lockKey(sessionId, baseVersion)).catch(() => {});
+      throw e;
+    }
+  }
+
+  // 今の要約が版 n のものか（印を取った後の確かめ。違えば code 409）→ { summary, full }
+  async function summariesAt(sessionId, n) {
+    const [current, v] = await Promise.all([readSummaries(sessionId), readOrNull(versionKey(sessionId, n))]);
+    const same = v && JSON.stringify(v.summary) === JSON.stringify(current.summary) && JSON.stringify(v.full) === JSON.stringify(current.full);
+    if (!same) throw conflict(`summaries do not match version ${n}`);
+    return current;
+  }
+
+  // 版の一覧（中身は除く。古い順）
+  async function versions(sessionId) {
+    const keys = await storage.list(`summaries/${sessionId}.versions/`);
+    const out = [];
+    for (const k of keys) {
+      const v = await readOrNull(k);
+      if (v) out.push({ version: v.version, round: v.round, source: v.source, by: v.by, note: v.note, at: v.at });
+    }
+    return out.sort((a, b) => a.version - b.version);
+  }
+
+  return {
+    settings,
+
+    async putSettings(body) {
+      const doc = {
+        all: Boolean(body.all),
+        clinics: [...new Set((body.clinics || []).map((c) => c.trim()))],
+        updatedAt: new Date().toISOString(),
+      };
+      await storage.writeJson(SETTINGS_KEY, doc, { cacheControl: "no-store" });
+      return doc;
+    },
+
+    // この医療機関（clinic）のセッションは確認が要るか
+    async required(clinic) {
+      const s = await settings();
+      return s.all || (!!clinic && s.clinics.includes(clinic));
+    },
+
+    get: (sessionId) => readOrNull(recordKey(sessionId)),
+
+    /**
+     * 確認が要るセッションの要約を書く前に呼ぶ（パイプライン）。記録が無ければ生成中（regenerating・round 0）で作り、
+     * 書いた要約が確認待ちになる前に利用者へ見えないようにする
+     */
+    async hold(job) {
+      const { sessionId } = job;
+      if (await readOrNull(recordKey(sessionId))) return;
+      const now = new Date().toISOString();
+      await save({
+        sessionId, jobId: job.jobId, userId: job.userId || null, clinic: job.clinic || null,
+        status: "regenerating", round: 0, version: 0, createdAt: now, decision: null,
+      });
+    },
+
+    // 利用者に見せてよいか（確認の記録が無い・承認済み）。要約の API・詳細ページのリンク・LINE の再送で確かめる
+    async released(sessionId) {
+      const r = await readOrNull(recordKey(sessionId));
+      return !r || r.status === "approved";
+    },
+
+    /**
+     * 要約ができたところで確認待ちにする（初回、または作り直しの後）。生成したままの要約を今回の最初の版にする
+     * job: パイプラインのジョブ記録
+     */
+    async open(job) {
+      const { sessionId } = job;
+      const prev = await readOrNull(recordKey(sessionId));
+      const now = new Date().toISOString();
+      const r = prev || { sessionId, jobId: job.jobId, userId: job.userId || null, clinic: job.clinic || null, round: 0, version: 0, createdAt: now };
+      r.status = "pending";
+      r.round++;
+      r.version++;
+      r.decision = null;
+      const { summary, full } = await readSummaries(sessionId);
+      // やり直し（記録を保存する前に落ちた）なら同じ版が既にあるが、まだ誰も見ていないので今の要約で書き直す
+      // （承認・修正は今の要約がこの版と同じかを確かめる）
+      await storage.writeJson(versionKey(sessionId, r.version), { version: r.version, round: r.round, source: "generated", summary, full, by: null, note: "", at: now }, { cacheControl: "no-store" });
+      await storage.write(pendingKey(sessionId), now, { contentType: "text/plain" });
+      return save(r);
+    },
+
+    // 確認待ちの一覧（古い順）。clinic で絞れる
+    async list({ clinic } = {}) {
+      const keys = await storage.list("reviews-pending/");
+      const out = [];
+      for (const k of keys) {
+        const r = await readOrNull(recordKey(k.slice("reviews-pending/".length)));
+        if (!r || r.status !== "pending") continue;
+        if (clinic && r.clinic !== clinic) continue;
+        out.push(r);
+      }
+      return out.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * 確認ページに出すもの → { review, summary, full, transcript, versions, schema }（確認の記録が無ければ null）
+     * versions は版の一覧（中身は version で読む）。schema は詳細要約のスキーマ（確認ページの入力欄を作る）
+     */
+    async detail(sessionId) {
+      const review = await readOrNull(recordKey(sessionId));
+      // 最初の要約を生成中（hold の直後）はまだ見せるものが無い
+      if (!review || review.round === 0) return null;
+      const [{ summary, full }, transcript, history] = await Promise.all([
+        readSummaries(sessionId),
+        loadTranscript(storage, sessionId).catch((e) => {
+          if (e.code === 404) return null;
+          throw e;
+        }),
+        versions(sessionId),
+      ]);
+      return { review, summary, full, transcript, versions: history, schema: FULL_MEMO };
+    },
+
+    versions,
+
+    version: (sessionId, n) => readOrNull(versionKey(sessionId, n)),
+
+    /**
+     * 詳細要約を直して次の版にする（検証は validateReviewEdit）→ { review, summary, full }
+     * 確認待ちでない・baseVersion が最新でないなら code 409 のエラー。確認の記録が無ければ null
+     */
+    async edit(sessionId, { baseVersion, full: edited, note = "", by }) {
+      const r = await pendingAt(sessionId, baseVersion);
+      if (!r) return null;
+      // 同じ版を元に直した・承認した人がいれば 409
+      return claim(sessionId, baseVersion, "edit", async () => {
+        const { summary, full } = await summariesAt(sessionId, baseVersion);
+        const nextFull = coerce(FULL_MEMO, edited);
+        for (const k of CARRIED) if (full[k] !== undefined) nextFull[k] = full[k];
+        const nextSummary = { ...summary };
+        for (const f of SHARED) {
+          if (JSON.stringify(nextFull[f]) !== JSON.stringify(full[f])) nextSummary[f] = toShort(f, nextFull[f]);
+        }
+
+        const at = new Date().toISOString();
+        r.version++;
+        const doc = { version: r.version, round: r.round, source: "edit", summary: nextSummary, full: nextFull, by, note, at };
+        if (!(await addVersion(sessionId, doc))) throw conflict(`version ${r.version} already exists`);
+        await Promise.all([
+          storage.writeJson(`summaries/${sessionId}.json`, nextSummary, { cacheControl: "no-store" }),
+          storage.writeJson(`summaries/${sessionId}.full.json`, nextFull, { cacheControl: "no-store" }),
+        ]);
+        return { review: await save(r), summary: nextSummary, full: nextFull };
+      });
+    },
+
+    /**
+     * 承認（decision: "approve"）か差し戻し（"reject"）→ 確認の記録
+     * 承認は最新の版で詳細ページを描き直し、要約JSON に review（承認した版・人・日時）を残す。配信はパイプラインが続ける
+     * 差し戻しで regenerate なら、パイプラインが要約から作り直して次の回の確認待ちになる。そうでなければ送らずに終わる
+     * 同じ版への修正・判断と重なったら code 409（承認した版と配信する中身がずれないように）
+     */
+    async decide(sessionId, decision, { baseVersion, note = "", regenerate = false, by }) {
+      const r = await pendingAt(sessionId, baseVersion);
+      if (!r) return null;
+      return claim(sessionId, baseVersion, decision, async () => {
+        const at = new Date().toISOString();
+        if (decision === "approve") {
+          const { summary, full } = await summariesAt(sessionId, baseVersion);
+          const stamp = { version: baseVersion, approvedBy: by, approvedAt: at };
+          summary.review = stamp;
+          full.review = stamp;
+          await Promise.all([
+            storage.writeJson(`summaries/${sessionId}.json`, summary, { cacheControl: "no-store" }),
+            storage.writeJson(`summaries/${sessionId}.full.json`, full, { cacheControl: "no-store" }),
+          ]);
+          let structured = null;
+          try {
+            structured = await loadTranscript(storage, sessionId);
+          } catch (e) {
+            if (e.code !== 404) throw e;
+          }
+          await detailPages.render(sessionId, full, structured);
+        }
+        r.status = decision === "approve" ? "approved" : "rejected";
+        r.decision = { decision, by, note, at, version: baseVersion, ...(decision === "reject" ? { regenerate } : {}) };
+        await storage.remove(pendingKey(sessionId));
+        return save(r);
+      });
+    },
+
+    /**
+     * 差し戻し（regenerate）の後、要約を作り直す前に呼ぶ（パイプライン）。詳細HTML を消すので要約ステージが生成し直す
+     */
+    async restart(sessionId) {
+      const r = await readOrNull(recordKey(sessionId));
+      r.status = "regenerating";
+      await storage.remove(detailPages.htmlKey(sessionId));
+      return save(r);
+    },
+  };
+}
+
+module.exports = { createReviews, validateReviewSettings, validateReviewEdit, validateReviewDecision };
@@ -0,0 +1,170 @@
+// lib/sessions.js
+const fs = require("fs");
+const path = require("path");
+const { createHistory } = require("./history");
+
+// sessionId はストレージのキーに入るので、区切りや ".." を含まないものに限る
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * セッションのデータを種類ごとに（保存期間 lib/retention.js の単位）
+ * → { keys: [...], prefixes: [...], local: [...]（localDir 配下の作業ファイル） }
+ * 持ち主の記録（sessions-meta・owners・by-session メタ）と受診履歴はここに含めず、purge でだけ消す
+ */
+const ARTIFACTS = {
+  chunks: (sid) => ({ prefixes: [`sessions/${sid}/`], local: [path.join("sessions", sid)] }),
+  wav: (sid) => ({ keys: [`audio/${sid}.wav`] }),
+  audio: (sid) => ({ keys: [`audio/${sid}.m4a`] }),
+  transcripts: (sid) => ({ keys: [`transcripts/${sid}.json`, `transcripts/${sid}.txt`, `redactions/${sid}.json`] }),
+  summaries: (sid) => ({
+    keys: [
+      `summaries/${sid}.json`, `summaries/${sid}.full.json`, `summaries/${sid}.html`, `summaries/${sid}.pdf`, `summaries/${sid}.ics`,
+      `reminders/${sid}.json`, `reminders-active/${sid}`, `reviews/${sid}.json`, `reviews-pending/${sid}`,
+    ],
+    prefixes: [`reminder-keys/${sid}/`, `summaries/${sid}.versions/`, `reviews-locks/${sid}/`],
+  }),
+  jobs: (sid, jobId) => (jobId ? {
+    keys: [
+      `jobs-meta/by-job/${jobId}.json`, `jobs-state/${jobId}.json`, `jobs-active/${jobId}`, `leases/${jobId}.json`,
+      ...(jobId.startsWith("whisper-") ? [`stt/whisper/${jobId.slice("whisper-".length)}.json`] : []),
+    ],
+    prefixes: [`deliveries/${jobId}.`],
+    local: [path.join("jobs", `${jobId}.json`)],
+  } : {}),
+};
+
+/**
+ * セッションの持ち主（sessions-meta/{sessionId}.json）
+ * { sessionId, owner, createdAt, tenant }
+ * 最初に触った利用者（/sign-upload・/finalize・/stream）が持ち主になり、以降は本人だけが使える
+ * 利用者ごとの索引 owners/{userId}/{sessionId}（中身は作成日時）も置く
+ * localDir: /finalize の作業ディレクトリと互換のジョブファイルを置く DATA_DIR（削除のときに一緒に消す）
+ * tenant: 医療機関の id（lib/tenants。医療機関のストレージで使うとき、作ったセッションに残す）
+ */
+function createSessions(storage, { localDir = null, tenant = null } = {}) {
+  const history = createHistory(storage);
+  const key = (sessionId) => `sessions-meta/${sessionId}.json`;
+
+  async function jobIdOf(sessionId) {
+    try {
+      return (await storage.readJson(`jobs-meta/by-session/${sessionId}.json`)).jobId || null;
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  // 指定した種類（ARTIFACTS のキー）のデータを消す
+  async function removeArtifacts(sessionId, types, jobId) {
+    for (const type of types) {
+      const { keys = [], prefixes = [], local = [] } = ARTIFACTS[type](sessionId, jobId);
+      for (const p of prefixes) await storage.removePrefix(p);
+      for (const k of keys) await storage.remove(k);
+      if (localDir) for (const p of local) fs.rmSync(path.join(localDir, p), { recursive: true, force: true });
+    }
+  }
+
+  async function get(sessionId) {
+    try {
+      return await storage.readJson(key(sessionId));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  // 利用者のセッション（新しい順）→ [{ sessionId, createdAt }]
+  async function listOwned(userId) {
+    const prefix = `owners/${userId}/`;
+    const keys = await storage.list(prefix);
+    const out = await Promise.all(keys.map(async (k) => ({
+      sessionId: k.slice(prefix.length),
+      createdAt: (await storage.read(k)).toString("utf-8").trim(),
+    })));
+    return out.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * セッションのデータを全部消す（録音チャンク・音声・文字起こし・要約・ジョブのメタと状態・配信記録・受診履歴）
+   * @returns {{ sessionId, jobId, owner }}
+   */
+  async function purge(sessionId) {
+    const jobId = await jobIdOf(sessionId);
+    const owner = (await get(sessionId))?.owner || null;
+
+    await removeArtifacts(sessionId, Object.keys(ARTIFACTS), jobId);
+    await storage.remove(`jobs-meta/by-session/${sessionId}.json`);
+    if (owner) {
+      await history.removeSession(owner, sessionId);
+      await storage.remove(`owners/${owner}/${sessionId}`);
+    }
+    await storage.remove(key(sessionId));
+    return { sessionId, jobId, owner };
+  }
+
+  return {
+    get,
+    listOwned,
+    jobIdOf,
+    removeArtifacts,
+    purge,
+
+    /**
+     * 持ち主として使えるか（未登録なら userId で登録して true）
+     * ワーカー導入前のセッションは by-session メタの userId を持ち主とみなす
+     * createdAt: 作成日時を指定して登録する（保存期間の判定用に古いセッションを取り込むとき）
+     */
+    async claim(sessionId, userId, { createdAt } = {}) {
+      const now = createdAt || new Date().toISOString();
+      const meta = { sessionId, owner: userId, createdAt: now, ...(tenant ? { tenant } : {}) };
+      let legacy = null;
+      try {
+        legacy = await storage.readJson(`jobs-meta/by-session/${sessionId}.json`);
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+      if (legacy?.userId && legacy.userId !== userId) return false;
+
+      const created = await storage.createIfAbsent(key(sessionId), JSON.stringify(meta, null, 2), {
+        contentType: "application/json",
+        cacheControl: "no-store",
+      });
+      if (created) {
+        await storage.write(`owners/${userId}/${sessionId}`, now, { contentType: "text/plain" });
+        return true;
+      }
+      const cur = await get(sessionId);
+      return cur?.owner === userId;
+    },
+
+    /**
+     * 利用者のデータを全部消す（持っているセッション・受診履歴・経過記録）
+     * @returns 消したセッションの sessionId[]
+     */
+    async purgeUser(userId) {
+      const owned = await listOwned(userId);
+      for (const s of owned) await purge(s.sessionId);
+      await storage.removePrefix(`history/${userId}/`);
+      await storage.removePrefix(`owners/${userId}/`);
+      await storage.remove(`records/${userId}.json`);
+      await storage.remove(`records/${userId}.html`);
+      await storage.remove(`delivery-prefs/${userId}.json`);
+      return owned.map((s) => s.sessionId);
+    },
+
+    // 読み取り専用の持ち主確認（未登録なら by-session メタで判定）
+    async isOwner(sessionId, userId) {
+      const cur = await get(sessionId);
+      if (cur) return cur.owner === userId;
+      try {
+        const legacy = await storage.readJson(`jobs-meta/by-session/${sessionId}.json`);
+        return legacy.userId === userId;
+      } catch (e) {
+        if (e.code === 404) return false;
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = { createSessions, SESSION_ID_RE, ARTIFACTS };
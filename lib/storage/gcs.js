@@ -0,0 +1,116 @@
+// lib/storage/gcs.js
+const { Storage } = require("@google-cloud/storage");
+
+/**
+ * GCS 実装（bucket.file(...) の薄いラッパ）
+ */
+function createGcsStorage({ bucketName }) {
+  const bucket = new Storage().bucket(bucketName);
+
+  async function composeOnce(sources, destination) {
+    if (typeof destination.compose === "function") {
+      await destination.compose(sources);
+    } else if (typeof destination.bucket.combine === "function") {
+      await destination.bucket.combine(sources, destination);
+    } else {
+      throw new Error("Neither File.compose nor bucket.combine is available.");
+    }
+  }
+
+  return {
+    driver: "gcs",
+
+    async exists(key) {
+      const [exists] = await bucket.file(key).exists();
+      return !!exists;
+    },
+
+    async read(key) {
+      const [buf] = await bucket.file(key).download();
+      return buf;
+    },
+
+    async write(key, data, opts = {}) {
+      const { contentType, cacheControl, ifGenerationMatch } = opts;
+      await bucket.file(key).save(data, {
+        resumable: false,
+        contentType,
+        metadata: cacheControl ? { cacheControl } : undefined,
+        // ifGenerationMatch はトップレベルでは無視されるので preconditionOpts で渡す
+        ...(ifGenerationMatch !== undefined ? { preconditionOpts: { ifGenerationMatch } } : {}),
+      });
+    },
+
+    async stat(key) {
+      const [m] = await bucket.file(key).getMetadata();
+      return { size: Number(m.size), updated: m.updated, contentType: m.contentType || null, md5: m.md5Hash || null };
+    },
+
+    async remove(key) {
+      try {
+        await bucket.file(key).delete();
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+    },
+
+    async removePrefix(prefix) {
+      await bucket.deleteFiles({ prefix });
+    },
+
+    async list(prefix) {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map((f) => f.name).sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * sources を最大32個ずつ合成しながら最終的に 1 本にまとめる
+     */
+    async compose(keys, destKey) {
+      const destFile = bucket.file(destKey);
+      let queue = keys.map((k) => bucket.file(k));
+      let round = 0;
+      while (queue.length > 1) {
+        const next = [];
+        for (let i = 0; i < queue.length; i += 32) {
+          const batch = queue.slice(i, i + 32);
+          if (batch.length === 1) { next.push(batch[0]); continue; }
+          const tmp = bucket.file(`${destKey}.compose.${round}.${Math.floor(i/32)}`);
+          await composeOnce(batch, tmp);
+          next.push(tmp);
+        }
+        queue = next;
+        round++;
+      }
+      if (queue.length === 1 && queue[0].name !== destKey) {
+        await queue[0].copy(destFile);
+      }
+      try { await bucket.deleteFiles({ prefix: `${destKey}.compose.` }); } catch {}
+    },
+
+    async uploadFile(localPath, key, opts = {}) {
+      await bucket.upload(localPath, { destination: key, contentType: opts.contentType });
+    },
+
+    async downloadFile(key, localPath) {
+      await bucket.file(key).download({ destination: localPath });
+    },
+
+    async signedUrl(key, { action, expires, contentType, contentMd5 }) {
+      const [url] = await bucket.file(key).getSignedUrl({
+        version: "v4",
+        action,
+        expires,
+        ...(contentType ? { contentType } : {}),
+        ...(contentMd5 ? { contentMd5 } : {}),
+      });
+      return url;
+    },
+
+    uri(key) {
+      return `gs://${bucketName}/${key}`;
+    },
+  };
+}
+
+module.exports = { createGcsStorage };
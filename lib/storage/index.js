@@ -0,0 +1,79 @@
+// lib/storage/index.js
+const { createGcsStorage } = require("./gcs");
+const { createLocalStorage } = require("./local");
+
+/**
+ * ストレージ抽象化
+ * driver: "gcs"（既定）| "local"（DATA_DIR 配下のディスク）
+ *
+ * 各実装が持つメソッド（key はバケット内のオブジェクト名に相当）
+ *   exists(key) / read(key) → Buffer / write(key, data, { contentType, cacheControl, ifGenerationMatch })
+ *   remove(key) / removePrefix(prefix) / list(prefix) → key[]
+ *   stat(key) → { size, updated（ISO）, contentType, md5（base64） }
+ *   compose(keys, destKey) / uploadFile(localPath, key) / downloadFile(key, localPath)
+ *   signedUrl(key, { action: "read"|"write", expires, contentType, contentMd5 }) / uri(key)
+ *     contentMd5（base64）を付けた書き込みURLは、同じ Content-MD5 ヘッダと中身でないと受け付けない
+ * 失敗時のエラーは GCS に合わせて e.code = 404（未存在）/ 412（ifGenerationMatch 不一致）
+ */
+function createStorage(opts) {
+  const driver = opts.driver || "gcs";
+  let impl;
+  if (driver === "gcs") {
+    impl = createGcsStorage({ bucketName: opts.bucketName });
+  } else if (driver === "local") {
+    impl = createLocalStorage({ rootDir: opts.rootDir, baseUrl: opts.baseUrl, secret: opts.secret });
+  } else {
+    throw new Error(`unknown storage driver: ${driver}`);
+  }
+  return withHelpers(impl);
+}
+
+// 実装に依存しない便利メソッド
+function withHelpers(impl) {
+  return Object.assign(impl, {
+    async readJson(key) {
+      const buf = await impl.read(key);
+      return JSON.parse(buf.toString("utf-8"));
+    },
+
+    async writeJson(key, obj, opts = {}) {
+      await impl.write(key, JSON.stringify(obj, null, 2), { contentType: "application/json", ...opts });
+    },
+
+    // 存在しなければ作成（作れたら true、既存なら false）
+    async createIfAbsent(key, data, opts = {}) {
+      try {
+        await impl.write(key, data, { ...opts, ifGenerationMatch: 0 });
+        return true;
+      } catch (e) {
+        if (e.code === 412) return false;
+        throw e;
+      }
+    },
+  });
+}
+
+/**
+ * 接頭辞の中だけを見るストレージ（医療機関ごとのデータ。lib/tenants）
+ * key に prefix を付けて元のストレージに渡し、list は prefix を外して返す。署名URL・router は元のものを使う
+ */
+function scopeStorage(storage, prefix) {
+  const k = (key) => prefix + key;
+  return withHelpers({
+    driver: storage.driver,
+    exists: (key) => storage.exists(k(key)),
+    read: (key) => storage.read(k(key)),
+    write: (key, data, opts) => storage.write(k(key), data, opts),
+    stat: (key) => storage.stat(k(key)),
+    remove: (key) => storage.remove(k(key)),
+    removePrefix: (p) => storage.removePrefix(k(p)),
+    list: async (p) => (await storage.list(k(p))).map((key) => key.slice(prefix.length)),
+    compose: (keys, destKey) => storage.compose(keys.map(k), k(destKey)),
+    uploadFile: (localPath, key, opts) => storage.uploadFile(localPath, k(key), opts),
+    downloadFile: (key, localPath) => storage.downloadFile(k(key), localPath),
+    signedUrl: (key, opts) => storage.signedUrl(k(key), opts),
+    uri: (key) => storage.uri(k(key)),
+  });
+}
+
+module.exports = { createStorage, scopeStorage };
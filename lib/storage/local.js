@@ -0,0 +1,238 @@
+// lib/storage/local.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+
+const META_DIR = ".meta";
+
+function preconditionFailed(key) {
+  const err = new Error(`precondition failed: ${key} already exists`);
+  err.code = 412;
+  return err;
+}
+function notFound(key) {
+  const err = new Error(`No such object: ${key}`);
+  err.code = 404;
+  return err;
+}
+
+/**
+ * ローカルディスク実装（rootDir 配下に key をそのままファイルとして置く）
+ * - write の ifGenerationMatch: 0 は O_EXCL 作成で再現（既存なら code=412）
+ * - 署名URLはアプリ自身の /storage ルートで配信・受信する（router() をマウントして使う）
+ * - contentMd5 付きの書き込みURLは Content-MD5 ヘッダと中身の MD5 を確かめる（GCS と同じく不一致は 400）
+ */
+function createLocalStorage({ rootDir, baseUrl, secret }) {
+  const root = path.resolve(rootDir);
+  const metaRoot = path.join(root, META_DIR);
+  fs.mkdirSync(root, { recursive: true });
+
+  const toPath = (key, base = root) => {
+    const p = path.resolve(base, key);
+    if (!p.startsWith(base + path.sep)) throw new Error(`invalid key: ${key}`);
+    return p;
+  };
+  const metaPath = (key) => toPath(`${key}.json`, metaRoot);
+
+  const writeMeta = (key, meta) => {
+    const p = metaPath(key);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, JSON.stringify(meta));
+  };
+  const readMeta = (key) => {
+    try { return JSON.parse(fs.readFileSync(metaPath(key), "utf-8")); } catch { return {}; }
+  };
+
+  // 一時ファイルに書いてから rename（途中状態を読ませない）
+  const writeAtomic = (p, data) => {
+    const tmp = `${p}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, p);
+  };
+
+  const walk = (dir) => {
+    let out = [];
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return out; }
+    for (const ent of entries) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        if (p === metaRoot) continue;
+        out = out.concat(walk(p));
+      } else if (!ent.name.endsWith(".tmp")) {
+        out.push(path.relative(root, p).split(path.sep).join("/"));
+      }
+    }
+    return out;
+  };
+
+  // contentMd5 は付いたときだけ署名に含める（発行済みのURLの署名を変えない）
+  const sign = (action, key, expires, contentType, contentMd5) =>
+    crypto.createHmac("sha256", secret)
+      .update([action, key, String(expires), contentType || "", ...(contentMd5 ? [contentMd5] : [])].join("\n"))
+      .digest("hex");
+
+  const api = {
+    driver: "local",
+
+    async exists(key) {
+      return fs.existsSync(toPath(key));
+    },
+
+    async read(key) {
+      try {
+        return fs.readFileSync(toPath(key));
+      } catch (e) {
+        if (e.code === "ENOENT") throw notFound(key);
+        throw e;
+      }
+    },
+
+    async write(key, data, opts = {}) {
+      const { contentType, cacheControl, ifGenerationMatch } = opts;
+      const p = toPath(key);
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      if (ifGenerationMatch === 0) {
+        try {
+          fs.writeFileSync(p, data, { flag: "wx" });
+        } catch (e) {
+          if (e.code === "EEXIST") throw preconditionFailed(key);
+          throw e;
+        }
+      } else {
+        writeAtomic(p, data);
+      }
+      writeMeta(key, { contentType, cacheControl });
+    },
+
+    async stat(key) {
+      let st;
+      try {
+        st = fs.statSync(toPath(key));
+      } catch (e) {
+        if (e.code === "ENOENT") throw notFound(key);
+        throw e;
+      }
+      const md5 = crypto.createHash("md5").update(fs.readFileSync(toPath(key))).digest("base64");
+      return { size: st.size, updated: st.mtime.toISOString(), contentType: readMeta(key).contentType || null, md5 };
+    },
+
+    async remove(key) {
+      try { fs.unlinkSync(toPath(key)); } catch (e) { if (e.code !== "ENOENT") throw e; }
+      try { fs.unlinkSync(metaPath(key)); } catch {}
+    },
+
+    async removePrefix(prefix) {
+      for (const key of await api.list(prefix)) await api.remove(key);
+    },
+
+    async list(prefix) {
+      // prefix の最後の "/" までをディレクトリとして辿る
+      const dir = prefix.includes("/") ? prefix.slice(0, prefix.lastIndexOf("/")) : "";
+      const start = dir ? toPath(dir) : root;
+      return walk(start)
+        .filter((k) => k.startsWith(prefix))
+        .sort((a, b) => a.localeCompare(b));
+    },
+
+    async compose(keys, destKey) {
+      const p = toPath(destKey);
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      // 同じ宛先への compose が重なっても混ざらないよう一時ファイルは毎回別の名前
+      const tmp = `${p}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.compose.tmp`;
+      fs.writeFileSync(tmp, "");
+      for (const k of keys) fs.appendFileSync(tmp, fs.readFileSync(toPath(k)));
+      fs.renameSync(tmp, p);
+      writeMeta(destKey, { contentType: readMeta(keys[0]).contentType });
+    },
+
+    async uploadFile(localPath, key, opts = {}) {
+      const p = toPath(key);
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.copyFileSync(localPath, p);
+      writeMeta(key, { contentType: opts.contentType });
+    },
+
+    async downloadFile(key, localPath) {
+      try {
+        fs.copyFileSync(toPath(key), localPath);
+      } catch (e) {
+        if (e.code === "ENOENT") throw notFound(key);
+        throw e;
+      }
+    },
+
+    async signedUrl(key, { action, expires, contentType, contentMd5 }) {
+      toPath(key); // key 検証
+      const qs = new URLSearchParams({ action, expires: String(expires) });
+      if (contentType) qs.set("contentType", contentType);
+      if (contentMd5) qs.set("contentMd5", contentMd5);
+      qs.set("sig", sign(action, key, expires, contentType, contentMd5));
+      const encoded = key.split("/").map(encodeURIComponent).join("/");
+      return `${baseUrl}/storage/${encoded}?${qs}`;
+    },
+
+    uri(key) {
+      return `file://${toPath(key)}`;
+    },
+
+    /**
+     * 署名URLの受け口（app.use("/storage", storage.router())）
+     * express.json より前にマウントすること（PUT の生ボディを受けるため）
+     */
+    router() {
+      const r = express.Router();
+      const verify = (req, action) => {
+        const key = req.params[0];
+        const { expires, sig, contentType, contentMd5 } = req.query;
+        if (req.query.action !== action || !sig || !expires) return null;
+        if (Number(expires) < Date.now()) return null;
+        const expected = sign(action, key, expires, contentType, contentMd5);
+        if (sig.length !== expected.length) return null;
+        if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+        if (action === "write" && contentType && req.headers["content-type"] !== contentType) return null;
+        if (action === "write" && contentMd5 && req.headers["content-md5"] !== contentMd5) return null;
+        return key;
+      };
+
+      r.get("/*", (req, res) => {
+        const key = verify(req, "read");
+        if (!key) return res.status(403).json({ ok: false, error: "invalid signature" });
+        // sendFile で流す（Range に応じるので、詳細ページの音声をシークできる）
+        const meta = readMeta(key);
+        if (meta.contentType) res.type(meta.contentType);
+        if (meta.cacheControl) res.set("Cache-Control", meta.cacheControl);
+        res.sendFile(toPath(key), { dotfiles: "allow", cacheControl: !meta.cacheControl }, (e) => {
+          if (!e || res.headersSent) return;
+          if (e.code === "ENOENT" || e.status === 404) return res.status(404).json({ ok: false, error: "not found" });
+          console.error("[/storage GET]", e);
+          res.status(500).json({ ok: false, error: String(e) });
+        });
+      });
+
+      r.put("/*", express.raw({ type: () => true, limit: "200mb" }), async (req, res) => {
+        const key = verify(req, "write");
+        if (!key) return res.status(403).json({ ok: false, error: "invalid signature" });
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (req.query.contentMd5 && crypto.createHash("md5").update(body).digest("base64") !== req.query.contentMd5) {
+          return res.status(400).json({ ok: false, error: "BadDigest: Content-MD5 does not match the body" });
+        }
+        try {
+          await api.write(key, body, {
+            contentType: req.query.contentType,
+          });
+          res.status(200).end();
+        } catch (e) {
+          console.error("[/storage PUT]", e);
+          res.status(500).json({ ok: false, error: String(e) });
+        }
+      });
+
+      return r;
+    },
+  };
+  return api;
+}
+
+module.exports = { createLocalStorage };
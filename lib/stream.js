@@ -0,0 +1,183 @@
+// lib/stream.js
+const { WebSocketServer } = require("ws");
+const { v4: uuidv4 } = require("uuid");
+const { spawnPcmDecoder } = require("./ffmpeg");
+const { buildTranscript, saveTranscript, toText } = require("./transcript");
+const { phraseHints, applyDictionary } = require("./dictionary");
+const { restore } = require("./redact");
+const { SESSION_ID_RE } = require("./sessions");
+const { validateLanguage, languageSettings } = require("./i18n");
+
+/**
+ * 診察中のリアルタイム文字起こし（WebSocket /stream?sessionId=...&token=...[&dictionaryId=...&clinic=...&languageCode=...&alternativeLanguageCodes=en-US,vi-VN&outputLanguage=...]）
+ *   client → server: 録音と同じ webm/mp4 の断片をバイナリで送る。録音を終えたら {"type":"stop"}
+ *   server → client: {"type":"interim"|"final", text, end} / {"type":"saved", jobId, transcript} / {"type":"error", error}
+ * stop で確定分を transcripts/{sessionId}.txt / .json に保存し、要約ステージからワーカーに載せる（長時間認識ジョブは使わない）
+ * stop 前に切れた場合は破棄する（チャンクアップロード + /finalize の経路で送り直してもらう）
+ * ブラウザの WebSocket はヘッダを付けられないので LIFF のトークンは query の token で受け、接続前に検証する
+ * 用語辞書は接続時に読み、フレーズヒントと保存前の置換に使う（未知の dictionaryId は 400 で拒否）
+ * 言語の指定（lib/i18n）は /finalize と同じ。無ければ languageCode / memoLanguage（サーバの既定）
+ * redaction（lib/redact）があれば保存する文字起こしは伏せ字にする（接続中の interim / final と saved は元のまま）
+ * contextOf(pathname): 接続先のパス → { storage, stt, worker, auth, sessions, dictionaries, audit, redaction, tenantId }（null なら切る）
+ *   医療機関ごとに使うものを切り替えるとき（lib/tenants）。無ければ path への接続に opts のものを使う
+ */
+function attachStreamServer(server, opts) {
+  const { defaultDictionaryId, languageCode, memoLanguage, path = "/stream" } = opts;
+  const contextOf = opts.contextOf || (async (pathname) => (pathname === path ? opts : null));
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 5 * 1024 * 1024 });
+
+  const REASONS = { 400: "Bad Request", 401: "Unauthorized", 403: "Forbidden", 500: "Internal Server Error" };
+  const reject = (socket, status) => {
+    socket.end(`HTTP/1.1 ${status} ${REASONS[status]}\r\nConnection: close\r\n\r\n`);
+  };
+  const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+  // 接続前の確認（利用者・セッションの持ち主・辞書）。拒否は status 付きのエラー
+  async function prepare({ auth, sessions, dictionaries }, req, params) {
+    const sessionId = params.get("sessionId");
+    const userId = await auth.authenticate({ headers: req.headers, query: Object.fromEntries(params) }, params.get("token"));
+    if (!userId) throw httpError(401, "userId required");
+    if (!sessionId || !SESSION_ID_RE.test(sessionId)) throw httpError(400, "invalid sessionId");
+    if (!(await sessions.claim(sessionId, userId))) throw httpError(403, "session belongs to another user");
+
+    const dictionaryId = params.get("dictionaryId") || defaultDictionaryId || null;
+    const dict = dictionaryId ? await dictionaries.get(dictionaryId) : null;
+    if (dictionaryId && !dict) throw httpError(400, `dictionary not found: ${dictionaryId}`);
+
+    const query = {};
+    for (const k of ["languageCode", "alternativeLanguageCodes", "outputLanguage"]) {
+      if (params.has(k)) query[k] = params.get(k);
+    }
+    if (validateLanguage(query).length) throw httpError(400, "invalid language");
+    const language = languageSettings(query, { code: languageCode, output: memoLanguage });
+    return { sessionId, userId, dict, language, clinic: params.get("clinic") || null };
+  }
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    contextOf(url.pathname)
+      .then(async (deps) => {
+        if (!deps) return socket.destroy();
+        const ctx = await prepare(deps, req, url.searchParams);
+        wss.handleUpgrade(req, socket, head, (ws) => handle(deps, ws, ctx));
+      })
+      .catch((e) => {
+        if (REASONS[e.status]) return reject(socket, e.status);
+        console.error("[stream] upgrade failed:", e?.message);
+        reject(socket, 500);
+      });
+  });
+
+  function handle({ storage, stt, worker, audit, redaction, tenantId = null }, ws, { sessionId, userId, dict, language, clinic }) {
+    const send = (obj) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(obj));
+    };
+
+    const finals = [];
+    let sttError = null;
+    const recognizer = stt.stream({
+      languageCode: language.code,
+      alternativeLanguageCodes: language.alternatives,
+      phrases: phraseHints(dict),
+      onResult: (r) => {
+        if (r.isFinal) finals.push(r);
+        const end = r.end === null ? null : Math.round(r.end * 100) / 100;
+        send({ type: r.isFinal ? "final" : "interim", text: r.text, end });
+      },
+      onError: (e) => {
+        console.error(`[stream] ${sessionId} STT error:`, e?.message);
+        sttError = e;
+        send({ type: "error", error: String(e?.message || e) });
+      },
+    });
+
+    let stopped = false;
+    const decoder = spawnPcmDecoder();
+    const decoded = new Promise((resolve) => {
+      decoder.on("close", resolve);
+      decoder.on("error", resolve);
+    });
+    // ffmpeg が起動できない（ENOENT など）・落ちたときは、この接続だけ閉じる（サーバは落とさない）
+    decoder.on("error", (e) => {
+      console.error(`[stream] ${sessionId} ffmpeg failed:`, e?.message);
+      send({ type: "error", error: "audio decoder unavailable" });
+      if (stopped) return;
+      stopped = true;
+      recognizer.end().catch(() => {});
+      ws.close(1011);
+    });
+    decoder.stdout.on("data", (pcm) => recognizer.write(pcm));
+    decoder.stderr.on("data", (d) => console.error(`[stream] ${sessionId} ffmpeg:`, String(d).trim()));
+    decoder.stdin.on("error", () => {}); // 切断後の EPIPE
+    // ffmpeg が追いつかないときは、stdin が空くまでソケットの読み込みを止める（メモリに溜めない）
+    decoder.stdin.on("drain", () => ws.resume());
+
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        if (!stopped && !decoder.stdin.write(data)) ws.pause();
+        return;
+      }
+      let msg;
+      try { msg = JSON.parse(String(data)); } catch { return; }
+      if (msg.type === "stop" && !stopped) {
+        stopped = true;
+        finish().catch((e) => {
+          console.error(`[stream] ${sessionId} finish failed`, e);
+          send({ type: "error", error: String(e?.message || e) });
+          ws.close(1011);
+        });
+      }
+    });
+
+    ws.on("close", () => {
+      if (stopped) return;
+      stopped = true;
+      decoder.kill();
+      recognizer.end().catch(() => {});
+    });
+
+    async function finish() {
+      decoder.stdin.end();
+      await decoded;
+      await recognizer.end();
+
+      // 確定結果は終了時刻しか持たないので、開始は直前の確定結果の終了で近似
+      let { result, replacements } = applyDictionary({
+        segments: finals
+          .map((f, i) => ({ text: f.text.trim(), start: i ? finals[i - 1].end : 0, end: f.end }))
+          .filter((s) => s.text),
+      }, dict);
+      // 伏せ字の対応表はセッションを取れてから保存する（確定済みのセッションの表を上書きしない）
+      const redacted = redaction ? redaction.redact(result) : null;
+      if (redacted) result = redacted.result;
+      const structured = await buildTranscript(result);
+      if (dict) structured.dictionary = { id: dict.id, replacements };
+      if (redacted) structured.redaction = { counts: redacted.counts };
+      const transcript = toText(structured);
+      if (sttError && !transcript) throw sttError;
+
+      // セッション冪等化（/finalize と同じ by-session メタを先に取る）
+      const jobId = `stream-${uuidv4()}`;
+      const meta = { sessionId, userId, jobId, dictionaryId: dict?.id || null, clinic, language, source: "stream", ...(tenantId ? { tenant: tenantId } : {}) };
+      const created = await storage.createIfAbsent(`jobs-meta/by-session/${sessionId}.json`,
+        JSON.stringify(meta, null, 2), { contentType: "application/json" });
+      if (!created) {
+        send({ type: "error", error: "session already finalized" });
+        return ws.close(1000);
+      }
+
+      if (redacted) await redaction.save(sessionId, redacted.mapping);
+      await saveTranscript(storage, sessionId, structured);
+      await storage.writeJson(`jobs-meta/by-job/${jobId}.json`, meta, { cacheControl: "no-store" });
+      await worker.enqueue({ jobId, sessionId, userId, dictionaryId: meta.dictionaryId, clinic, language, tenant: meta.tenant, stage: "summarize" });
+      await audit.log({ action: "session.stream", actor: { type: "user", id: userId }, sessionId, userId, detail: { jobId } });
+
+      send({ type: "saved", jobId, transcript: redacted ? restore(transcript, redacted.mapping) : transcript });
+      ws.close(1000);
+    }
+  }
+
+  return wss;
+}
+
+module.exports = { attachStreamServer };
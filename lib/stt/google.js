@@ -0,0 +1,197 @@
+// lib/stt/google.js
+const speech = require("@google-cloud/speech").v1p1beta1;
+
+// protobuf Duration（{ seconds, nanos }）→ 秒
+function toSec(d) {
+  if (!d) return null;
+  return Number(d.seconds || 0) + Number(d.nanos || 0) / 1e9;
+}
+
+// streamingRecognize は 1 本あたり約5分で打ち切られるので、その手前で張り替える
+const STREAM_ROTATE_MS = 4.5 * 60 * 1000;
+const PCM_BYTES_PER_SEC = 16000 * 2;
+
+/**
+ * Google Cloud Speech-to-Text（v1p1beta1 longRunningRecognize / streamingRecognize）
+ * 録音は gs:// の URI で渡す（inline content は長さ・大きさの上限で普通の診察の録音が通らないので使わない）。
+ * local ストレージとの組み合わせは createSttRegistry が起動時に断る
+ */
+// 日本語・中国語は単語を空白なしで連結する
+const joinWords = (words) => words.join(/[\u3040-\u30ff\u3400-\u9fff]/.test(words.join("")) ? "" : " ");
+const toWord = (w) => ({ word: w.word, start: toSec(w.startTime), end: toSec(w.endTime) });
+
+/**
+ * 話者分離の結果（最後の result に全単語と speakerTag が入る）→ 話者が変わるごとの区間
+ */
+function diarizedSegments(response) {
+  const results = response.results || [];
+  const words = results[results.length - 1]?.alternatives?.[0]?.words || [];
+  if (!words.some((w) => w.speakerTag)) return null;
+
+  const segments = [];
+  let cur = null;
+  for (const w of words) {
+    const speaker = w.speakerTag ? String(w.speakerTag) : null;
+    if (!cur || cur.speaker !== speaker) {
+      cur = { speaker, words: [], start: toSec(w.startTime), end: toSec(w.endTime) };
+      segments.push(cur);
+    }
+    cur.words.push(toWord(w));
+    cur.end = toSec(w.endTime);
+  }
+  return segments.map((s) => ({ ...s, text: joinWords(s.words.map((w) => w.word)) }));
+}
+
+// フレーズヒント [{ value, boost }] → speechContexts（boost ごとに 1 コンテキスト、上限 5000 フレーズ）
+const MAX_PHRASES = 5000;
+function speechContexts(phrases) {
+  const byBoost = new Map();
+  for (const p of phrases.slice(0, MAX_PHRASES)) {
+    if (!byBoost.has(p.boost)) byBoost.set(p.boost, []);
+    byBoost.get(p.boost).push(p.value);
+  }
+  return [...byBoost.entries()].map(([boost, values]) => ({ phrases: values, ...(boost ? { boost } : {}) }));
+}
+
+/**
+ * diarization: { minSpeakers, maxSpeakers } で話者分離を有効化（null なら無効）
+ */
+function createGoogleStt({ storage, model = "latest_long", diarization = null }) {
+  const speechClient = new speech.SpeechClient();
+
+  async function getOperation(id) {
+    const progress = await speechClient.checkLongRunningRecognizeProgress(id);
+    const op = Array.isArray(progress) ? progress[0] : progress;
+    if (!op) throw new Error("invalid operation object");
+    return op;
+  }
+
+  return {
+    name: "google",
+
+    async start({ audioKey, languageCode, alternativeLanguageCodes, phrases }) {
+      const uri = storage.uri(audioKey);
+      if (!uri.startsWith("gs://")) throw Object.assign(new Error(`google STT needs a gs:// URI: ${uri}`), { retryable: false });
+      const [op] = await speechClient.longRunningRecognize({
+        audio: { uri },
+        config: {
+          languageCode,
+          ...(alternativeLanguageCodes?.length ? { alternativeLanguageCodes } : {}),
+          encoding: "LINEAR16",
+          sampleRateHertz: 16000,
+          enableAutomaticPunctuation: true,
+          enableWordTimeOffsets: true,
+          model,
+          ...(phrases?.length ? { speechContexts: speechContexts(phrases) } : {}),
+          ...(diarization ? {
+            diarizationConfig: {
+              enableSpeakerDiarization: true,
+              minSpeakerCount: diarization.minSpeakers,
+              maxSpeakerCount: diarization.maxSpeakers,
+            },
+          } : {}),
+        },
+      });
+      return op.name;
+    },
+
+    async poll(id) {
+      const op = await getOperation(id);
+      const done = op.done === true || (op.latestResponse && op.latestResponse.done === true);
+      const error = op.latestResponse && op.latestResponse.error;
+      return { done, error: error ? error.message || String(error.code) : null };
+    },
+
+    async result(id) {
+      // 結果抽出（op.promise() 互換）
+      const op = await getOperation(id);
+      let response;
+      if (typeof op.promise === "function") {
+        const result = await op.promise();
+        response = Array.isArray(result) ? result[0] : result;
+      } else if (op.result) {
+        response = op.result;
+      } else if (op.latestResponse && op.latestResponse.response) {
+        response = op.latestResponse.response;
+      }
+      if (!response) throw new Error("cannot extract STT response");
+
+      // 話者分離ありなら最後の result は全単語の再掲なので、区間は単語から組み立てる
+      const diarized = diarization ? diarizedSegments(response) : null;
+      const results = diarized ? (response.results || []).slice(0, -1) : (response.results || []);
+      const text = results.map((r) => r.alternatives?.[0]?.transcript || "").filter(Boolean).join("\n").trim();
+      const segments = diarized || results
+        .map((r) => {
+          const alt = r.alternatives?.[0] || {};
+          const words = (alt.words || []).map(toWord);
+          return {
+            text: alt.transcript || "",
+            start: words.length ? words[0].start : null,
+            end: toSec(r.resultEndTime),
+            speaker: null,
+            words,
+          };
+        })
+        .filter((s) => s.text);
+      return { text, segments };
+    },
+
+    /**
+     * ストリーミング認識（16kHz mono s16le PCM を write する）
+     * onResult({ text, isFinal, end })  end は録音開始からの秒
+     */
+    stream({ languageCode, alternativeLanguageCodes, phrases, onResult, onError }) {
+      let recognizer = null;
+      let openedAt = 0;
+      let bytes = 0;
+      const closing = [];
+
+      const open = () => {
+        const offset = bytes / PCM_BYTES_PER_SEC; // 張り替え前までに送った秒数
+        const rs = speechClient.streamingRecognize({
+          config: {
+            languageCode,
+            ...(alternativeLanguageCodes?.length ? { alternativeLanguageCodes } : {}),
+            encoding: "LINEAR16",
+            sampleRateHertz: 16000,
+            enableAutomaticPunctuation: true,
+            model,
+            ...(phrases?.length ? { speechContexts: speechContexts(phrases) } : {}),
+          },
+          interimResults: true,
+        });
+        rs.on("data", (data) => {
+          for (const r of data.results || []) {
+            const text = r.alternatives?.[0]?.transcript || "";
+            if (!text) continue;
+            const end = toSec(r.resultEndTime);
+            onResult({ text, isFinal: !!r.isFinal, end: end === null ? null : offset + end });
+          }
+        });
+        rs.on("error", (e) => onError(e));
+        closing.push(new Promise((resolve) => { rs.on("end", resolve); rs.on("close", resolve); rs.on("error", resolve); }));
+        recognizer = rs;
+        openedAt = Date.now();
+      };
+      open();
+
+      return {
+        write(pcm) {
+          if (Date.now() - openedAt > STREAM_ROTATE_MS) {
+            recognizer.end();
+            open();
+          }
+          bytes += pcm.length;
+          recognizer.write(pcm); // ヘルパが { audioContent } に包む
+        },
+        // 送信を終えて、残りの確定結果が届くまで待つ
+        async end() {
+          recognizer.end();
+          await Promise.race([Promise.all(closing), new Promise((r) => setTimeout(r, 15000))]);
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createGoogleStt };
@@ -0,0 +1,65 @@
+// lib/stt/index.js
+const { createGoogleStt } = require("./google");
+const { createWhisperStt } = require("./whisper");
+
+/**
+ * STT プロバイダ
+ * 各実装が持つメソッド
+ *   start({ audioKey, languageCode, alternativeLanguageCodes, phrases }) → プロバイダ内のジョブID
+ *     alternativeLanguageCodes: ほかに話されそうな言語（任意。Whisper は指定があれば言語を自動判定に任せる）
+ *     phrases: [{ value, boost }] 用語辞書からのフレーズヒント（任意）
+ *   poll(id) → { done, error }
+ *   result(id) → { text, segments: [{ text, start, end, speaker, words: [{ word, start, end }] }] }
+ *     時刻は秒。不明・話者分離なしは null、単語時刻が無ければ words は []
+ *   stream({ languageCode, alternativeLanguageCodes, phrases, onResult, onError }) → { write(pcm), end() }
+ *     16kHz mono s16le PCM を流し、onResult({ text, isFinal, end }) で途中・確定結果を受け取る
+ *
+ * 外に出すジョブIDは "{provider}-{id}" の形で名前空間を付ける（/jobs/:id がどこに問い合わせるか判別するため）
+ */
+function createSttRegistry(opts) {
+  const providers = {};
+  providers.google = createGoogleStt({ storage: opts.storage, model: opts.googleModel, diarization: opts.diarization });
+  if (opts.whisperUrl) {
+    providers.whisper = createWhisperStt({
+      storage: opts.storage,
+      url: opts.whisperUrl,
+      api: opts.whisperApi,
+      model: opts.whisperModel,
+    });
+  }
+  const defaultName = opts.provider || "google";
+  if (!providers[defaultName]) throw new Error(`STT provider not configured: ${defaultName}`);
+  // Google は録音を GCS から読む（local ストレージの録音は送れない）
+  if (defaultName === "google" && opts.storage.driver !== "gcs") {
+    throw new Error("STT_PROVIDER=google needs STORAGE_DRIVER=gcs; use STT_PROVIDER=whisper with local storage");
+  }
+
+  return {
+    get(name) {
+      const p = providers[name];
+      if (!p) throw new Error(`STT provider not configured: ${name}`);
+      return p;
+    },
+
+    // 既定プロバイダでジョブ開始 → 名前空間付きジョブID
+    async start(params) {
+      const id = await providers[defaultName].start(params);
+      return `${defaultName}-${id}`;
+    },
+
+    // 既定プロバイダでストリーミング認識を開始
+    stream(params) {
+      return providers[defaultName].stream(params);
+    },
+
+    // 名前空間付きジョブID → { provider, id }（接頭辞なしは旧形式の Google operation 名）
+    parseJobId(jobId) {
+      const i = jobId.indexOf("-");
+      const name = i > 0 ? jobId.slice(0, i) : "";
+      if (name && providers[name]) return { provider: providers[name], id: jobId.slice(i + 1) };
+      return { provider: providers.google, id: jobId };
+    },
+  };
+}
+
+module.exports = { createSttRegistry };
@@ -0,0 +1,173 @@
+// lib/stt/whisper.js
+const { v4: uuidv4 } = require("uuid");
+
+const PCM_BYTES_PER_SEC = 16000 * 2;
+
+// 16kHz mono s16le PCM → WAV
+function pcmToWav(pcm) {
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0);
+  h.writeUInt32LE(36 + pcm.length, 4);
+  h.write("WAVE", 8);
+  h.write("fmt ", 12);
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20); // PCM
+  h.writeUInt16LE(1, 22); // mono
+  h.writeUInt32LE(16000, 24);
+  h.writeUInt32LE(PCM_BYTES_PER_SEC, 28);
+  h.writeUInt16LE(2, 32);
+  h.writeUInt16LE(16, 34);
+  h.write("data", 36);
+  h.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([h, pcm]);
+}
+
+/**
+ * ローカル Whisper サーバ（whisper.cpp server / faster-whisper の OpenAI 互換サーバ）
+ * - api: "openai" → POST {url}/v1/audio/transcriptions、"whispercpp" → POST {url}/inference
+ * - どちらも同期 HTTP なので、start で裏で投げて結果を stt/whisper/{id}.json に保存し、poll はそれを読む
+ * - ストリーミングは windowSec ごとに区切って投げる擬似ストリーミング（途中経過 interim は出ない）
+ */
+// 区間ごとの words が無いサーバ（OpenAI 互換）はトップレベルの words[] から区間に収まるものを割り当てる
+function wordsIn(words, seg) {
+  if (!Array.isArray(words)) return [];
+  return words
+    .filter((w) => w.start >= seg.start && w.start < seg.end)
+    .map((w) => ({ word: String(w.word).trim(), start: w.start, end: w.end }));
+}
+
+// Whisper にはブーストが無いので、用語を prompt（直前の文脈扱い、約 224 トークンまで）に並べて寄せる
+const PROMPT_MAX_CHARS = 200;
+function promptFor(phrases) {
+  if (!phrases?.length) return "";
+  let prompt = "";
+  for (const p of [...phrases].sort((a, b) => b.boost - a.boost)) {
+    const next = prompt ? `${prompt}、${p.value}` : p.value;
+    if (next.length > PROMPT_MAX_CHARS) break;
+    prompt = next;
+  }
+  return prompt;
+}
+
+// Whisper は言語を 1 つしか指定できないので、ほかの言語も話されそうなら指定せずに自動判定に任せる
+const languageFor = (languageCode, alternatives) => (alternatives?.length ? null : languageCode);
+
+function createWhisperStt({ storage, url, api = "openai", model = "whisper-1", timeoutMs = 30 * 60 * 1000, windowSec = 15 }) {
+  const stateKey = (id) => `stt/whisper/${id}.json`;
+
+  async function transcribe(buf, languageCode, phrases) {
+    const form = new FormData();
+    form.append("file", new Blob([buf], { type: "audio/wav" }), "audio.wav");
+    form.append("response_format", "verbose_json");
+    form.append("timestamp_granularities[]", "segment");
+    form.append("timestamp_granularities[]", "word");
+    if (languageCode) form.append("language", languageCode.split("-")[0]); // ja-JP → ja
+    if (api === "openai") form.append("model", model);
+    const prompt = promptFor(phrases);
+    if (prompt) form.append("prompt", prompt);
+
+    const endpoint = api === "whispercpp" ? "/inference" : "/v1/audio/transcriptions";
+    const r = await fetch(`${url.replace(/\/$/, "")}${endpoint}`, {
+      method: "POST",
+      body: form,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!r.ok) throw new Error(`whisper HTTP ${r.status}: ${await r.text()}`);
+    const body = await r.json();
+
+    const segments = (body.segments || [])
+      // whisperX など話者分離つきのサーバは segments[].speaker を返す
+      .map((s) => ({
+        text: String(s.text || "").trim(),
+        start: s.start ?? null,
+        end: s.end ?? null,
+        speaker: s.speaker ?? null,
+        words: s.words?.length
+          ? s.words.map((w) => ({ word: String(w.word).trim(), start: w.start ?? null, end: w.end ?? null }))
+          : wordsIn(body.words, s),
+      }))
+      .filter((s) => s.text);
+    const text = segments.length ? segments.map((s) => s.text).join("\n") : String(body.text || "").trim();
+    return { text, segments };
+  }
+
+  return {
+    name: "whisper",
+
+    async start({ audioKey, languageCode, alternativeLanguageCodes, phrases }) {
+      const id = uuidv4();
+      const language = languageFor(languageCode, alternativeLanguageCodes);
+      const startedAt = new Date().toISOString();
+      await storage.writeJson(stateKey(id), { status: "RUNNING", audioKey, startedAt });
+
+      // 応答を待たずに返す（結果は状態ファイルへ）
+      storage.read(audioKey)
+        .then((buf) => transcribe(buf, language, phrases))
+        .then((result) => storage.writeJson(stateKey(id), { status: "DONE", audioKey, startedAt, result }))
+        .catch((e) => {
+          console.error("[whisper] transcription failed:", e?.message);
+          return storage.writeJson(stateKey(id), { status: "ERROR", audioKey, startedAt, error: String(e?.message || e) });
+        })
+        .catch((e) => console.error("[whisper] write state failed:", e?.message));
+      return id;
+    },
+
+    async poll(id) {
+      const state = await storage.readJson(stateKey(id));
+      if (state.status === "RUNNING") {
+        // 処理中にプロセスが落ちた場合は状態が更新されないので期限で打ち切る
+        if (Date.now() - Date.parse(state.startedAt) > timeoutMs) {
+          return { done: true, error: "whisper transcription timed out" };
+        }
+        return { done: false, error: null };
+      }
+      return { done: true, error: state.status === "ERROR" ? state.error : null };
+    },
+
+    async result(id) {
+      const state = await storage.readJson(stateKey(id));
+      if (state.status !== "DONE") throw new Error(state.error || `whisper job not done: ${state.status}`);
+      return state.result;
+    },
+
+    stream({ languageCode, alternativeLanguageCodes, phrases, onResult, onError }) {
+      const language = languageFor(languageCode, alternativeLanguageCodes);
+      let pending = [];
+      let pendingBytes = 0;
+      let sentSec = 0;
+      let chain = Promise.resolve();
+
+      const flush = () => {
+        if (!pendingBytes) return;
+        const pcm = Buffer.concat(pending);
+        const offset = sentSec;
+        pending = [];
+        pendingBytes = 0;
+        sentSec += pcm.length / PCM_BYTES_PER_SEC;
+        // 区間の順序を保つため直列に投げる
+        chain = chain
+          .then(() => transcribe(pcmToWav(pcm), language, phrases))
+          .then(({ segments }) => {
+            for (const seg of segments) {
+              onResult({ text: seg.text, isFinal: true, end: seg.end === null ? null : offset + seg.end });
+            }
+          })
+          .catch((e) => onError(e));
+      };
+
+      return {
+        write(pcm) {
+          pending.push(pcm);
+          pendingBytes += pcm.length;
+          if (pendingBytes >= windowSec * PCM_BYTES_PER_SEC) flush();
+        },
+        async end() {
+          flush();
+          await chain;
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createWhisperStt };
@@ -0,0 +1,90 @@
+// lib/summary/detail.js
+const { buildDetailHtml } = require("./html");
+const { loadTranscript } = require("../transcript");
+const { buildIcs } = require("./ics");
+
+/**
+ * 詳細ページ（summaries/{sessionId}.html）の生成と署名URL
+ * 埋め込む録音の署名URLにも期限があるので、リンクを作り直すときは HTML ごと描き直す
+ * redaction（lib/redact）があれば、伏せ字を元に戻してから描く
+ * 予定表に日時が読み取れる予定があれば summaries/{sessionId}.ics も作ってリンクする（「2週間後」は sessions の作成日時から数える）
+ * テンプレートは要約のときに選んだ版（full.templates.html。lib/templates）で描く。無ければ同梱の最新版
+ * brand: 医療機関の名前・ロゴ・色（lib/tenants の brandOf）。見出しに出す
+ */
+function createDetailPages({ storage, ttlDays, redaction = null, sessions = null, templates = null, brand = null }) {
+  const ttlMs = () => ttlDays*24*60*60*1000;
+  const htmlKey = (sessionId) => `summaries/${sessionId}.html`;
+  const icsKey = (sessionId) => `summaries/${sessionId}.ics`;
+
+  // 詳細HTMLに埋め込む録音（圧縮版があればそちら）。ストリーミングのみのセッションには無い
+  async function signedAudioUrl(sessionId) {
+    for (const key of [`audio/${sessionId}.m4a`, `audio/${sessionId}.wav`]) {
+      if (await storage.exists(key)) {
+        return storage.signedUrl(key, { action: "read", expires: Date.now() + ttlMs() });
+      }
+    }
+    return null;
+  }
+
+  // 予定表の .ics → 署名URL（予定が無ければ null）
+  async function writeCalendar(sessionId, full) {
+    const meta = sessions ? await sessions.get(sessionId) : null;
+    const ics = buildIcs(full.timeline, { sessionId, base: meta?.createdAt ? new Date(meta.createdAt) : new Date() });
+    if (!ics) return null;
+    await storage.write(icsKey(sessionId), ics, { contentType: "text/calendar; charset=utf-8", cacheControl: "no-store" });
+    return storage.signedUrl(icsKey(sessionId), { action: "read", expires: Date.now() + ttlMs() });
+  }
+
+  // "detail@2" → テンプレート（消えていれば null = 同梱の最新版）
+  async function template(ref) {
+    const m = /^(.+)@(\d+)$/.exec(ref || "");
+    if (!templates || !m) return null;
+    const t = await templates.get("html", m[1], Number(m[2]));
+    if (!t) console.warn(`[detail] html template not found: ${ref}; using builtin`);
+    return t;
+  }
+
+  async function render(sessionId, full, structured) {
+    if (redaction) ({ full, structured } = await redaction.reveal(sessionId, { full, structured }));
+    const audioUrl = await signedAudioUrl(sessionId);
+    const calendarUrl = await writeCalendar(sessionId, full);
+    const html = buildDetailHtml(full, structured, { audioUrl, calendarUrl, brand, template: await template(full.templates?.html) });
+    await storage.write(htmlKey(sessionId), html, {
+      contentType: "text/html; charset=utf-8",
+      cacheControl: "no-store",
+    });
+  }
+
+  async function signedUrl(sessionId) {
+    const expires = Date.now() + ttlMs();
+    const url = await storage.signedUrl(htmlKey(sessionId), { action: "read", expires });
+    return { url, expiresAt: new Date(expires).toISOString() };
+  }
+
+  return {
+    htmlKey,
+    render,
+    signedUrl,
+
+    // 保存済みの詳細要約と文字起こしから描き直して、新しい署名URLを返す（要約が無ければ null）
+    async refresh(sessionId) {
+      let full;
+      try {
+        full = await storage.readJson(`summaries/${sessionId}.full.json`);
+      } catch (e) {
+        if (e.code === 404) return null;
+        throw e;
+      }
+      let structured = null;
+      try {
+        structured = await loadTranscript(storage, sessionId);
+      } catch (e) {
+        if (e.code !== 404) throw e;
+      }
+      await render(sessionId, full, structured);
+      return signedUrl(sessionId);
+    },
+  };
+}
+
+module.exports = { createDetailPages };
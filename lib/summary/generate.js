@@ -0,0 +1,72 @@
+// lib/summary/generate.js
+const { validate, schemaTag } = require("./schema");
+
+function parseJsonLoose(s) {
+  if (!s) throw new Error("empty");
+  let t = String(s).trim();
+  // コードフェンス除去
+  t = t.replace(/^```(?:json)?/i, "").replace(/```$/i, "").trim();
+  // 先頭{〜末尾} を抽出
+  const start = t.indexOf("{");
+  const end = t.lastIndexOf("}");
+  if (start >= 0 && end > start) t = t.slice(start, end + 1);
+  return JSON.parse(t);
+}
+
+function repairPrompt(prompt, raw, errors) {
+  return `
+${prompt}
+
+【前回の出力】
+${String(raw || "").slice(0, 6000)}
+
+【前回の出力の問題点】
+${errors.map((e) => `- ${e}`).join("\n")}
+
+上の問題点をすべて直したJSONのみを出力してください（コードブロック不可）。
+`.trim();
+}
+
+/**
+ * LLM で JSON を生成し、スキーマ検証 → 失敗時はエラーを添えて最大 maxRepairs 回だけ再生成
+ * @returns {{ data: object|null, validation: { schema, ok, attempts, repaired, errors } }}
+ *   data は最後にパースできたJSON（一度もできなければ null）。ok=false のときの整形は呼び出し側で
+ */
+async function generateValidated(llm, prompt, schema, { maxRepairs = 1 } = {}) {
+  let raw = await llm.generate(prompt, { json: true });
+  let attempts = 1;
+  let data = null;
+  let errors;
+
+  for (;;) {
+    try {
+      data = parseJsonLoose(raw);
+      errors = validate(schema, data);
+    } catch (e) {
+      errors = [`$: JSON parse failed: ${e?.message}`];
+    }
+    if (!errors.length || attempts > maxRepairs) break;
+
+    console.warn(`[summary] ${schemaTag(schema)} invalid (attempt ${attempts}):`, errors.slice(0, 5).join("; "));
+    try {
+      raw = await llm.generate(repairPrompt(prompt, raw, errors), { json: true });
+    } catch (e) {
+      console.error(`[summary] ${schemaTag(schema)} repair call failed:`, e?.message);
+      break;
+    }
+    attempts++;
+  }
+
+  return {
+    data,
+    validation: {
+      schema: schemaTag(schema),
+      ok: errors.length === 0,
+      attempts,
+      repaired: errors.length === 0 && attempts > 1,
+      errors: errors.slice(0, 20),
+    },
+  };
+}
+
+module.exports = { generateValidated, parseJsonLoose };
@@ -0,0 +1,85 @@
+// lib/summary/html.js
+const { findSource } = require("../transcript/align");
+const { labelsFor, htmlLangOf } = require("../i18n");
+const { builtin, renderTemplate } = require("../templates");
+
+function escapeHtml(s="") {
+  return (s || "").replace(/[&<>"']/g, m => ({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[m]));
+}
+// 秒 → m:ss
+function clock(sec) {
+  const t = Math.max(0, Math.floor(sec));
+  return `${Math.floor(t / 60)}:${String(t % 60).padStart(2, "0")}`;
+}
+/**
+ * 詳細ページのテンプレート（lib/templates、kind: html）に渡す値。値はテンプレート側ですべてエスケープされる
+ *   lang / L（lib/i18n の見出し）/ audioUrl / calendarUrl（予定表が無ければ null）
+ *   top / redFlags / askNext: 文字列の配列、summary: 概要（空なら null）
+ *   decisions / todos: [{ text, src }]  src: 元になった会話の区間 { id, t（秒。無ければ null）, label } | null
+ *   terms: [{ term, easy, note }] / blocks: [{ title, bullets }] / timeline: [{ when, what, note, first }]
+ *   medications: [{ name, status, note }] / tests: [{ name, status, note }]（同梱の版では出していない）
+ *   transcript: { rich（区間ごとに出すか）, segments: [{ id, t, clock, role, text }], text }
+ *   full: 詳細要約JSON そのもの（テンプレートで独自の項目を出すとき）
+ *   brand: 医療機関の見出し { name, logoUrl } | null / color: 見出しの色（#RRGGBB。医療機関の指定が無ければ既定の緑）
+ */
+function detailView(full, transcript, opts = {}) {
+  const L = labelsFor(full.language);
+  const segments = typeof transcript === "string" ? null : (transcript?.segments || []);
+  const timed = !!(segments && segments.some(s => s.start !== null && s.start !== undefined));
+  const hasT = (seg) => seg.start !== null && seg.start !== undefined;
+  const strings = (arr) => (arr || []).filter(Boolean).map(String);
+
+  // 項目 → 元になった会話の区間（▶ 1:23）
+  const source = (text) => {
+    if (!segments || !segments.length) return null;
+    const i = findSource(text, segments);
+    if (i < 0) return null;
+    const seg = segments[i];
+    return { id: i, t: hasT(seg) ? String(seg.start) : null, label: hasT(seg) ? clock(seg.start) : L.conversation };
+  };
+  const withSource = (arr) => strings(arr).map(text => ({ text, src: source(text) }));
+  const rows = (arr, keys) => (arr || []).filter(Boolean).map(x => Object.fromEntries(keys.map(k => [k, x[k] || null])));
+
+  return {
+    lang: htmlLangOf(full.language),
+    L,
+    audioUrl: opts.audioUrl || null,
+    calendarUrl: full.timeline?.length ? (opts.calendarUrl || null) : null,
+    top: strings(full.summary_top3),
+    summary: full.summary && full.summary.trim() ? full.summary : null,
+    decisions: withSource(full.decisions),
+    todos: withSource(full.todos_until_next),
+    redFlags: strings(full.red_flags),
+    askNext: strings(full.ask_next_time),
+    terms: rows(full.terms_plain, ["term", "easy", "note"]),
+    blocks: (full.topic_blocks || []).map(b => ({ title: b.title || "", bullets: strings(b.bullets) })),
+    timeline: rows(full.timeline, ["when", "what", "note"]).map((t, i) => ({ ...t, first: i === 0 })),
+    medications: rows(full.medications, ["name", "status", "note"]),
+    tests: rows(full.tests, ["name", "status", "note"]),
+    // 時刻があればタップでその位置から再生、話者の役割があれば「医師：…」
+    transcript: {
+      rich: !!(segments && (timed || segments.some(s => s.role))),
+      segments: (segments || []).map((s, i) => ({
+        id: i, t: hasT(s) ? String(s.start) : null, clock: hasT(s) ? clock(s.start) : null, role: s.role || null, text: s.text,
+      })),
+      text: segments ? segments.map(s => s.text).join("\n") : (transcript || ""),
+    },
+    full,
+    brand: opts.brand ? { name: opts.brand.name, logoUrl: opts.brand.logoUrl || null } : null,
+    color: opts.brand?.color || "#44AA77",
+  };
+}
+
+/**
+ * transcript: 構造化トランスクリプト（lib/transcript）または文字列
+ * opts.audioUrl: 録音の署名URL（あればプレーヤーを置き、文字起こしの行・各項目から再生位置へ飛べる）
+ * opts.calendarUrl: 予定表の .ics の署名URL（あれば予定表に「カレンダーに追加」を置く）
+ * opts.template: 使うテンプレート（lib/templates。無ければ同梱の最新版）
+ * opts.brand: 医療機関の見出し（lib/tenants の brandOf。{ name, logoUrl, color }）
+ * 見出しと <html lang> は full.language（lib/i18n。無ければ日本語）
+ */
+function buildDetailHtml(full, transcript, opts = {}) {
+  return renderTemplate(opts.template || builtin("html", "detail"), detailView(full, transcript, opts));
+}
+
+module.exports = { escapeHtml, buildDetailHtml, detailView };
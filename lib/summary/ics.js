@@ -0,0 +1,69 @@
+// lib/summary/ics.js
+const { parseWhen, DAY_MS } = require("../reminders/when");
+
+/**
+ * 予定表（full.timeline）→ iCalendar（.ics）。日時が読み取れた予定だけを入れる（lib/reminders/when）
+ * 時刻があれば 1 時間の予定、無ければ終日。前日に通知（VALARM）を付ける
+ * base: 診察の日時（「2週間後」などの数え始め）
+ * @returns .ics の文字列（予定が 1 つも無ければ null）
+ */
+const escapeText = (s) => String(s || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+const stamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const dateOnly = (date) => new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, "");
+
+// 75 オクテットで折り返す（UTF-8 の途中では切らない）
+function fold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch, "utf-8") > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function buildIcs(timeline, { sessionId, base = new Date(), clinic = null, now = new Date() }) {
+  const events = [];
+  (timeline || []).forEach((t, i) => {
+    const s = parseWhen(`${t.when || ""} ${t.what || ""}`, { base });
+    if (s?.type !== "once") return;
+    const start = new Date(s.at);
+    const when = s.allDay
+      ? [`DTSTART;VALUE=DATE:${dateOnly(start)}`, `DTEND;VALUE=DATE:${dateOnly(new Date(start.getTime() + DAY_MS))}`]
+      : [`DTSTART:${stamp(start)}`, `DTEND:${stamp(new Date(start.getTime() + 60 * 60 * 1000))}`];
+    events.push([
+      "BEGIN:VEVENT",
+      `UID:${sessionId}-${i + 1}@yorisoi`,
+      `DTSTAMP:${stamp(now)}`,
+      ...when,
+      `SUMMARY:${escapeText(t.what || t.when)}`,
+      ...(t.note || t.when ? [`DESCRIPTION:${escapeText([t.when, t.note].filter(Boolean).join("\n"))}`] : []),
+      ...(clinic ? [`LOCATION:${escapeText(clinic)}`] : []),
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(t.what || "予定")}`,
+      "TRIGGER:-P1D",
+      "END:VALARM",
+      "END:VEVENT",
+    ]);
+  });
+  if (!events.length) return null;
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//yorisoi//shinsatsu-memo//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:診察の予定",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildIcs };
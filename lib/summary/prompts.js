@@ -0,0 +1,74 @@
+// lib/summary/prompts.js
+const { OUTPUTS, DEFAULT_OUTPUT, isOutput } = require("../i18n");
+const { builtin, renderTemplate } = require("../templates");
+
+// 経過記録（lib/record.js の contextText）があればプロンプトに足す
+function priorSection(prior) {
+  if (!prior) return "";
+  return `
+【これまでの経過】
+同じ患者さんの過去の受診から自動でまとめたものです。今回の会話で変わった点（薬の開始・変更・中止、検査の実施など）が分かるように書いてください。
+今回の会話に出てこない過去の内容を、今回決まったことのように書かないでください。
+<<PRIOR>>
+${prior}
+<</PRIOR>>
+`;
+}
+
+// 文字起こしが伏せ字（lib/redact.js）のとき
+function redactedSection(redacted) {
+  if (!redacted) return "";
+  return `
+【伏せ字】
+文字起こしの [氏名1] [電話1] [郵便番号1] [番号1] のような角かっこの記号は、個人情報を伏せたものです。必要なら記号をそのまま書き写し、中身を推測したり言い換えたりしないでください。
+`;
+}
+
+// 書く言語（lib/i18n の output）。日本語なら何も足さない
+function outputSection(output) {
+  if (!output || output === DEFAULT_OUTPUT || !isOutput(output)) return "";
+  if (output === "ja-easy") {
+    return `
+【書き方：やさしい日本語】
+JSON の値は「やさしい日本語」で書いてください（日本語を勉強中の外国の方や、ご高齢の方が読みます）。
+- 1 つの文は短く、1 つのことだけを書く。「〜です」「〜ます」で終える
+- むずかしい漢字・熟語・敬語・カタカナ語はなるべく使わず、やさしい言葉に言い換える（例：服用する→飲む、経過観察→ようすを見る）
+- 病名・薬の名前など言い換えられない言葉は、そのまま書いて terms_plain で意味を説明する
+- 数字・日時・量は算用数字で具体的に書く（例：1日 3回、2週間 あと）
+`;
+  }
+  const { name } = OUTPUTS[output];
+  return `
+【書く言語：${name}】
+JSON のキーはそのままにして、値はすべて ${name} で書いてください（文字起こしが日本語でも）。
+- 薬・検査の名前は ${name} で一般的な名前にし、日本の薬の名前は必要ならかっこで添える
+- 文字数の目安は日本語のときのものです。同じくらい短く書く
+- terms_plain の term は ${name} の用語、easy はその言い換え
+`;
+}
+
+/**
+ * プロンプトのテンプレート（lib/templates、kind: prompt）に渡す値
+ *   transcript: 文字起こし（「医師：…」形式）/ prior: 経過記録（無ければ ""）/ redacted: 伏せ字か / output: 書く言語（lib/i18n）
+ *   sections.prior / sections.redacted / sections.output: 上の 3 つから作った定型の指示（当てはまらなければ ""）
+ */
+function promptView(transcript, { prior = "", redacted = false, output = DEFAULT_OUTPUT } = {}) {
+  return {
+    transcript,
+    prior: prior || "",
+    redacted: !!redacted,
+    output: output || DEFAULT_OUTPUT,
+    sections: { prior: priorSection(prior), redacted: redactedSection(redacted), output: outputSection(output) },
+  };
+}
+
+// opts.template: 使うテンプレート（無ければ同梱の最新版）
+function shortPrompt(transcript, opts = {}) {
+  return renderTemplate(opts.template || builtin("prompt", "short"), promptView(transcript, opts)).trim();
+}
+
+function detailPrompt(transcript, opts = {}) {
+  return renderTemplate(opts.template || builtin("prompt", "detail"), promptView(transcript, opts)).trim();
+}
+
+module.exports = { shortPrompt, detailPrompt, promptView };
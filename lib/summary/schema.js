@@ -0,0 +1,130 @@
+// lib/summary/schema.js
+
+/**
+ * 要約JSONのスキーマ（JSON Schema のごく一部: type / properties / required / items）
+ * 長さ（40字など）は LINE 整形側で丸めるのでここでは形だけを見る
+ */
+const str = { type: "string" };
+const strList = { type: "array", items: str };
+const term = (withNote) => ({
+  type: "object",
+  required: ["term", "easy"],
+  properties: { term: str, easy: str, ...(withNote ? { note: str } : {}) },
+});
+
+const SHORT_MEMO = {
+  id: "short-memo",
+  version: 1,
+  type: "object",
+  required: ["summary_top3", "decisions", "todos_until_next", "red_flags", "ask_next_time", "terms_plain"],
+  properties: {
+    summary_top3: strList,
+    decisions: strList,
+    todos_until_next: strList,
+    red_flags: strList,
+    ask_next_time: strList,
+    terms_plain: { type: "array", items: term(false) },
+  },
+};
+
+const FULL_MEMO = {
+  id: "full-memo",
+  version: 2,
+  type: "object",
+  required: [
+    "summary", "summary_top3", "decisions", "todos_until_next", "ask_next_time",
+    "red_flags", "terms_plain", "topic_blocks", "timeline",
+  ],
+  properties: {
+    summary: str,
+    summary_top3: strList,
+    decisions: strList,
+    todos_until_next: strList,
+    ask_next_time: strList,
+    red_flags: strList,
+    terms_plain: { type: "array", items: term(true) },
+    topic_blocks: {
+      type: "array",
+      items: { type: "object", required: ["title", "bullets"], properties: { title: str, bullets: strList } },
+    },
+    timeline: {
+      type: "array",
+      items: { type: "object", required: ["when", "what"], properties: { when: str, what: str, note: str } },
+    },
+    // ここから下は経過記録（lib/record.js）用で、無くてもよい
+    // status: 薬は start / continue / change / stop、検査は planned / done
+    medications: {
+      type: "array",
+      items: { type: "object", required: ["name", "status"], properties: { name: str, status: str, note: str } },
+    },
+    tests: {
+      type: "array",
+      items: { type: "object", required: ["name", "status"], properties: { name: str, status: str, note: str } },
+    },
+    resolved_prior: strList, // 前回までの未完了項目のうち今回済んだもの（"T3" / "Q1" などのID）
+  },
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+
+/**
+ * スキーマ検証 → エラー文字列の配列（空なら OK）
+ * 例: "terms_plain[2].easy: required", "timeline: expected array, got object"
+ */
+function validate(schema, value, at = "$") {
+  const errors = [];
+  const t = typeOf(value);
+  if (t !== schema.type) {
+    errors.push(`${at}: expected ${schema.type}, got ${t}`);
+    return errors;
+  }
+  if (schema.type === "object") {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${at === "$" ? k : `${at}.${k}`}: required`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] === undefined) continue;
+      errors.push(...validate(sub, value[k], at === "$" ? k : `${at}.${k}`));
+    }
+  } else if (schema.type === "array" && schema.items) {
+    value.forEach((v, i) => errors.push(...validate(schema.items, v, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * 修復しきれなかった値をスキーマの形に寄せる（不正な要素は捨て、欠けた項目は空で埋める）
+ */
+function coerce(schema, value) {
+  const t = typeOf(value);
+  if (schema.type === "string") return t === "string" ? value : (t === "number" ? String(value) : undefined);
+  if (schema.type === "array") {
+    if (t !== "array") return [];
+    return value.map((v) => coerce(schema.items, v)).filter((v) => v !== undefined);
+  }
+  if (schema.type === "object") {
+    if (t !== "object") return undefined;
+    const out = {};
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      const v = value[k] === undefined ? undefined : coerce(sub, value[k]);
+      if (v !== undefined) out[k] = v;
+      else if ((schema.required || []).includes(k)) {
+        if (sub.type === "array") out[k] = [];
+        else if (sub.type === "string" && isRoot(schema)) out[k] = "";
+        else return undefined; // 必須の子が欠けた要素は丸ごと捨てる
+      }
+    }
+    return out;
+  }
+  return value;
+}
+// ルート（メモ本体）は必須の文字列が欠けても空文字で埋めて残す
+const isRoot = (schema) => !!schema.id;
+
+const schemaTag = (schema) => `${schema.id}@${schema.version}`;
+
+module.exports = { SHORT_MEMO, FULL_MEMO, validate, coerce, schemaTag };
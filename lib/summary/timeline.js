@@ -0,0 +1,71 @@
+// lib/summary/timeline.js
+const { escapeHtml } = require("./html");
+
+const dateOnly = (iso) => new Date(iso).toLocaleDateString("ja-JP", { timeZone: "Asia/Tokyo" });
+
+/**
+ * 経過記録（lib/record.js）→ 受診をまたいだ経過のページ
+ * 新しい受診から順に「変わったこと」と「決まったこと」を並べる
+ */
+function buildTimelineHtml(record) {
+  const li = (t) => `<li>${t}</li>`;
+  const ul = (arr) => arr.length ? `<ul>${arr.map(li).join("")}</ul>` : `<p class="muted">ありません</p>`;
+
+  const meds = record.medications.filter((m) => m.status === "active")
+    .map((m) => `<b>${escapeHtml(m.name)}</b>${m.note ? `：${escapeHtml(m.note)}` : ""} <span class="since">${dateOnly(m.since)}〜</span>`);
+  const stopped = record.medications.filter((m) => m.status === "stopped")
+    .map((m) => `${escapeHtml(m.name)} <span class="since">${dateOnly(m.updatedAt)} 中止</span>`);
+  const tests = record.tests.filter((t) => t.status === "planned")
+    .map((t) => `<b>${escapeHtml(t.name)}</b>${t.note ? `：${escapeHtml(t.note)}` : ""}`);
+  const todos = record.todos.filter((t) => t.status === "open")
+    .map((t) => `${escapeHtml(t.text)} <span class="since">${dateOnly(t.since)}〜</span>`);
+  const questions = record.questions.filter((q) => q.status === "open")
+    .map((q) => `${escapeHtml(q.text)} <span class="since">${dateOnly(q.since)}〜</span>`);
+
+  const visits = [...record.visits].reverse().map((v) => `
+  <div class="visit">
+    <div class="date">${dateOnly(v.date)}${v.clinic ? ` <span class="pill">${escapeHtml(v.clinic)}</span>` : ""}</div>
+    ${v.title ? `<div class="title">${escapeHtml(v.title)}</div>` : ""}
+    ${v.changes.length ? `<div class="changes"><b>変わったこと</b>${ul(v.changes.map(escapeHtml))}</div>` : ""}
+    ${v.decisions.length ? `<b>決まったこと</b>${ul(v.decisions.map(escapeHtml))}` : ul(v.top3.map(escapeHtml))}
+  </div>`).join("");
+
+  return `<!doctype html>
+<html lang="ja"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>これまでの経過</title>
+<style>
+  body{font-family:-apple-system,BlinkMacSystemFont,"Hiragino Kaku Gothic ProN","Yu Gothic",Meiryo,sans-serif;margin:16px;line-height:1.72}
+  h1{font-size:20px;margin:8px 0 12px}
+  h2{font-size:16px;margin:22px 0 8px;border-left:4px solid #4a7;padding-left:8px}
+  ul{margin:6px 0 12px 1.2em;padding:0}
+  li{margin:4px 0}
+  .muted{color:#666;font-size:12px}
+  .since{color:#888;font-size:12px;white-space:nowrap}
+  .visit{border-left:2px solid #cde5d4;padding:2px 0 8px 12px;margin:0 0 12px 4px}
+  .date{font-weight:600}
+  .title{color:#444}
+  .changes{background:#fffbea;border:1px solid #f3e6b3;border-radius:8px;padding:6px 10px;margin:6px 0}
+  .pill{display:inline-block;background:#eef7f0;color:#274;font-weight:600;padding:2px 8px;border-radius:999px;font-size:12px}
+</style></head>
+<body>
+  <h1>これまでの経過</h1>
+
+  <h2>使用中の薬</h2>
+  ${ul(meds)}
+  ${stopped.length ? `<h2>中止した薬</h2>${ul(stopped)}` : ""}
+  <h2>予定・結果待ちの検査</h2>
+  ${ul(tests)}
+  <h2>続けていること・やること</h2>
+  ${ul(todos)}
+  <h2>次回ききたいこと</h2>
+  ${ul(questions)}
+
+  <h2>受診の記録</h2>
+  ${visits || `<p class="muted">まだ記録はありません</p>`}
+
+  <p class="muted">※診察メモから自動でまとめたものです。薬の量や予定は必ず医療機関の指示を確認してください。</p>
+</body></html>`;
+}
+
+module.exports = { buildTimelineHtml };
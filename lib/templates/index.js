@@ -0,0 +1,287 @@
+// lib/templates/index.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { compile, render, TemplateError } = require("./render");
+
+/**
+ * プロンプトと詳細ページのテンプレート（名前 + 版）
+ *   同梱: templates/{kind}/{id}@{version}.txt|.html（リポジトリ。デプロイで更新）
+ *   追加: templates/{kind}/{id}@{version}.json（ストレージ。管理APIで足す。{ kind, id, version, body, description, createdAt }）
+ * 版は書き換えない（直したいときは次の版を足す）。要約JSON の templates に使った版を残す
+ * kind: prompt（LLM へのプロンプト。そのまま差し込む）| html（詳細ページ。エスケープして差し込む）
+ *
+ * どの版を使うかは規則（templates/rules.json）で決める。上から見て when が合う最初の規則の use を使い、
+ * 無ければ同梱の既定（short / detail / detail）の最新版
+ * {
+ *   rules: [{
+ *     when: { dictionaryId, outputLanguage },   // 書いたものがすべて合えば（空なら全セッション）
+ *     use: { short: "short@2", detail: "cardio", html: [{ ref: "detail@1", weight: 50 }, { ref: "detail@2", weight: 50 }] }
+ *   }],
+ *   updatedAt
+ * }
+ *   ref は "id@version"（版を省くとその時点の最新版）。配列は A/B: sessionId から決めるので同じセッションは常に同じ側
+ * 規則は医療機関（lib/tenants）ごとのストレージに置くので、医療機関では分けない（以前の when.clinic は受け付けず、残っていても合わない）
+ */
+const WHEN_KEYS = ["dictionaryId", "outputLanguage"];
+const BUILTIN_DIR = path.join(__dirname, "..", "..", "templates");
+const KINDS = { prompt: { ext: ".txt", mode: "text" }, html: { ext: ".html", mode: "html" } };
+// 使う場所 → kind
+const SLOTS = { short: "prompt", detail: "prompt", html: "html" };
+const DEFAULTS = { short: "short", detail: "detail", html: "detail" };
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const REF_RE = /^([a-z0-9][a-z0-9_-]{0,63})(?:@([1-9][0-9]{0,5}))?$/;
+const FILE_RE = /^([a-z0-9][a-z0-9_-]{0,63})@([1-9][0-9]{0,5})\.(txt|html)$/;
+const MAX_BODY = 200 * 1024;
+const MAX_RULES = 50;
+const RULES_KEY = "templates/rules.json";
+
+const refOf = (t) => `${t.id}@${t.version}`;
+const parseRef = (ref) => {
+  const m = REF_RE.exec(ref || "");
+  return m ? { id: m[1], version: m[2] ? Number(m[2]) : null } : null;
+};
+
+// 同梱テンプレートの読み込み（改行は LF にそろえる）
+function loadDir(dir) {
+  const out = new Map();
+  for (const [kind, { ext }] of Object.entries(KINDS)) {
+    let names = [];
+    try {
+      names = fs.readdirSync(path.join(dir, kind));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    for (const name of names) {
+      const m = FILE_RE.exec(name);
+      if (!m || `.${m[3]}` !== ext) continue;
+      const body = fs.readFileSync(path.join(dir, kind, name), "utf-8").replace(/\r\n/g, "\n");
+      out.set(`${kind}/${m[1]}@${m[2]}`, { kind, id: m[1], version: Number(m[2]), body, description: "", source: "file" });
+    }
+  }
+  return out;
+}
+
+// テンプレート（tree 付き）→ 描画
+function renderTemplate(t, data) {
+  return render(t.tree, data, { mode: KINDS[t.kind].mode });
+}
+
+const builtins = new Map();
+/**
+ * 同梱テンプレートの最新版（テンプレート管理を通さずに描くとき。buildDetailHtml・shortPrompt などの既定）
+ */
+function builtin(kind, id) {
+  const key = `${kind}/${id}`;
+  if (!builtins.has(key)) {
+    const found = [...loadDir(BUILTIN_DIR).values()]
+      .filter((t) => t.kind === kind && t.id === id)
+      .sort((a, b) => b.version - a.version)[0];
+    if (!found) throw new Error(`builtin template not found: ${key}`);
+    builtins.set(key, { ...found, tree: compile(found.body) });
+  }
+  return builtins.get(key);
+}
+
+/**
+ * テンプレートの本文を確かめる（構文が壊れていれば行・列付きで返す）
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateTemplate(body) {
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  const errors = [];
+  if (typeof body.body !== "string" || !body.body.trim()) errors.push("body: required");
+  else if (Buffer.byteLength(body.body, "utf-8") > MAX_BODY) errors.push(`body: too large (max ${MAX_BODY} bytes)`);
+  else {
+    try {
+      compile(body.body);
+    } catch (e) {
+      if (!(e instanceof TemplateError)) throw e;
+      errors.push(`body: ${e.message}`);
+    }
+  }
+  if (body.description !== undefined && typeof body.description !== "string") errors.push("description: expected string");
+  return errors;
+}
+
+// use の 1 つ（"id@version" か A/B の配列）
+function validateUse(v, at, errors) {
+  if (typeof v === "string") {
+    if (!parseRef(v)) errors.push(`${at}: expected "id" or "id@version"`);
+    return;
+  }
+  if (!Array.isArray(v) || !v.length) return errors.push(`${at}: expected ref or non-empty array`);
+  v.forEach((x, i) => {
+    if (!x || !parseRef(x.ref)) errors.push(`${at}[${i}].ref: expected "id" or "id@version"`);
+    if (!(Number.isInteger(x?.weight) && x.weight > 0 && x.weight <= 100)) errors.push(`${at}[${i}].weight: integer 1-100`);
+  });
+}
+
+/**
+ * 規則の形を確かめる（参照先があるかは createTemplates().putRules が見る）
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateRules(body) {
+  if (!body || typeof body !== "object") return ["body: expected object"];
+  if (!Array.isArray(body.rules) || body.rules.length > MAX_RULES) return [`rules: expected array (max ${MAX_RULES})`];
+  const errors = [];
+  body.rules.forEach((r, i) => {
+    const at = `rules[${i}]`;
+    if (!r || typeof r !== "object") return errors.push(`${at}: expected object`);
+    const when = r.when ?? {};
+    if (typeof when !== "object" || Array.isArray(when)) errors.push(`${at}.when: expected object`);
+    else {
+      for (const [k, v] of Object.entries(when)) {
+        if (!WHEN_KEYS.includes(k)) errors.push(`${at}.when.${k}: unknown (${WHEN_KEYS.join("/")})`);
+        else if (typeof v !== "string" || !v) errors.push(`${at}.when.${k}: expected string`);
+      }
+    }
+    if (!r.use || typeof r.use !== "object" || !Object.keys(r.use).length) return errors.push(`${at}.use: expected object`);
+    for (const [slot, v] of Object.entries(r.use)) {
+      if (!SLOTS[slot]) errors.push(`${at}.use.${slot}: one of ${Object.keys(SLOTS).join("/")}`);
+      else validateUse(v, `${at}.use.${slot}`, errors);
+    }
+  });
+  return errors;
+}
+
+// A/B の配列 → sessionId で決まる 1 つ
+function pick(use, sessionId) {
+  if (typeof use === "string") return use;
+  const total = use.reduce((a, x) => a + x.weight, 0);
+  let n = crypto.createHash("sha256").update(String(sessionId)).digest().readUInt32BE(0) % total;
+  for (const x of use) {
+    if (n < x.weight) return x.ref;
+    n -= x.weight;
+  }
+  return use[use.length - 1].ref;
+}
+
+function createTemplates({ storage, dir = BUILTIN_DIR }) {
+  const files = loadDir(dir);
+  const cache = new Map(); // 版は書き換えないので、読んだものは覚えておく
+  const storageKey = (kind, id, version) => `templates/${kind}/${id}@${version}.json`;
+
+  async function versions(kind, id) {
+    const out = new Set();
+    for (const t of files.values()) if (t.kind === kind && t.id === id) out.add(t.version);
+    for (const k of await storage.list(`templates/${kind}/${id}@`)) {
+      const m = /@(\d+)\.json$/.exec(k);
+      if (m) out.add(Number(m[1]));
+    }
+    return [...out].sort((a, b) => a - b);
+  }
+
+  // → テンプレート（tree 付き）| null。version を省くと最新版
+  async function get(kind, id, version = null) {
+    if (!KINDS[kind] || !ID_RE.test(id)) return null;
+    if (version === null) {
+      const all = await versions(kind, id);
+      if (!all.length) return null;
+      version = all[all.length - 1];
+    }
+    const key = `${kind}/${id}@${version}`;
+    if (cache.has(key)) return cache.get(key);
+    let t = files.get(key);
+    if (!t) {
+      try {
+        t = { ...(await storage.readJson(storageKey(kind, id, version))), source: "storage" };
+      } catch (e) {
+        if (e.code === 404) return null;
+        throw e;
+      }
+    }
+    const compiled = { ...t, tree: compile(t.body) };
+    cache.set(key, compiled);
+    return compiled;
+  }
+
+  async function rules() {
+    try {
+      return await storage.readJson(RULES_KEY);
+    } catch (e) {
+      if (e.code === 404) return { rules: [], updatedAt: null };
+      throw e;
+    }
+  }
+
+  const matches = (when = {}, session) => Object.entries(when).every(([k, v]) => WHEN_KEYS.includes(k) && session[k] === v);
+
+  return {
+    get,
+    versions,
+    render: renderTemplate,
+
+    async list() {
+      const ids = new Map();
+      const add = (kind, id) => ids.set(`${kind}/${id}`, { kind, id });
+      for (const t of files.values()) add(t.kind, t.id);
+      for (const k of await storage.list("templates/")) {
+        const m = /^templates\/(prompt|html)\/([a-z0-9][a-z0-9_-]*)@\d+\.json$/.exec(k);
+        if (m) add(m[1], m[2]);
+      }
+      const out = [];
+      for (const { kind, id } of ids.values()) out.push({ kind, id, versions: await versions(kind, id) });
+      return out.sort((a, b) => `${a.kind}/${a.id}`.localeCompare(`${b.kind}/${b.id}`));
+    },
+
+    // 次の版として足す（同時に足されたら版を進めてやり直す）
+    async create(kind, id, { body, description = "" }) {
+      for (let i = 0; i < 5; i++) {
+        const all = await versions(kind, id);
+        const version = (all[all.length - 1] || 0) + 1;
+        const t = { kind, id, version, body: body.replace(/\r\n/g, "\n"), description, createdAt: new Date().toISOString() };
+        if (await storage.createIfAbsent(storageKey(kind, id, version), JSON.stringify(t, null, 2), { contentType: "application/json" })) {
+          return t;
+        }
+      }
+      throw new Error(`template version conflict: ${kind}/${id}`);
+    },
+
+    rules,
+
+    // 規則の全置換。参照先が無ければエラーの配列を返して保存しない
+    async putRules(body) {
+      const errors = [];
+      for (const [i, r] of body.rules.entries()) {
+        for (const [slot, use] of Object.entries(r.use)) {
+          for (const ref of typeof use === "string" ? [use] : use.map((x) => x.ref)) {
+            const { id, version } = parseRef(ref);
+            if (!(await get(SLOTS[slot], id, version))) errors.push(`rules[${i}].use.${slot}: template not found: ${SLOTS[slot]}/${ref}`);
+          }
+        }
+      }
+      if (errors.length) return { errors };
+      const doc = { rules: body.rules.map((r) => ({ when: r.when || {}, use: r.use })), updatedAt: new Date().toISOString() };
+      await storage.writeJson(RULES_KEY, doc, { cacheControl: "no-store" });
+      return { errors, rules: doc };
+    },
+
+    /**
+     * セッション → { short, detail, html }（それぞれテンプレート）
+     * session: { sessionId, dictionaryId, outputLanguage }
+     * 規則の参照先が消えていたら（ストレージを直接いじった場合など）既定に戻し、fallback: { slot: 規則の ref } に残す
+     * （要約JSON の templates に載せ、評価などで規則の版の結果と取り違えないようにする）
+     */
+    async resolve(session) {
+      const { rules: list } = await rules();
+      const out = {};
+      const fallback = {};
+      for (const slot of Object.keys(SLOTS)) {
+        const rule = list.find((r) => r.use[slot] && matches(r.when, session));
+        const ref = rule ? parseRef(pick(rule.use[slot], session.sessionId)) : null;
+        const chosen = ref ? await get(SLOTS[slot], ref.id, ref.version) : null;
+        if (ref && !chosen) {
+          fallback[slot] = `${ref.id}@${ref.version ?? "latest"}`;
+          console.warn(`[templates] ${slot}: ${SLOTS[slot]}/${fallback[slot]} not found; using default`);
+        }
+        out[slot] = chosen || await get(SLOTS[slot], DEFAULTS[slot]);
+        if (!out[slot]) throw new Error(`template not found: ${SLOTS[slot]}/${DEFAULTS[slot]}`);
+      }
+      if (Object.keys(fallback).length) out.fallback = fallback;
+      return out;
+    },
+  };
+}
+
+module.exports = { createTemplates, validateTemplate, validateRules, builtin, renderTemplate, refOf, KINDS, ID_RE };
@@ -0,0 +1,127 @@
+// lib/templates/render.js
+
+/**
+ * テンプレートの描画（Mustache の一部だけ。JavaScript は実行しない）
+ *   {{name}} / {{a.b.c}} / {{.}}   値を差し込む（html ではエスケープする。エスケープを外す書き方は無い）
+ *   {{#name}}…{{/name}}            配列なら要素ごと、真なら 1 回、偽・空配列なら出さない（中では要素・値が {{.}}）
+ *   {{^name}}…{{/name}}            偽・空配列のときだけ出す
+ *   {{! コメント }}
+ * 名前は内側の値から外側へ探し、データ自身のプロパティだけを見る（prototype・関数には届かない）
+ * 差し込んだ値はテンプレートとして読み直さないので、文字起こしなどに {{…}} が入っていても展開されない
+ */
+const TAG_RE = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+const NAME_RE = /^(\.|[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*)$/;
+const MAX_DEPTH = 20;
+const DEFAULT_MAX_LENGTH = 2 * 1024 * 1024;
+
+class TemplateError extends Error {}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]));
+}
+
+// 行・列（エラー表示用）
+function position(source, index) {
+  const before = source.slice(0, index).split("\n");
+  return `line ${before.length}, col ${before[before.length - 1].length + 1}`;
+}
+
+/**
+ * source → 構文木（[文字列 | { type: "var" | "section" | "inverted", name, children }]）
+ * 閉じ忘れ・対応しない閉じタグ・使えない名前は TemplateError
+ */
+function compile(source) {
+  if (typeof source !== "string") throw new TemplateError("template: expected string");
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const m of source.matchAll(TAG_RE)) {
+    const [tag, sigil, name] = m;
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push(source.slice(last, m.index));
+    last = m.index + tag.length;
+    if (sigil === "!") continue;
+    if (!NAME_RE.test(name)) throw new TemplateError(`invalid tag ${tag} at ${position(source, m.index)}`);
+
+    if (sigil === "#" || sigil === "^") {
+      if (stack.length > MAX_DEPTH) throw new TemplateError(`sections nested too deep at ${position(source, m.index)}`);
+      const node = { type: sigil === "#" ? "section" : "inverted", name, children: [], at: m.index };
+      top.children.push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || top.name !== name) {
+        throw new TemplateError(`unexpected {{/${name}}} at ${position(source, m.index)}`);
+      }
+      stack.pop();
+    } else {
+      top.children.push({ type: "var", name });
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`unclosed {{#${open.name}}} at ${position(source, open.at)}`);
+  }
+  if (last < source.length) root.children.push(source.slice(last));
+  return root.children;
+}
+
+const own = (obj, k) => obj !== null && typeof obj === "object" && Object.prototype.hasOwnProperty.call(obj, k);
+
+// 名前 → 値（内側の文脈から探す。見つからなければ undefined）
+function lookup(contexts, name) {
+  if (name === ".") return contexts[contexts.length - 1];
+  const [head, ...rest] = name.split(".");
+  let value;
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    if (own(contexts[i], head)) {
+      value = contexts[i][head];
+      break;
+    }
+  }
+  for (const k of rest) value = own(value, k) ? value[k] : undefined;
+  return typeof value === "function" ? undefined : value;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : Boolean(v));
+
+/**
+ * 構文木（compile の戻り値）+ データ → 文字列
+ * opts.mode: "html"（差し込む値をエスケープ）| "text"（プロンプト。そのまま）
+ * opts.maxLength: 出力の文字数の上限（超えたら TemplateError）
+ */
+function render(tree, data, { mode = "text", maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  const out = [];
+  let size = 0;
+  const emit = (s) => {
+    size += s.length;
+    if (size > maxLength) throw new TemplateError(`output too large (max ${maxLength})`);
+    out.push(s);
+  };
+  const format = (v) => {
+    if (v === undefined || v === null || typeof v === "object") return "";
+    return mode === "html" ? escapeHtml(v) : String(v);
+  };
+
+  function walk(nodes, contexts) {
+    for (const node of nodes) {
+      if (typeof node === "string") {
+        emit(node);
+        continue;
+      }
+      const value = lookup(contexts, node.name);
+      if (node.type === "var") emit(format(value));
+      else if (node.type === "inverted") {
+        if (!truthy(value)) walk(node.children, contexts);
+      } else if (Array.isArray(value)) {
+        for (const item of value) walk(node.children, [...contexts, item]);
+      } else if (truthy(value)) {
+        walk(node.children, [...contexts, value]);
+      }
+    }
+  }
+
+  walk(tree, [data]);
+  return out.join("");
+}
+
+module.exports = { compile, render, escapeHtml, TemplateError };
@@ -0,0 +1,310 @@
+// lib/tenants.js
+const { DEFAULT_POLICY } = require("./retention");
+
+/**
+ * 医療機関（テナント）の登録（tenants/{id}.json。管理APIで登録・更新する）
+ * {
+ *   id: "yamada-naika", name: "山田内科",
+ *   line: { channelAccessToken, channelSecret, liffChannelId },   // 無ければサーバの既定（LINE_CHANNEL_* / LIFF_CHANNEL_ID）
+ *   webhook: { url, secret },                                       // 電子カルテ / PHR への配信先と署名鍵。無ければ送らない（サーバの DELIVERY_WEBHOOK_* は使わない）
+ *   adminToken: "...",                                              // t/{id}/ の管理APIの Bearer トークン（サーバの ADMIN_TOKEN は使えない）
+ *   reviewers: { sato: "..." },                                     // 配信前に確認する医療者 { 名前: トークン }（サーバの REVIEWER_TOKENS は使えない）
+ *   origins: ["https://clinic.example.com"],                        // CORS。空ならサーバの ALLOW_ORIGIN
+ *   retention: { wav: 14 },                                         // 保存期間（日）。書いた種類だけ RETENTION_DAYS_* を上書き
+ *   detailUrlTtlDays: 7,                                            // 詳細ページのリンクの期限（日）。無ければ DETAIL_URL_TTL_DAYS
+ *   branding: { name, logoUrl, color },                             // 詳細ページと LINE のメモの見出し（name が無ければ name）
+ *   createdAt, updatedAt
+ * }
+ * データは医療機関ごとの接頭辞（t/{id}/）の下に置く（lib/storage の scopeStorage）。接頭辞は id から決まり変えられない
+ * LINE のアクセストークン・チャネルシークレット、Webhook の署名鍵、管理者・医療者のトークンはこのファイルにそのまま置くので、
+ * バケットの権限で守る（読むときは伏せる）。トークンはほかの医療機関やサーバの既定と重ならないようにする（tenantTokens）
+ */
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const ORIGIN_RE = /^https?:\/\/[A-Za-z0-9.-]+(:\d{1,5})?$/;
+const COLOR_RE = /^#[0-9A-Fa-f]{6}$/;
+const SECRETS = ["channelAccessToken", "channelSecret"];
+const LINE_KEYS = [...SECRETS, "liffChannelId"];
+const MAX_ORIGINS = 20;
+const MAX_TTL_DAYS = 7; // GCS の署名URLは最長 7 日
+const MIN_SECRET = 16;
+const MAX_REVIEWERS = 50;
+
+const key = (id) => `tenants/${id}.json`;
+const tenantPrefix = (id) => `t/${id}/`;
+
+const optString = (v, max) => v === undefined || v === null || (typeof v === "string" && v.trim() && v.length <= max);
+// 伏せて返した値（publicTenant の "…1234"）をそのまま送り返したもの
+const masked = (v) => typeof v === "string" && v.startsWith("…");
+
+const tokenString = (v) => typeof v === "string" && v.length >= MIN_SECRET && v.length <= 500 && !/\s/.test(v);
+
+/**
+ * 登録・更新の本文を確かめる（prev: 今の登録。LINE の秘密の値を省いたときに引き継ぐ分も見る）
+ * taken: ほかの医療機関とサーバの既定で使っているトークン（管理者・医療者のトークンは重ねない）
+ * @returns エラーメッセージの配列（空なら OK）
+ */
+function validateTenant(body, prev = null, taken = []) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return ["body: expected object"];
+  const errors = [];
+  if (typeof body.name !== "string" || !body.name.trim()) errors.push("name: required");
+  else if (body.name.length > 100) errors.push("name: too long (max 100)");
+
+  if (body.line !== undefined) {
+    if (!body.line || typeof body.line !== "object") errors.push("line: expected object");
+    else {
+      for (const k of Object.keys(body.line)) {
+        if (!LINE_KEYS.includes(k)) errors.push(`line.${k}: unknown (${LINE_KEYS.join("/")})`);
+        else if (!optString(body.line[k], 500)) errors.push(`line.${k}: expected non-empty string (max 500) or null`);
+        else if (SECRETS.includes(k) && masked(body.line[k])) errors.push(`line.${k}: masked value; omit it to keep the current one`);
+      }
+      // アクセストークンとシークレットは同じチャネルのものを組で（片方だけだと既定のチャネルと混ざる）
+      const merged = mergeLine(body.line, prev?.line);
+      if (!merged.channelAccessToken !== !merged.channelSecret) errors.push("line: channelAccessToken and channelSecret must be set together");
+    }
+  }
+
+  if (body.webhook !== undefined && body.webhook !== null) {
+    const w = body.webhook;
+    if (typeof w !== "object" || Array.isArray(w)) errors.push("webhook: expected object or null");
+    else {
+      for (const k of Object.keys(w)) if (!["url", "secret"].includes(k)) errors.push(`webhook.${k}: unknown (url/secret)`);
+      if (!(typeof w.url === "string" && /^https:\/\/[^\s]+$/.test(w.url) && w.url.length <= 1000)) errors.push("webhook.url: expected https URL (max 1000)");
+      if (masked(w.secret)) errors.push("webhook.secret: masked value; omit it to keep the current one");
+      else if (w.secret !== undefined && !(typeof w.secret === "string" && w.secret.length >= MIN_SECRET && w.secret.length <= 500)) {
+        errors.push(`webhook.secret: expected string (${MIN_SECRET}-500 chars)`);
+      } else if (!mergeWebhook(w, prev?.webhook)?.secret) errors.push("webhook.secret: required");
+    }
+  }
+
+  if (body.adminToken !== undefined && body.adminToken !== null) {
+    if (masked(body.adminToken)) errors.push("adminToken: masked value; omit it to keep the current one");
+    else if (!tokenString(body.adminToken)) errors.push(`adminToken: expected string without spaces (${MIN_SECRET}-500 chars) or null`);
+  }
+
+  if (body.reviewers !== undefined && body.reviewers !== null) {
+    if (typeof body.reviewers !== "object" || Array.isArray(body.reviewers)) errors.push("reviewers: expected object { name: token } or null");
+    else if (Object.keys(body.reviewers).length > MAX_REVIEWERS) errors.push(`reviewers: too many (max ${MAX_REVIEWERS})`);
+    else {
+      for (const [name, token] of Object.entries(body.reviewers)) {
+        if (!name.trim() || name.length > 64) errors.push(`reviewers: invalid name ${JSON.stringify(name.slice(0, 64))} (1-64 chars)`);
+        else if (masked(token)) errors.push(`reviewers.${name}: masked value; omit reviewers to keep the current ones`);
+        else if (!tokenString(token)) errors.push(`reviewers.${name}: expected string without spaces (${MIN_SECRET}-500 chars)`);
+      }
+    }
+  }
+
+  // 管理者・医療者のトークンは医療機関をまたいで重ねない（どの医療機関のトークンかで権限が決まる）
+  if (!errors.length) {
+    const { adminToken, reviewers } = mergeTokens(body, prev);
+    const mine = [["adminToken", adminToken], ...Object.entries(reviewers).map(([n, t]) => [`reviewers.${n}`, t])].filter(([, t]) => t);
+    const seen = new Set();
+    for (const [field, token] of mine) {
+      if (taken.includes(token)) errors.push(`${field}: token already in use elsewhere`);
+      else if (seen.has(token)) errors.push(`${field}: token used twice in this tenant`);
+      seen.add(token);
+    }
+  }
+
+  if (body.origins !== undefined) {
+    if (!Array.isArray(body.origins)) errors.push("origins: expected array");
+    else if (body.origins.length > MAX_ORIGINS) errors.push(`origins: too many (max ${MAX_ORIGINS})`);
+    else body.origins.forEach((o, i) => {
+      if (typeof o !== "string" || !ORIGIN_RE.test(o)) errors.push(`origins[${i}]: expected scheme://host[:port] without path`);
+    });
+  }
+
+  if (body.retention !== undefined) {
+    if (!body.retention || typeof body.retention !== "object") errors.push("retention: expected object");
+    else for (const [k, v] of Object.entries(body.retention)) {
+      if (!(k in DEFAULT_POLICY)) errors.push(`retention.${k}: unknown (${Object.keys(DEFAULT_POLICY).join("/")})`);
+      else if (!Number.isInteger(v) || v < 0) errors.push(`retention.${k}: non-negative integer (days, 0 = keep)`);
+    }
+  }
+
+  if (body.detailUrlTtlDays !== undefined && body.detailUrlTtlDays !== null
+    && !(Number.isInteger(body.detailUrlTtlDays) && body.detailUrlTtlDays >= 1 && body.detailUrlTtlDays <= MAX_TTL_DAYS)) {
+    errors.push(`detailUrlTtlDays: integer 1-${MAX_TTL_DAYS}`);
+  }
+
+  if (body.branding !== undefined) {
+    const b = body.branding;
+    if (!b || typeof b !== "object") errors.push("branding: expected object");
+    else {
+      if (!optString(b.name, 100)) errors.push("branding.name: expected non-empty string (max 100)");
+      if (b.logoUrl !== undefined && b.logoUrl !== null && !(typeof b.logoUrl === "string" && /^https:\/\//.test(b.logoUrl) && b.logoUrl.length <= 1000)) {
+        errors.push("branding.logoUrl: expected https URL (max 1000)");
+      }
+      if (b.color !== undefined && b.color !== null && !(typeof b.color === "string" && COLOR_RE.test(b.color))) {
+        errors.push("branding.color: expected #RRGGBB");
+      }
+    }
+  }
+  return errors;
+}
+
+// LINE の設定（省いた秘密の値は今の登録から引き継ぎ、null なら消す）
+function mergeLine(line = {}, prev = {}) {
+  const out = {};
+  for (const k of LINE_KEYS) {
+    const v = line[k] === undefined && SECRETS.includes(k) ? prev?.[k] : line[k];
+    if (v) out[k] = v.trim();
+  }
+  return out;
+}
+
+// Webhook の設定（省けば今の登録のまま、署名鍵だけ省けば鍵を引き継ぐ。null で送らない）
+function mergeWebhook(w, prev) {
+  if (w === undefined) return prev || null;
+  if (!w?.url) return null;
+  return { url: w.url, secret: w.secret === undefined ? prev?.secret || null : w.secret };
+}
+
+// 管理者・医療者のトークン（管理者は省けば今のまま、医療者は省けば今の一覧のまま・書けば全置換。null で消す）
+function mergeTokens(body, prev) {
+  return {
+    adminToken: body.adminToken === undefined ? prev?.adminToken || null : body.adminToken,
+    reviewers: body.reviewers === undefined ? prev?.reviewers || {} : body.reviewers || {},
+  };
+}
+
+// 医療機関が使っている管理者・医療者のトークン（重なりを見るため）
+const tenantTokens = (t) => [t.adminToken, ...Object.values(t.reviewers || {})].filter(Boolean);
+
+const mask = (v) => `…${v.slice(-4)}`;
+
+// 返すときは LINE・Webhook・管理者・医療者の秘密の値を末尾 4 文字だけにする
+function publicTenant(t) {
+  const line = { ...t.line };
+  for (const k of SECRETS) if (line[k]) line[k] = mask(line[k]);
+  const webhook = t.webhook ? { ...t.webhook, secret: mask(t.webhook.secret) } : null;
+  const reviewers = Object.fromEntries(Object.entries(t.reviewers || {}).map(([n, v]) => [n, mask(v)]));
+  return { ...t, line, webhook, adminToken: t.adminToken ? mask(t.adminToken) : null, reviewers, storagePrefix: tenantPrefix(t.id) };
+}
+
+// 詳細ページ・LINE のメモに出す見出し（医療機関が無ければ null）
+function brandOf(t) {
+  if (!t) return null;
+  return { name: t.branding?.name || t.name, logoUrl: t.branding?.logoUrl || null, color: t.branding?.color || null };
+}
+
+function createTenants(storage) {
+  async function get(id) {
+    if (!ID_RE.test(id)) return null;
+    try {
+      return await storage.readJson(key(id));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  return {
+    get,
+
+    async list() {
+      const keys = await storage.list("tenants/");
+      const out = [];
+      for (const k of keys) {
+        const m = /^tenants\/([a-z0-9-]+)\.json$/.exec(k);
+        const t = m ? await get(m[1]) : null;
+        if (t) out.push(t);
+      }
+      return out.sort((a, b) => a.id.localeCompare(b.id));
+    },
+
+    // 登録 or 全置換（validateTenant 済みの本文）。LINE・Webhook・管理者・医療者の秘密の値は省けば引き継ぐ
+    async put(id, body) {
+      const prev = await get(id);
+      const now = new Date().toISOString();
+      const t = {
+        id,
+        name: body.name.trim(),
+        line: mergeLine(body.line, prev?.line),
+        webhook: mergeWebhook(body.webhook, prev?.webhook),
+        ...mergeTokens(body, prev),
+        origins: body.origins || [],
+        retention: body.retention || {},
+        detailUrlTtlDays: body.detailUrlTtlDays || null,
+        branding: {
+          name: body.branding?.name?.trim() || null,
+          logoUrl: body.branding?.logoUrl || null,
+          color: body.branding?.color || null,
+        },
+        createdAt: prev?.createdAt || now,
+        updatedAt: now,
+      };
+      await storage.writeJson(key(id), t, { cacheControl: "no-store" });
+      return t;
+    },
+  };
+}
+
+/**
+ * 医療機関ごとのコンテキスト（build(tenant) が作る。start / stop を持つ）を用意して覚えておく
+ * get は初めての医療機関なら登録を読んで作る。sync は登録の一覧を読み直し、増えたものを作り、更新されたものを作り直す
+ * （ほかのインスタンスで登録・更新されたものも sync の間隔で追いつく）
+ */
+function createTenantContexts({ tenants, build }) {
+  const cache = new Map(); // id → Promise<{ ctx, updatedAt } | null>
+  let timer = null;
+
+  function load(id, t) {
+    const p = (async () => {
+      const tenant = t || await tenants.get(id);
+      if (!tenant) return null;
+      const ctx = build(tenant);
+      ctx.start();
+      return { ctx, updatedAt: tenant.updatedAt };
+    })();
+    cache.set(id, p);
+    // 無かった・失敗したものは覚えない（次のリクエストで読み直す）
+    p.then((hit) => { if (!hit && cache.get(id) === p) cache.delete(id); }, () => { if (cache.get(id) === p) cache.delete(id); });
+    return p;
+  }
+
+  async function get(id) {
+    if (!ID_RE.test(id)) return null;
+    const hit = await (cache.get(id) || load(id));
+    return hit ? hit.ctx : null;
+  }
+
+  // 登録が変わっていれば作り直す（古いコンテキストは止める。処理中のジョブはリースが切れたら新しい方が引き継ぐ）
+  async function reload(t) {
+    const hit = cache.has(t.id) ? await cache.get(t.id).catch(() => null) : null;
+    if (hit && hit.updatedAt === t.updatedAt) return hit.ctx;
+    if (hit) hit.ctx.stop();
+    return (await load(t.id, t)).ctx;
+  }
+
+  async function sync() {
+    for (const t of await tenants.list()) {
+      try {
+        await reload(t);
+      } catch (e) {
+        console.error(`[tenants] ${t.id} failed to start:`, e?.message);
+      }
+    }
+  }
+
+  return {
+    get,
+    reload,
+    sync,
+
+    // 登録済みの医療機関を起こし（処理中のジョブを続ける）、intervalMs ごとに読み直す（0 なら起動時だけ）
+    start(intervalMs) {
+      const run = () => sync().catch((e) => console.error("[tenants] sync failed:", e?.message));
+      run();
+      if (!(intervalMs > 0)) return;
+      timer = setInterval(run, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createTenants, createTenantContexts, validateTenant, publicTenant, tenantTokens, brandOf, tenantPrefix, ID_RE };
@@ -0,0 +1,37 @@
+// lib/transcript/align.js
+
+// 空白・句読点を落として NFKC 正規化
+function normalize(s) {
+  return String(s || "").normalize("NFKC").replace(/[\s、。，．,.!?！？「」『』（）()・:：]/g, "");
+}
+
+function bigrams(s) {
+  const t = normalize(s);
+  const out = new Set();
+  for (let i = 0; i < t.length - 1; i++) out.add(t.slice(i, i + 2));
+  return out;
+}
+
+/**
+ * 要約の 1 項目（決まったこと / やること など）が会話のどの区間から来たかを推定
+ * 項目の文字 bigram が区間にどれだけ含まれるか（被覆率）が最大の区間。minScore 未満なら -1
+ */
+function findSource(text, segments, { minScore = 0.3 } = {}) {
+  const target = bigrams(text);
+  if (!target.size) return -1;
+  let best = -1;
+  let bestScore = minScore;
+  segments.forEach((seg, i) => {
+    const grams = bigrams(seg.text);
+    let hit = 0;
+    for (const g of target) if (grams.has(g)) hit++;
+    const score = hit / target.size;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+module.exports = { findSource };
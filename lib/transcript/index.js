@@ -0,0 +1,79 @@
+// lib/transcript/index.js
+const { assignRolesHeuristic, assignRolesLlm } = require("./roles");
+
+/**
+ * 構造化トランスクリプト（transcripts/{sessionId}.json）
+ * {
+ *   version: 1,
+ *   speakers: { "1": "医師", "2": "患者" },        // 話者分離なしなら {}
+ *   segments: [{ speaker, role, text, start, end, words: [{ word, start, end }] }], // 不明なら null / []
+ *   dictionary: { id, replacements: [{ from, to, count }] }  // 用語辞書を使ったときのみ
+ * }
+ * transcripts/{sessionId}.txt は「医師：…」形式の行（役割不明なら本文のみ）で、LLM への入力に使う
+ */
+
+const lineOf = (seg) => (seg.role ? `${seg.role}：${seg.text}` : seg.text);
+
+function toText(structured) {
+  return structured.segments.map(lineOf).join("\n").trim();
+}
+
+// ラベルを除いた本文（短すぎ判定用）
+function plainText(structured) {
+  return structured.segments.map((s) => s.text).join("\n").trim();
+}
+
+/**
+ * STT の結果（{ segments: [{ text, start, end, speaker }] }）→ 役割付きの構造化トランスクリプト
+ * roleMode: "heuristic" | "llm"（llm 失敗時は heuristic）
+ */
+async function buildTranscript(result, { roleMode = "heuristic", llm } = {}) {
+  const segments = (result.segments || []).map((s) => ({
+    speaker: s.speaker ?? null,
+    text: s.text,
+    start: s.start ?? null,
+    end: s.end ?? null,
+    words: s.words || [],
+  }));
+  if (!segments.length && result.text) {
+    segments.push({ speaker: null, text: result.text, start: null, end: null, words: [] });
+  }
+
+  let speakers = {};
+  if (segments.some((s) => s.speaker)) {
+    speakers = assignRolesHeuristic(segments);
+    if (roleMode === "llm" && llm) {
+      try {
+        speakers = await assignRolesLlm(llm, segments);
+      } catch (e) {
+        console.error("[transcript] LLM role assignment failed, using heuristic:", e?.message);
+      }
+    }
+  }
+  return {
+    version: 1,
+    speakers,
+    segments: segments.map((s) => ({ ...s, role: s.speaker ? speakers[s.speaker] || null : null })),
+  };
+}
+
+async function saveTranscript(storage, sessionId, structured) {
+  await storage.writeJson(`transcripts/${sessionId}.json`, structured, { cacheControl: "no-store" });
+  await storage.write(`transcripts/${sessionId}.txt`, toText(structured), {
+    contentType: "text/plain; charset=utf-8",
+    cacheControl: "no-store",
+  });
+}
+
+// 構造化版が無い（旧データ）場合は .txt を 1 区間として読む
+async function loadTranscript(storage, sessionId) {
+  try {
+    return await storage.readJson(`transcripts/${sessionId}.json`);
+  } catch (e) {
+    if (e.code !== 404) throw e;
+  }
+  const text = (await storage.read(`transcripts/${sessionId}.txt`)).toString("utf-8").trim();
+  return { version: 1, speakers: {}, segments: text ? [{ speaker: null, role: null, text, start: null, end: null, words: [] }] : [] };
+}
+
+module.exports = { buildTranscript, saveTranscript, loadTranscript, toText, plainText };
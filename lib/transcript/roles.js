@@ -0,0 +1,84 @@
+// lib/transcript/roles.js
+
+const ROLES = ["医師", "患者", "家族"];
+
+// 医師らしさ / 患者らしさの手がかり（話者ごとの発話をまとめて数える）
+const DOCTOR_CUES = [
+  /出しておきます/, /処方/, /様子を見ましょう/, /検査(しましょう|します|を)/, /してください/, /飲んでください/,
+  /どうされました/, /いかがですか/, /いつから/, /診察/, /お大事に/, /次回/, /予約/, /結果/, /ましょう/,
+];
+const PATIENT_CUES = [
+  /痛(い|くて|み)/, /んです/, /飲んで(い)?ます/, /先生/, /気になって/, /つらい/, /眠れ/, /熱が/, /咳/, /だるい/,
+];
+const FAMILY_CUES = [/(母|父|妻|夫|娘|息子|祖母|祖父)(が|は|の)/, /本人/, /うちの/];
+
+function countCues(text, cues) {
+  return cues.reduce((n, re) => n + (text.match(new RegExp(re.source, "g")) || []).length, 0);
+}
+
+/**
+ * 発話の手がかりから話者 → 役割（医師/患者/家族）を推定
+ * segments: [{ speaker, text }] → { [speaker]: role }
+ */
+function assignRolesHeuristic(segments) {
+  const bySpeaker = {};
+  for (const s of segments) {
+    if (!s.speaker) continue;
+    bySpeaker[s.speaker] = (bySpeaker[s.speaker] || "") + s.text + "\n";
+  }
+  const speakers = Object.keys(bySpeaker);
+  if (!speakers.length) return {};
+
+  const score = speakers.map((sp) => {
+    const t = bySpeaker[sp];
+    return {
+      sp,
+      doctor: countCues(t, DOCTOR_CUES) + (t.match(/[？?]/g) || []).length * 0.5,
+      patient: countCues(t, PATIENT_CUES),
+      family: countCues(t, FAMILY_CUES),
+      chars: t.length,
+    };
+  });
+
+  const roles = {};
+  // 医師: 医師らしさ − 患者らしさ が最大の話者（同点なら発話量の多い方）
+  const doctor = score.slice().sort((a, b) => (b.doctor - b.patient) - (a.doctor - a.patient) || b.chars - a.chars)[0];
+  roles[doctor.sp] = "医師";
+  const rest = score.filter((s) => s.sp !== doctor.sp);
+  if (rest.length) {
+    // 患者: 残りのうち患者らしさ − 家族らしさ が最大（同点なら発話量）。それ以外は家族
+    const patient = rest.slice().sort((a, b) => (b.patient - b.family) - (a.patient - a.family) || b.chars - a.chars)[0];
+    roles[patient.sp] = "患者";
+    for (const s of rest) if (s.sp !== patient.sp) roles[s.sp] = "家族";
+  }
+  return roles;
+}
+
+/**
+ * LLM で役割を推定（失敗したら呼び出し側でヒューリスティックに戻す）
+ */
+async function assignRolesLlm(llm, segments) {
+  const speakers = [...new Set(segments.map((s) => s.speaker).filter(Boolean))];
+  if (!speakers.length) return {};
+  const sample = segments.slice(0, 80).map((s) => `話者${s.speaker}：${s.text}`).join("\n");
+  const prompt = `
+以下は診察室の会話の文字起こしです（話者は機械的に番号付けされています）。
+各話者が「医師」「患者」「家族」のどれかを判定し、JSONのみで出力してください（コードブロック不可）。
+例：{ "1": "医師", "2": "患者" }
+
+【話者】${speakers.join(", ")}
+
+【文字起こし（冒頭）】
+${sample}
+`.trim();
+  const raw = await llm.generate(prompt, { json: true });
+  const obj = JSON.parse(String(raw).replace(/^```(?:json)?/i, "").replace(/```$/i, "").trim());
+  const roles = {};
+  for (const sp of speakers) {
+    if (!ROLES.includes(obj[sp])) throw new Error(`invalid role for speaker ${sp}: ${obj[sp]}`);
+    roles[sp] = obj[sp];
+  }
+  return roles;
+}
+
+module.exports = { ROLES, assignRolesHeuristic, assignRolesLlm };
@@ -0,0 +1,245 @@
+// lib/worker/index.js
+const { createLeases } = require("./lease");
+
+/**
+ * バックグラウンドワーカー
+ * ジョブ記録（jobs-state/{jobId}.json）が正本。queue は「いつ起こすか」だけを持ち、
+ * 実行中ジョブの印（jobs-active/{jobId}）を定期スキャンして取りこぼし（他インスタンスの停止など）を拾い直す。
+ *
+ * stages: { [stage]: async (job) => result }
+ *   { next: "stage", data }  次のステージへ（同じリースのまま続行）
+ *   { wait: ms, data }       同じステージを ms 後に再実行（STT の完了待ちなど。試行回数に数えない）
+ *   { done: true, data }     完了
+ *   throw                    attempts+1 して指数バックオフで再試行。e.retryable === false か上限到達で FAILED
+ */
+function createWorker(opts) {
+  const {
+    storage,
+    queue,
+    stages,
+    owner,
+    leaseMs = 10 * 60 * 1000,
+    tickMs = 1000,
+    scanMs = 30 * 1000,
+    concurrency = 2,
+    maxAttempts = 5,
+    backoffBaseMs = 5000,
+    backoffMaxMs = 5 * 60 * 1000,
+    now = () => Date.now(),
+  } = opts;
+
+  const leases = createLeases({ storage, owner, leaseMs });
+  const stateKey = (jobId) => `jobs-state/${jobId}.json`;
+  const activeKey = (jobId) => `jobs-active/${jobId}`;
+  let running = 0;
+  let timers = [];
+
+  async function getJob(jobId) {
+    try {
+      return await storage.readJson(stateKey(jobId));
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function saveJob(job) {
+    job.updatedAt = new Date(now()).toISOString();
+    await storage.writeJson(stateKey(job.jobId), job, { cacheControl: "no-store" });
+  }
+
+  /**
+   * ジョブ登録（同じ jobId が既にあれば何もしない）→ キューへ
+   * data: 最初のステージに渡す値（STT を飛ばして deliver から始めるときなど）
+   */
+  async function enqueue({ jobId, stage, data = {}, ...fields }) {
+    const at = new Date(now()).toISOString();
+    const job = {
+      jobId,
+      ...fields,
+      stage,
+      status: "PENDING",
+      attempts: 0,
+      nextRunAt: at,
+      lastError: null,
+      data,
+      createdAt: at,
+      updatedAt: at,
+    };
+    // 印を先に置く（記録だけ残って印が無いと scan で拾えない）
+    await storage.write(activeKey(jobId), "", { contentType: "text/plain" });
+    const created = await storage.createIfAbsent(stateKey(jobId), JSON.stringify(job, null, 2), {
+      contentType: "application/json",
+    });
+    queue.push(jobId, now());
+    return created;
+  }
+
+  function backoff(attempts) {
+    return Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+  }
+
+  async function finish(job, status) {
+    job.status = status;
+    job.nextRunAt = null;
+    await saveJob(job);
+    await storage.remove(activeKey(job.jobId));
+  }
+
+  async function runJob(jobId) {
+    // リースが取れない（ストレージのエラー）ときも落とさず、少し置いて積み直す
+    let acquired;
+    try {
+      acquired = await leases.acquire(jobId, now());
+    } catch (e) {
+      console.error(`[worker] ${jobId} lease failed:`, e?.message);
+      queue.push(jobId, now() + backoffBaseMs);
+      return;
+    }
+    if (!acquired) return; // 他インスタンスが処理中
+    try {
+      const job = await getJob(jobId);
+      if (!job || job.status === "DONE" || job.status === "FAILED") {
+        await storage.remove(activeKey(jobId));
+        return;
+      }
+      if (job.nextRunAt && Date.parse(job.nextRunAt) > now()) {
+        queue.push(jobId, Date.parse(job.nextRunAt));
+        return;
+      }
+
+      job.status = "ACTIVE";
+      for (;;) {
+        let result;
+        const t0 = now();
+        try {
+          const handler = stages[job.stage];
+          if (!handler) throw Object.assign(new Error(`unknown stage: ${job.stage}`), { retryable: false });
+          result = await handler(job);
+          if (!result || !(result.done || result.wait || result.next)) {
+            throw Object.assign(new Error(`stage ${job.stage} returned no result`), { retryable: false });
+          }
+        } catch (e) {
+          job.attempts++;
+          job.lastError = { stage: job.stage, message: String(e?.message || e), at: new Date(now()).toISOString() };
+          if (e?.retryable === false || job.attempts >= maxAttempts) {
+            console.error(`[worker] ${jobId} failed at ${job.stage} (attempt ${job.attempts}):`, e?.message);
+            await finish(job, "FAILED");
+          } else {
+            const delay = backoff(job.attempts);
+            console.warn(`[worker] ${jobId} ${job.stage} error, retry in ${delay}ms:`, e?.message);
+            job.status = "PENDING";
+            job.nextRunAt = new Date(now() + delay).toISOString();
+            await saveJob(job);
+            queue.push(jobId, now() + delay);
+          }
+          return;
+        }
+
+        if (result.data) job.data = { ...job.data, ...result.data };
+        console.log(`[worker] ${jobId} ${job.stage} ms=${now() - t0}`);
+
+        if (result.done) {
+          await finish(job, "DONE");
+          return;
+        }
+        if (result.wait) {
+          job.status = "PENDING";
+          job.nextRunAt = new Date(now() + result.wait).toISOString();
+          await saveJob(job);
+          queue.push(jobId, now() + result.wait);
+          return;
+        }
+        job.stage = result.next;
+        job.attempts = 0;
+        job.lastError = null;
+        await saveJob(job);
+      }
+    } catch (e) {
+      console.error(`[worker] ${jobId} error`, e);
+      queue.push(jobId, now() + backoffBaseMs);
+    } finally {
+      await leases.release(jobId);
+    }
+  }
+
+  /**
+   * 待ち（wait）中のジョブを今すぐ起こす（配信前の確認が済んだときなど）。待っていなければ false
+   * 実行中（ACTIVE）のジョブには触らない（そのステージが次の待ちで拾う）
+   */
+  async function wake(jobId) {
+    const job = await getJob(jobId);
+    if (!job || job.status !== "PENDING") return false;
+    job.nextRunAt = new Date(now()).toISOString();
+    await saveJob(job);
+    queue.push(jobId, now());
+    return true;
+  }
+
+  /**
+   * 失敗（FAILED）したジョブを、失敗したステージからやり直す（管理者の POST /jobs/:id/retry）。FAILED でなければ false
+   * 試行回数を 0 に戻し、残っていればリースも外す。lastError は次に動くまで残す
+   */
+  async function retry(jobId) {
+    const job = await getJob(jobId);
+    if (!job || job.status !== "FAILED") return false;
+    await leases.release(jobId);
+    job.status = "PENDING";
+    job.attempts = 0;
+    job.retries = (job.retries || 0) + 1;
+    job.nextRunAt = new Date(now()).toISOString();
+    // 印を先に置く（enqueue と同じ）
+    await storage.write(activeKey(jobId), "", { contentType: "text/plain" });
+    await saveJob(job);
+    queue.push(jobId, now());
+    return true;
+  }
+
+  function tick() {
+    const ids = queue.take(now(), concurrency - running);
+    for (const jobId of ids) {
+      running++;
+      runJob(jobId).finally(() => { running--; });
+    }
+  }
+
+  // 実行中ジョブの印を走査して、キューに無いものを積み直す（再起動・他インスタンス停止時の回収）
+  async function scan() {
+    let keys;
+    try {
+      keys = await storage.list("jobs-active/");
+    } catch (e) {
+      console.error("[worker] scan failed:", e?.message);
+      return;
+    }
+    for (const key of keys) {
+      const jobId = key.slice("jobs-active/".length);
+      if (queue.has(jobId)) continue;
+      try {
+        const job = await getJob(jobId);
+        if (!job || job.status === "DONE" || job.status === "FAILED") {
+          await storage.remove(key);
+          continue;
+        }
+        queue.push(jobId, job.nextRunAt ? Date.parse(job.nextRunAt) : now());
+      } catch (e) {
+        console.error(`[worker] scan ${jobId} failed:`, e?.message);
+      }
+    }
+  }
+
+  function start() {
+    scan();
+    timers = [setInterval(tick, tickMs), setInterval(scan, scanMs)];
+    timers.forEach((t) => t.unref());
+  }
+
+  function stop() {
+    timers.forEach(clearInterval);
+    timers = [];
+  }
+
+  return { enqueue, getJob, wake, retry, start, stop, tick, scan, runJob };
+}
+
+module.exports = { createWorker };
@@ -0,0 +1,41 @@
+// lib/worker/lease.js
+
+/**
+ * ジョブ単位のリース（ストレージ上の leases/{jobId}.json）
+ * - ifGenerationMatch: 0 で作成できた者が保持者
+ * - 期限切れ（保持者が落ちた等）のリースは削除して取り直す
+ *   削除〜再作成の間に別インスタンスが割り込む余地は残るが、各ステージは done / retryKey で冪等にしてある
+ */
+function createLeases({ storage, owner, leaseMs }) {
+  const key = (jobId) => `leases/${jobId}.json`;
+
+  async function acquire(jobId, now = Date.now()) {
+    const body = JSON.stringify({ owner, until: new Date(now + leaseMs).toISOString() });
+    if (await storage.createIfAbsent(key(jobId), body, { contentType: "application/json" })) return true;
+
+    let cur;
+    try {
+      cur = await storage.readJson(key(jobId));
+    } catch (e) {
+      if (e.code !== 404) throw e;
+      cur = null; // 読む前に解放された
+    }
+    if (cur && Date.parse(cur.until) > now) return false;
+
+    if (cur) console.warn(`[worker] lease expired, taking over: ${jobId} (was ${cur.owner})`);
+    await storage.remove(key(jobId));
+    return storage.createIfAbsent(key(jobId), body, { contentType: "application/json" });
+  }
+
+  async function release(jobId) {
+    try {
+      await storage.remove(key(jobId));
+    } catch (e) {
+      console.error(`[worker] lease release failed: ${jobId}`, e?.message);
+    }
+  }
+
+  return { acquire, release };
+}
+
+module.exports = { createLeases };
@@ -0,0 +1,37 @@
+// lib/worker/queue.js
+
+/**
+ * プロセス内キュー（Cloud Tasks / Pub/Sub などの代わりのローカル実装）
+ * 中身は「いつ起こすか」だけ。ジョブの正本はストレージ上のジョブ記録
+ */
+function createMemoryQueue() {
+  const items = new Map(); // jobId → runAt(ms)
+
+  return {
+    // 同じ jobId は後から積んだ時刻で上書き
+    push(jobId, runAt = Date.now()) {
+      items.set(jobId, runAt);
+    },
+
+    // 期限が来たものを最大 limit 件取り出す（古い順）
+    take(now, limit) {
+      const due = [...items.entries()]
+        .filter(([, runAt]) => runAt <= now)
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, limit)
+        .map(([jobId]) => jobId);
+      for (const id of due) items.delete(id);
+      return due;
+    },
+
+    has(jobId) {
+      return items.has(jobId);
+    },
+
+    get size() {
+      return items.size;
+    },
+  };
+}
+
+module.exports = { createMemoryQueue };
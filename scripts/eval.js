@@ -0,0 +1,54 @@
+// scripts/eval.js
+// 要約のオフライン評価（lib/eval）
+//   npm run eval                                              基準の設定で採点
+//   npm run eval -- --candidate eval/configs/next.json        2 つの設定を比べて差分を出す
+//   npm run eval -- --candidate ... --record                  キャッシュに無い応答だけ本物の LLM を呼んで記録（API キーが要る）
+//   --config <file> / --golden <dir> / --cache <dir> / --json <file>（結果と差分を JSON で保存）
+const fs = require("fs");
+const path = require("path");
+const { runConfig, diffRuns, formatRun, formatDiff, loadGolden, loadConfig } = require("../lib/eval");
+
+const ROOT = path.join(__dirname, "..");
+const FLAGS = { "--config": "config", "--candidate": "candidate", "--golden": "golden", "--cache": "cache", "--json": "json" };
+
+function parseArgs(argv) {
+  const args = {
+    config: path.join(ROOT, "eval/configs/baseline.json"),
+    candidate: null,
+    golden: path.join(ROOT, "eval/golden"),
+    cache: path.join(ROOT, "eval/cache"),
+    json: null,
+    record: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--record") args.record = true;
+    else if (FLAGS[a] && argv[i + 1]) args[FLAGS[a]] = path.resolve(argv[++i]);
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const golden = loadGolden(args.golden);
+  const configs = [loadConfig(args.config), ...(args.candidate ? [loadConfig(args.candidate)] : [])];
+
+  const runs = [];
+  for (const config of configs) {
+    const run = await runConfig(config, golden, { cacheDir: args.cache, record: args.record });
+    console.log(formatRun(run));
+    runs.push(run);
+  }
+  const diff = runs.length === 2 ? diffRuns(runs[0], runs[1]) : null;
+  if (diff) console.log(formatDiff(diff));
+
+  if (args.json) fs.writeFileSync(args.json, JSON.stringify({ runs, diff }, null, 2));
+  // 採点できなかった件（キャッシュに無い・スキーマ以前に失敗など）があれば失敗扱い
+  if (runs.some((r) => r.summary.errors)) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("[eval]", e?.message || e);
+  process.exitCode = 1;
+});
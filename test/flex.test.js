@@ -0,0 +1,117 @@
+// test/flex.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildMemoFlex, buildMemoMessage, validateFlexMessage, LIMITS } = require("../lib/line/flex");
+const { buildMemoText } = require("../lib/line/memo");
+
+const OPTS = { detailUrl: "https://example.com/detail/s1.html", ttlDays: 5 };
+const SHORT = { summary_top3: ["血圧は安定", "薬は継続"], decisions: ["次回は 4 週間後"], todos_until_next: ["毎朝血圧を測る"] };
+const LONG = {
+  summary_top3: ["要点1", "要点2", "要点3"],
+  decisions: ["決定1", "決定2", "決定3"],
+  todos_until_next: ["やること1", "やること2", "やること3", "やること4", "やること5"],
+  red_flags: ["胸が痛いときはすぐ受診"],
+  ask_next_time: ["薬の副作用"],
+};
+
+const text = (t) => ({ type: "text", text: t });
+const bubbleOf = (contents) => ({ type: "bubble", body: { type: "box", layout: "vertical", contents } });
+const flexOf = (contents, extra = {}) => ({ type: "flex", altText: "診察メモ", contents, ...extra });
+
+test("buildMemoFlex: 項目が少なければ 1 枚のバブル、多ければ見出しごとのカルーセル", () => {
+  const one = buildMemoFlex(SHORT, null, OPTS);
+  assert.equal(one.contents.type, "bubble");
+  assert.deepEqual(validateFlexMessage(one), []);
+
+  const many = buildMemoFlex(LONG, null, { ...OPTS, sessionId: "s1" });
+  assert.equal(many.contents.type, "carousel");
+  assert.equal(many.contents.contents.length, 5);
+  assert.match(many.contents.contents[4].header.contents[0].text, /（5\/5）$/);
+  assert.equal(many.quickReply.items.length, 2);
+  assert.deepEqual(validateFlexMessage(many), []);
+});
+
+test("buildMemoFlex: 医療機関のロゴ・名前・色を使う", () => {
+  const msg = buildMemoFlex(SHORT, null, { ...OPTS, brand: { name: "山田内科", logoUrl: "https://example.com/logo.png", color: "#336699" } });
+  const header = msg.contents.header.contents;
+  assert.deepEqual([header[0].type, header[1].text], ["image", "山田内科"]);
+  assert.equal(msg.contents.footer.contents[0].color, "#336699");
+  assert.deepEqual(validateFlexMessage(msg), []);
+});
+
+test("validateFlexMessage: altText とボタン・クイックリプライのラベルの長さ", () => {
+  const long = (n) => "あ".repeat(n);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([text("x")]), { altText: long(LIMITS.altText) })), []);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([text("x")]), { altText: long(LIMITS.altText + 1) })), [`altText: too long (max ${LIMITS.altText})`]);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([text("")]))), ["contents.body.contents[0].text: required"]);
+
+  const button = (label) => ({ type: "button", action: { type: "uri", label, uri: "https://example.com" } });
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([button(long(LIMITS.buttonLabel))]))), []);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([button(long(LIMITS.buttonLabel + 1))]))), [
+    `contents.body.contents[0].action.label: max ${LIMITS.buttonLabel} chars`,
+  ]);
+
+  const quickReply = { items: [{ type: "action", action: { type: "postback", label: long(LIMITS.quickReplyLabel + 1), data: "a=1" } }] };
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([text("x")]), { quickReply })), [
+    `quickReply.items[0].action.label: max ${LIMITS.quickReplyLabel} chars`,
+  ]);
+});
+
+test("validateFlexMessage: URI とロゴの URL", () => {
+  const button = (uri) => ({ type: "button", action: { type: "uri", label: "開く", uri } });
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([button("ftp://example.com")]))), ["contents.body.contents[0].action.uri: expected http(s)/line/tel URI"]);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([button(`https://example.com/${"a".repeat(LIMITS.uri)}`)]))), [
+    `contents.body.contents[0].action.uri: too long (max ${LIMITS.uri})`,
+  ]);
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([{ type: "image", url: "http://example.com/logo.png" }]))), ["contents.body.contents[0].url: expected https URL"]);
+});
+
+test("validateFlexMessage: バブル・カルーセルの枚数と大きさ", () => {
+  const big = "あ".repeat(Math.ceil(LIMITS.bubbleBytes / 3));
+  assert.deepEqual(validateFlexMessage(flexOf(bubbleOf([text(big)]))), [`contents: too large (max ${LIMITS.bubbleBytes} bytes)`]);
+
+  const carousel = (n, t = "x") => ({ type: "carousel", contents: Array.from({ length: n }, () => bubbleOf([text(t)])) });
+  assert.deepEqual(validateFlexMessage(flexOf(carousel(LIMITS.carouselBubbles))), []);
+  assert.deepEqual(validateFlexMessage(flexOf(carousel(LIMITS.carouselBubbles + 1))), [`contents.contents: 1-${LIMITS.carouselBubbles} bubbles`]);
+  assert.deepEqual(validateFlexMessage(flexOf(carousel(0))), [`contents.contents: 1-${LIMITS.carouselBubbles} bubbles`]);
+
+  // 1 枚ずつは上限内でも、合わせて大きすぎるカルーセル
+  const half = "あ".repeat(Math.ceil(LIMITS.bubbleBytes / 3 / 2));
+  assert.deepEqual(validateFlexMessage(flexOf(carousel(4, half))), [`contents: too large (max ${LIMITS.carouselBytes} bytes)`]);
+  assert.deepEqual(validateFlexMessage(flexOf({ type: "bubble", body: { type: "box", layout: "grid", contents: [] } })), ["contents.body.layout: invalid"]);
+  assert.deepEqual(validateFlexMessage({ type: "text", text: "x" }), ["type: expected flex"]);
+});
+
+test("buildMemoMessage: 通ればFlex、制約に反すればクイックリプライ付きのテキストに切り替える", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+
+  const ok = buildMemoMessage(SHORT, null, { ...OPTS, sessionId: "s1" });
+  assert.equal(ok.format, "flex");
+  assert.deepEqual(ok.errors, []);
+  assert.equal(warn.mock.callCount(), 0);
+
+  // 概要の 1 行目が長すぎる（要点が無いときの altText になる）
+  const full = { summary: "長い概要".repeat(1000) };
+  const fallback = buildMemoMessage({}, full, { ...OPTS, sessionId: "s1" });
+  assert.equal(fallback.format, "text");
+  assert.ok(fallback.errors.includes(`altText: too long (max ${LIMITS.altText})`));
+  assert.equal(fallback.message.type, "text");
+  assert.equal(fallback.message.text, buildMemoText({}, full, OPTS));
+  assert.equal(fallback.message.quickReply.items.length, 2);
+  assert.equal(warn.mock.callCount(), 1);
+
+  // 詳細ページのリンクが使えない URI
+  const badUri = buildMemoMessage(SHORT, null, { ...OPTS, detailUrl: "ftp://example.com/s1" });
+  assert.equal(badUri.format, "text");
+  assert.equal(badUri.message.quickReply, undefined);
+
+  const text = buildMemoMessage(SHORT, null, { ...OPTS, format: "text" });
+  assert.deepEqual([text.format, text.errors], ["text", []]);
+});
+
+test("buildMemoText: 5000 字に収め、詳細ページのリンクは残す", () => {
+  const out = buildMemoText({}, { summary: "長い概要".repeat(2000) }, { ...OPTS, brand: { name: "山田内科" } });
+  assert.ok(out.length < 5000);
+  assert.ok(out.startsWith("【山田内科】\n■"));
+  assert.ok(out.endsWith(`\n${OPTS.detailUrl}`));
+});
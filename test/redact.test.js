@@ -0,0 +1,107 @@
+// test/redact.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createRedaction, redactResult, restore, seal, unseal, parseKey } = require("../lib/redact");
+
+const KEY = crypto.randomBytes(32);
+
+// readJson / writeJson だけのメモリ上のストレージ
+function memoryStorage() {
+  const files = new Map();
+  return {
+    files,
+    async readJson(k) {
+      if (!files.has(k)) throw Object.assign(new Error("not found"), { code: 404 });
+      return JSON.parse(files.get(k));
+    },
+    async writeJson(k, v) {
+      files.set(k, JSON.stringify(v));
+    },
+  };
+}
+
+test("redactResult: 電話・郵便番号・番号・名前を記号にする", () => {
+  const { result, mapping, counts } = redactResult({
+    text: "元の全文",
+    segments: [
+      { start: 0, end: 1, text: "電話は090-1234-5678です", words: [{ word: "090" }] },
+      { start: 1, end: 2, text: "〒123-4567 山田太郎さん、保険証は12345678" },
+      { start: 2, end: 3, text: "またね", words: [{ word: "またね" }] },
+    ],
+  }, { names: ["山田太郎"] });
+
+  assert.deepEqual(result.segments.map((s) => s.text), ["電話は[電話1]です", "[郵便番号1] [氏名1]さん、保険証は[番号1]", "またね"]);
+  assert.deepEqual(mapping.map((m) => [m.token, m.type, m.value]), [
+    ["[電話1]", "phone", "090-1234-5678"],
+    ["[郵便番号1]", "postal", "〒123-4567"],
+    ["[番号1]", "id", "12345678"],
+    ["[氏名1]", "name", "山田太郎"],
+  ]);
+  assert.deepEqual(counts, { phone: 1, postal: 1, id: 1, name: 1 });
+  // 伏せた区間の単語は捨て、伏せていない区間はそのまま
+  assert.deepEqual(result.segments[0].words, []);
+  assert.deepEqual(result.segments[2].words, [{ word: "またね" }]);
+});
+
+test("redactResult: 全文は区間を改行でつなぎ直す", () => {
+  const { result } = redactResult({
+    text: "医師: 電話は 03-1234-5678\n患者: はい",
+    segments: [{ text: "医師: 電話は 03-1234-5678" }, { text: "患者: はい" }],
+  });
+  assert.equal(result.text, "医師: 電話は [電話1]\n患者: はい");
+});
+
+test("redactResult: 同じ値には同じ記号（全角・区切りの違いも同じ番号）", () => {
+  const { result, mapping } = redactResult({ text: "090-1234-5678 と ０９０１２３４５６７８ と 080-1111-2222" });
+  assert.equal(result.text, "[電話1] と [電話1] と [電話2]");
+  assert.equal(mapping.length, 2);
+});
+
+test("redactResult: 桁数の合わない電話番号・短い名前・指定外の種類は残す", () => {
+  assert.equal(redactResult({ text: "03-12-34" }).result.text, "03-12-34");
+  assert.equal(redactResult({ text: "林さん" }, { names: ["林"] }).result.text, "林さん");
+  assert.equal(redactResult({ text: "〒123-4567 090-1234-5678" }, { types: ["phone"] }).result.text, "〒123-4567 [電話1]");
+});
+
+test("restore: 入れ子の値の記号を元に戻す（対応表が無ければそのまま）", () => {
+  const { result, mapping } = redactResult({ text: "山田太郎さん 090-1234-5678" }, { names: ["山田太郎"] });
+  const summary = { summary: result.text, todos: [{ what: "[氏名1]さんに[電話1]へ連絡" }], n: 1 };
+  assert.deepEqual(restore(summary, mapping), { summary: "山田太郎さん 090-1234-5678", todos: [{ what: "山田太郎さんに090-1234-5678へ連絡" }], n: 1 });
+  assert.equal(restore(summary, []), summary);
+});
+
+test("seal / unseal: 暗号化した対応表を戻せる。鍵が違う・改ざんされたら失敗する", () => {
+  const mapping = [{ token: "[電話1]", type: "phone", value: "090-1234-5678" }];
+  const sealed = seal(mapping, KEY);
+  assert.equal(sealed.alg, "aes-256-gcm");
+  assert.ok(!JSON.stringify(sealed).includes("090-1234-5678"));
+  assert.deepEqual(unseal(sealed, KEY), mapping);
+
+  assert.throws(() => unseal(sealed, crypto.randomBytes(32)));
+  const data = Buffer.from(sealed.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => unseal({ ...sealed, data: data.toString("base64") }, KEY));
+});
+
+test("parseKey: hex 64 文字か base64 の 32 バイトだけ受け付ける", () => {
+  assert.equal(parseKey(KEY.toString("hex")).length, 32);
+  assert.equal(parseKey(KEY.toString("base64")).length, 32);
+  assert.throws(() => parseKey("short"), /32 bytes/);
+});
+
+test("createRedaction: apply で対応表を暗号化して保存し、reveal で戻す", async () => {
+  const storage = memoryStorage();
+  const redaction = createRedaction({ storage, key: KEY.toString("hex"), names: ["山田太郎"] });
+
+  const { result, counts } = await redaction.apply("s1", { text: "山田太郎さん", segments: [] });
+  assert.equal(result.text, "[氏名1]さん");
+  assert.deepEqual(counts, { name: 1 });
+  assert.ok(!storage.files.get("redactions/s1.json").includes("山田太郎"));
+
+  assert.deepEqual(await redaction.reveal("s1", { summary: "[氏名1]さん" }), { summary: "山田太郎さん" });
+  // 対応表の無いセッション・伏せる所が無かったセッションはそのまま
+  assert.equal(await redaction.reveal("s2", "[氏名1]さん"), "[氏名1]さん");
+  await redaction.apply("s3", { text: "こんにちは" });
+  assert.equal(storage.files.has("redactions/s3.json"), false);
+});
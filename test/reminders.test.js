@@ -0,0 +1,136 @@
+// test/reminders.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseWhen, nextDaily } = require("../lib/reminders/when");
+const { createReminders, extractReminders } = require("../lib/reminders");
+const { createStorage } = require("../lib/storage");
+const { createLinePush } = require("../lib/line/push");
+
+// 診察: 2026-10-18 10:00（日本時間）
+const BASE = new Date("2026-10-18T01:00:00.000Z");
+const J = { todos_until_next: ["毎食後に薬を飲む", "2週間後に血液検査"], red_flags: ["3日後も熱が続くなら受診"] };
+const FULL = { timeline: [{ when: "10月25日", what: "再診", note: "採血あり" }] };
+
+test("parseWhen: 相対の日付は日本時間の暦日で数え、時刻が無ければ終日", () => {
+  assert.deepEqual(parseWhen("2週間後に血液検査", { base: BASE }), { type: "once", at: "2026-11-01T00:00:00.000Z", allDay: true });
+  assert.deepEqual(parseWhen("二週間後に血液検査", { base: BASE }), { type: "once", at: "2026-11-01T00:00:00.000Z", allDay: true });
+  assert.deepEqual(parseWhen("明日の午後2時半に電話", { base: BASE }), { type: "once", at: "2026-10-19T05:30:00.000Z", allDay: false });
+});
+
+test("parseWhen: 「次回10月25日」と年の無い過去の日付（翌年）", () => {
+  assert.deepEqual(parseWhen("次回10月25日", { base: BASE }), { type: "once", at: "2026-10-25T00:00:00.000Z", allDay: true });
+  assert.deepEqual(parseWhen("次回10月25日14時", { base: BASE }), { type: "once", at: "2026-10-25T05:00:00.000Z", allDay: false });
+  assert.equal(parseWhen("1月10日に予約", { base: BASE }).at, "2027-01-10T00:00:00.000Z");
+});
+
+test("parseWhen: 毎日のもの（毎食後・寝る前・毎朝）と読み取れない文", () => {
+  assert.deepEqual(parseWhen("毎食後に薬を飲む", { base: BASE }), { type: "daily", times: ["08:30", "12:30", "19:00"] });
+  assert.deepEqual(parseWhen("朝食後と寝る前に飲む", { base: BASE }), { type: "daily", times: ["08:30", "21:30"] });
+  assert.deepEqual(parseWhen("毎朝血圧を測る", { base: BASE }), { type: "daily", times: ["08:00"] });
+  assert.equal(parseWhen("よく休む", { base: BASE }), null);
+});
+
+test("nextDaily: after より後の最初の時刻。until を過ぎたら null", () => {
+  assert.equal(nextDaily(["08:30", "19:00"], "2026-10-18T01:00:00.000Z"), "2026-10-18T10:00:00.000Z");
+  assert.equal(nextDaily(["08:30", "19:00"], "2026-10-18T10:00:00.000Z"), "2026-10-18T23:30:00.000Z");
+  assert.equal(nextDaily(["08:30"], "2026-10-18T01:00:00.000Z", "2026-10-18T12:00:00.000Z"), null);
+});
+
+test("extractReminders: 予定表・TODO・受診の目安から候補を作り、毎日のものは最初の予定の日まで", () => {
+  const items = extractReminders(J, FULL, { base: BASE });
+  assert.deepEqual(items.map((i) => [i.id, i.source, i.text, i.schedule.type]), [
+    ["r1", "timeline", "再診（採血あり）", "once"],
+    ["r2", "todo", "毎食後に薬を飲む", "daily"],
+    ["r3", "todo", "2週間後に血液検査", "once"],
+    ["r4", "red_flag", "3日後も熱が続くなら受診", "once"],
+  ]);
+  assert.equal(items[1].schedule.until, "2026-10-25T00:00:00.000Z");
+  // 日時の無い受診の目安は出さない
+  assert.equal(extractReminders({ red_flags: ["胸が痛いときはすぐ受診"] }, null, { base: BASE }).length, 0);
+});
+
+// 偽の時計・ローカルのストレージ・LINE の代わり（pushMessage の呼び出しを残し、fail に積んだエラーを順に投げる）
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reminders-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ driver: "local", rootDir: dir, baseUrl: "http://localhost", secret: "x" });
+  const clock = { t: BASE.getTime() };
+  const pushes = [];
+  const fail = [];
+  const lineClient = {
+    onPush: null,
+    async pushMessage(body, retryKey) {
+      pushes.push({ body, retryKey });
+      if (lineClient.onPush) await lineClient.onPush();
+      const e = fail.shift();
+      if (e) throw e;
+    },
+  };
+  const linePush = createLinePush({ lineClient, storage });
+  const audit = { log: async () => {} };
+  const reminders = createReminders({ storage, linePush, audit, now: () => clock.t });
+  await reminders.propose({ sessionId: "s1", userId: "U1", j: J, full: FULL, base: BASE });
+  await reminders.update("s1", { status: "confirmed" });
+  return { storage, clock, pushes, fail, lineClient, reminders };
+}
+
+const item = async (reminders, id) => (await reminders.get("s1")).items.find((i) => i.id === id);
+
+test("tick: 期限が来たものだけ送り、毎日のものは次の時刻へ進める", async (t) => {
+  const { storage, clock, pushes, reminders } = await setup(t);
+  assert.equal((await item(reminders, "r2")).nextAt, "2026-10-18T03:30:00.000Z"); // 12:30
+  assert.equal((await item(reminders, "r1")).nextAt, "2026-10-24T09:00:00.000Z"); // 前日 18:00
+
+  assert.equal(await reminders.tick(), 0);
+  clock.t = Date.parse("2026-10-18T03:31:00.000Z");
+  assert.equal(await reminders.tick(), 1);
+  assert.equal(pushes.length, 1);
+  assert.deepEqual(pushes[0].body, { to: "U1", messages: [{ type: "text", text: "⏰ リマインド（毎日 08:30・12:30・19:00）\n毎食後に薬を飲む" }] });
+  // リトライキーは送る回ごとに保存したもの
+  const saved = (await storage.read("reminder-keys/s1/r2-20261018T033000000Z.retryKey")).toString("utf-8");
+  assert.equal(pushes[0].retryKey, saved);
+
+  const r2 = await item(reminders, "r2");
+  assert.deepEqual([r2.sent, r2.nextAt, r2.lastError], [1, "2026-10-18T10:00:00.000Z", null]); // 19:00
+  // 止まっていた間の分はまとめて送らない
+  clock.t = Date.parse("2026-10-19T04:00:00.000Z");
+  assert.equal(await reminders.tick(), 1);
+  assert.equal((await item(reminders, "r2")).nextAt, "2026-10-19T10:00:00.000Z");
+});
+
+test("tick: 5xx は同じリトライキーで次の回に送り直し、4xx はこの回を飛ばす", async (t) => {
+  const { clock, pushes, fail, reminders } = await setup(t);
+  clock.t = Date.parse("2026-10-18T03:31:00.000Z");
+  fail.push(Object.assign(new Error("server error"), { status: 500 }));
+  assert.equal(await reminders.tick(), 0);
+  let r2 = await item(reminders, "r2");
+  assert.deepEqual([r2.nextAt, r2.lastError], ["2026-10-18T03:30:00.000Z", "server error"]);
+
+  assert.equal(await reminders.tick(), 1);
+  assert.equal(pushes[1].retryKey, pushes[0].retryKey);
+  r2 = await item(reminders, "r2");
+  assert.deepEqual([r2.sent, r2.nextAt, r2.lastError], [1, "2026-10-18T10:00:00.000Z", null]);
+
+  clock.t = Date.parse("2026-10-18T10:01:00.000Z");
+  fail.push(Object.assign(new Error("bad request"), { status: 400 }));
+  assert.equal(await reminders.tick(), 0);
+  r2 = await item(reminders, "r2");
+  assert.deepEqual([r2.sent, r2.nextAt, r2.lastError], [1, "2026-10-18T23:30:00.000Z", "bad request"]);
+});
+
+test("tick: 送っている間に本人が止めたら、止めたまま残す", async (t) => {
+  const { storage, clock, lineClient, reminders } = await setup(t);
+  clock.t = Date.parse("2026-10-18T03:31:00.000Z");
+  lineClient.onPush = async () => {
+    lineClient.onPush = null;
+    await reminders.update("s1", { status: "cancelled" });
+  };
+  assert.equal(await reminders.tick(), 1);
+  const doc = await reminders.get("s1");
+  assert.equal(doc.status, "cancelled");
+  assert.ok(doc.items.every((i) => i.nextAt === null));
+  assert.equal(await storage.exists("reminders-active/s1"), false);
+});
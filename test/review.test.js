@@ -0,0 +1,69 @@
+// test/review.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createReviews } = require("../lib/review");
+const { createStorage } = require("../lib/storage");
+
+const SUMMARY = { summary_top3: ["血圧は安定"], decisions: [], todos_until_next: ["毎朝血圧を測る"] };
+const FULL = { ...SUMMARY, timeline: [] };
+
+// ローカルのストレージに要約を置き、確認待ち（版 1）にする
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ driver: "local", rootDir: dir, baseUrl: "http://localhost", secret: "x" });
+  const rendered = [];
+  const detailPages = { render: async (sessionId, full) => rendered.push(full), htmlKey: (id) => `summaries/${id}.html` };
+  const reviews = createReviews({ storage, detailPages });
+  await storage.writeJson("summaries/s1.json", SUMMARY);
+  await storage.writeJson("summaries/s1.full.json", FULL);
+  await reviews.hold({ sessionId: "s1", jobId: "j1", userId: "U1" });
+  await reviews.open({ sessionId: "s1", jobId: "j1", userId: "U1" });
+  return { storage, reviews, rendered };
+}
+
+const settle = async (ps) => (await Promise.allSettled(ps)).map((r) => (r.status === "fulfilled" ? "ok" : r.reason.code));
+
+test("decide: 同じ版への承認が重なったら 1 つだけ通り、残りは 409", async (t) => {
+  const { reviews, rendered } = await setup(t);
+  const results = await settle([
+    reviews.decide("s1", "approve", { baseVersion: 1, by: "sato" }),
+    reviews.decide("s1", "approve", { baseVersion: 1, by: "suzuki" }),
+  ]);
+  assert.deepEqual(results.sort(), [409, "ok"]);
+  assert.equal(rendered.length, 1);
+  assert.equal((await reviews.get("s1")).status, "approved");
+});
+
+test("decide: 承認と修正が重なっても、承認した版と配信する要約がずれない", async (t) => {
+  const { storage, reviews } = await setup(t);
+  const results = await settle([
+    reviews.edit("s1", { baseVersion: 1, full: { ...FULL, summary_top3: ["直した要点"] }, by: "sato" }),
+    reviews.decide("s1", "approve", { baseVersion: 1, by: "suzuki" }),
+  ]);
+  assert.equal(results.filter((r) => r === "ok").length, 1);
+  const summary = await storage.readJson("summaries/s1.json");
+  const r = await reviews.get("s1");
+  if (r.status === "approved") {
+    assert.deepEqual([summary.review.version, summary.summary_top3], [1, ["血圧は安定"]]);
+  } else {
+    // 修正が先なら版 2 の確認待ちのまま（承認はやり直し）
+    assert.deepEqual([r.status, r.version, summary.summary_top3, summary.review], ["pending", 2, ["直した要点"], undefined]);
+    await reviews.decide("s1", "approve", { baseVersion: 2, by: "suzuki" });
+    assert.equal((await storage.readJson("summaries/s1.json")).review.version, 2);
+  }
+});
+
+test("decide: 要約が版と違えば 409 で、印を外して後でやり直せる", async (t) => {
+  const { storage, reviews } = await setup(t);
+  await storage.writeJson("summaries/s1.json", { ...SUMMARY, summary_top3: ["誰かが書き換えた"] });
+  await assert.rejects(reviews.decide("s1", "approve", { baseVersion: 1, by: "sato" }), { code: 409 });
+  assert.equal((await reviews.get("s1")).status, "pending");
+
+  await storage.writeJson("summaries/s1.json", SUMMARY);
+  const r = await reviews.decide("s1", "reject", { baseVersion: 1, by: "sato", regenerate: true });
+  assert.deepEqual([r.status, r.decision.version, r.decision.regenerate], ["rejected", 1, true]);
+});
@@ -0,0 +1,79 @@
+// test/score.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scoreCase, aggregate, CHAR_CAP } = require("../lib/eval/score");
+
+const STRUCTURED = {
+  segments: [
+    { text: "今日から降圧薬のアムロジピンを1日1回飲んでください。" },
+    { text: "胸が痛くなったらすぐ来てください。" },
+  ],
+};
+const GOLDEN = {
+  expected: {
+    decisions: [["アムロジピン", "開始"]],
+    todos: ["毎朝血圧を測る"],
+    red_flags: ["胸が痛い"],
+    medications: [{ name: "アムロジピン", aliases: ["ノルバスク"] }, { name: "メトホルミン" }],
+  },
+};
+const J = {
+  summary_top3: ["アムロジピンを開始"],
+  decisions: ["アムロジピンを開始"],
+  todos_until_next: ["毎朝、血圧を測る"],
+  red_flags: ["胸の痛み→受診"],
+  validation: { ok: true },
+};
+const FULL = { medications: [{ name: "ノルバスク" }], validation: { ok: false } };
+
+test("coverage: 表記の揺れ（句読点・全角半角・漢数字）を除いて比べ、配列は全部の語を含む項目で当たり", () => {
+  const s = scoreCase(GOLDEN, { j: J, full: FULL, structured: STRUCTURED });
+  assert.deepEqual(s.coverage.fields.decisions, { hit: 1, total: 1, missing: [] });
+  assert.deepEqual(s.coverage.fields.todos, { hit: 1, total: 1, missing: [] });
+  assert.deepEqual(s.coverage.fields.red_flags, { hit: 0, total: 1, missing: ["胸が痛い"] });
+  assert.equal(s.coverage.rate, 2 / 3);
+  assert.equal(scoreCase({ expected: { todos: ["毎朝血圧を二回測る"] } }, { j: { todos_until_next: ["毎朝 血圧を２回測る"] }, full: {}, structured: STRUCTURED }).coverage.rate, 1);
+  // 正解が無ければ 1
+  assert.equal(scoreCase({}, { j: J, full: FULL, structured: STRUCTURED }).coverage.rate, 1);
+});
+
+test("length: 1 行 40 字と欄ごとの件数の上限を数える", () => {
+  const long = "あ".repeat(CHAR_CAP + 1);
+  const j = { summary_top3: ["a", "b", "c", "d"], todos_until_next: [long, "あ".repeat(CHAR_CAP)] };
+  const s = scoreCase(GOLDEN, { j, full: {}, structured: STRUCTURED });
+  assert.deepEqual(s.length.violations, [
+    { field: "summary_top3", kind: "count", value: 4, cap: 3 },
+    { field: "todos_until_next[0]", kind: "chars", value: CHAR_CAP + 1, cap: CHAR_CAP },
+  ]);
+  assert.equal(s.length.items, 6);
+  assert.equal(s.length.rate, 1 - 1 / 6);
+  assert.deepEqual(scoreCase(GOLDEN, { j: J, full: FULL, structured: STRUCTURED }).length.violations, []);
+});
+
+test("quotes: 文字起こしと 15 字以上同じ文と、「」で引いた発言を漏れとして拾う", () => {
+  assert.equal(scoreCase(GOLDEN, { j: J, full: FULL, structured: STRUCTURED }).quotes.count, 0);
+  const j = { ...J, decisions: ["今日から降圧薬のアムロジピンを1日1回飲む"] };
+  const full = { ...FULL, summary: "医師は「すぐ来てください」と話した" };
+  const { leaks } = scoreCase(GOLDEN, { j, full, structured: STRUCTURED }).quotes;
+  assert.deepEqual(leaks.map((l) => [l.at, l.match]), [
+    ["short.decisions[0]", "今日から降圧薬のアムロジピンを1日1回飲"],
+    ["full.summary", "すぐ来てください"],
+  ]);
+});
+
+test("medications: 文字起こしにも正解（別名を含む）にも無い薬を作り話の疑いとし、正解の漏れも数える", () => {
+  const s = scoreCase(GOLDEN, { j: J, full: FULL, structured: STRUCTURED });
+  assert.deepEqual(s.medications, { count: 1, expected: 2, hallucinated: [], missing: ["メトホルミン"] });
+  const full = { medications: [{ name: "アムロジピン" }, { name: "ロキソプロフェン" }, { name: " " }] };
+  assert.deepEqual(scoreCase(GOLDEN, { j: J, full, structured: STRUCTURED }).medications.hallucinated, ["ロキソプロフェン"]);
+});
+
+test("scoreCase の schema と aggregate: エラーの件は集計に入れない", () => {
+  const score = scoreCase(GOLDEN, { j: J, full: FULL, structured: STRUCTURED });
+  assert.deepEqual(score.schema, { short: true, detail: false });
+  const sum = aggregate([{ score }, { score }, { error: "template fallback: detail" }]);
+  assert.deepEqual(sum, {
+    cases: 3, errors: 1, coverage: 2 / 3, lengthViolations: 0, quoteLeaks: 0,
+    hallucinatedMedications: 0, missingMedications: 2, schemaFailures: 2,
+  });
+});
@@ -0,0 +1,166 @@
+// test/worker.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createWorker } = require("../lib/worker");
+const { createLeases } = require("../lib/worker/lease");
+const { createMemoryQueue } = require("../lib/worker/queue");
+const { createStorage } = require("../lib/storage");
+
+const T0 = Date.parse("2026-10-18T00:00:00.000Z");
+
+// ローカルのストレージ・プロセス内キュー・偽の時計で動かす（tick のタイマーは使わず runJob を直接呼ぶ）
+function setup(t, stages, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worker-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createStorage({ driver: "local", rootDir: dir, baseUrl: "http://localhost", secret: "x" });
+  const clock = { t: T0 };
+  const queue = createMemoryQueue();
+  const worker = createWorker({
+    storage, queue, stages, owner: "w1", leaseMs: 60000, backoffBaseMs: 5000, maxAttempts: 3, now: () => clock.t, ...opts,
+  });
+  return { storage, clock, queue, worker };
+}
+
+// 失敗を throws 回投げてから done になるステージ
+const flaky = (throws, calls) => async () => {
+  calls.push("b");
+  if (calls.filter((c) => c === "b").length <= throws) throw new Error("temporary");
+  return { done: true };
+};
+
+test("runJob: ステージを next でつなぎ、data を引き継いで DONE にする", async (t) => {
+  const seen = [];
+  const { storage, worker } = setup(t, {
+    a: async (job) => { seen.push(["a", job.data]); return { next: "b", data: { x: 1 } }; },
+    b: async (job) => { seen.push(["b", job.data]); return { done: true, data: { y: 2 } }; },
+  });
+  await worker.enqueue({ jobId: "j1", stage: "a", data: { in: 0 } });
+  assert.equal(await storage.exists("jobs-active/j1"), true);
+  await worker.runJob("j1");
+
+  assert.deepEqual(seen, [["a", { in: 0 }], ["b", { in: 0, x: 1 }]]);
+  const job = await worker.getJob("j1");
+  assert.deepEqual([job.status, job.stage, job.data], ["DONE", "b", { in: 0, x: 1, y: 2 }]);
+  assert.equal(await storage.exists("jobs-active/j1"), false);
+  assert.equal(await storage.exists("leases/j1.json"), false);
+});
+
+test("runJob: 失敗は指数バックオフで積み直し、上限で FAILED。retryable: false はすぐ FAILED", async (t) => {
+  const calls = [];
+  const { clock, queue, worker } = setup(t, {
+    b: flaky(Infinity, calls),
+    bad: async () => { throw Object.assign(new Error("broken input"), { retryable: false }); },
+  });
+  await worker.enqueue({ jobId: "j1", stage: "b" });
+  await worker.runJob("j1");
+  let job = await worker.getJob("j1");
+  assert.deepEqual([job.status, job.attempts, job.nextRunAt], ["PENDING", 1, new Date(T0 + 5000).toISOString()]);
+  assert.deepEqual(job.lastError, { stage: "b", message: "temporary", at: new Date(T0).toISOString() });
+  assert.deepEqual(queue.take(T0 + 4999, 10), []);
+  assert.deepEqual(queue.take(T0 + 5000, 10), ["j1"]);
+
+  // 期限前に起こされても実行しない
+  await worker.runJob("j1");
+  assert.equal(calls.length, 1);
+
+  clock.t = T0 + 5000;
+  await worker.runJob("j1");
+  job = await worker.getJob("j1");
+  assert.deepEqual([job.attempts, job.nextRunAt], [2, new Date(clock.t + 10000).toISOString()]);
+
+  clock.t += 10000;
+  await worker.runJob("j1");
+  job = await worker.getJob("j1");
+  assert.deepEqual([job.status, job.attempts, job.nextRunAt], ["FAILED", 3, null]);
+
+  await worker.enqueue({ jobId: "j2", stage: "bad" });
+  await worker.runJob("j2");
+  job = await worker.getJob("j2");
+  assert.deepEqual([job.status, job.attempts, job.lastError.message], ["FAILED", 1, "broken input"]);
+});
+
+test("runJob: 再起動後は scan で拾い直し、済んだステージは飛ばして続きから", async (t) => {
+  const calls = [];
+  const stages = { a: async () => { calls.push("a"); return { next: "b" }; }, b: flaky(1, calls) };
+  const { storage, clock, worker } = setup(t, stages);
+  await worker.enqueue({ jobId: "j1", stage: "a" });
+  await worker.runJob("j1");
+  assert.deepEqual(calls, ["a", "b"]);
+  assert.equal((await worker.getJob("j1")).stage, "b");
+
+  // 別のインスタンス（空のキュー）が同じストレージを見る
+  const queue = createMemoryQueue();
+  const other = createWorker({ storage, queue, stages, owner: "w2", backoffBaseMs: 5000, now: () => clock.t });
+  await other.scan();
+  assert.equal(queue.has("j1"), true);
+  clock.t = T0 + 5000;
+  await other.runJob("j1");
+  assert.deepEqual(calls, ["a", "b", "b"]);
+  assert.equal((await other.getJob("j1")).status, "DONE");
+});
+
+test("runJob: 他が持つリースは期限が切れるまで待ち、切れたら引き継ぐ", async (t) => {
+  const calls = [];
+  const { storage, clock, worker } = setup(t, { b: flaky(0, calls) });
+  await worker.enqueue({ jobId: "j1", stage: "b" });
+  const other = createLeases({ storage, owner: "w2", leaseMs: 60000 });
+  assert.equal(await other.acquire("j1", T0), true);
+
+  await worker.runJob("j1");
+  assert.deepEqual(calls, []);
+  assert.equal((await worker.getJob("j1")).status, "PENDING");
+
+  clock.t = T0 + 60001;
+  await worker.runJob("j1");
+  assert.deepEqual(calls, ["b"]);
+  assert.equal((await worker.getJob("j1")).status, "DONE");
+});
+
+test("runJob: リースを取るときのストレージのエラーでは落ちず、少し置いて積み直す", async (t) => {
+  const calls = [];
+  const { storage, queue, worker } = setup(t, { b: flaky(0, calls) });
+  await worker.enqueue({ jobId: "j1", stage: "b" });
+  queue.take(T0, 10);
+  const createIfAbsent = storage.createIfAbsent;
+  storage.createIfAbsent = async () => { throw Object.assign(new Error("service unavailable"), { code: 503 }); };
+  t.after(() => { storage.createIfAbsent = createIfAbsent; });
+
+  await worker.runJob("j1");
+  assert.deepEqual(calls, []);
+  assert.deepEqual(queue.take(T0 + 4999, 10), []);
+  assert.deepEqual(queue.take(T0 + 5000, 10), ["j1"]);
+});
+
+test("retry: FAILED のジョブだけを、失敗したステージから試行回数 0 でやり直す", async (t) => {
+  const calls = [];
+  const { storage, clock, queue, worker } = setup(t, {
+    a: async () => { calls.push("a"); return { next: "b" }; },
+    b: flaky(3, calls),
+  });
+  await worker.enqueue({ jobId: "j1", stage: "a" });
+  for (const dt of [0, 5000, 10000]) {
+    clock.t += dt;
+    await worker.runJob("j1");
+  }
+  assert.equal((await worker.getJob("j1")).status, "FAILED");
+  assert.equal(await storage.exists("jobs-active/j1"), false);
+  queue.take(Infinity, 10);
+
+  assert.equal(await worker.retry("j1"), true);
+  let job = await worker.getJob("j1");
+  assert.deepEqual([job.status, job.stage, job.attempts, job.retries], ["PENDING", "b", 0, 1]);
+  assert.equal(job.lastError.message, "temporary");
+  assert.equal(await storage.exists("jobs-active/j1"), true);
+  assert.deepEqual(queue.take(clock.t, 10), ["j1"]);
+
+  await worker.runJob("j1");
+  job = await worker.getJob("j1");
+  assert.equal(job.status, "DONE");
+  assert.deepEqual(calls, ["a", "b", "b", "b", "b"]);
+  // FAILED 以外はやり直さない
+  assert.equal(await worker.retry("j1"), false);
+  assert.equal(await worker.retry("nope"), false);
+});